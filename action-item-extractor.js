@@ -0,0 +1,172 @@
+const MapReduceSummarizer = require('./summarizer');
+
+/**
+ * Asks the LLM for action items as JSON and validates the answer
+ * Candidate messages are numbered in the prompt; the model refers to them by number
+ * so chat, sender and message id always come from our data, never from the model.
+ */
+
+const SYSTEM_PROMPT = 'You extract action items for the user from Telegram messages. An action item is something the user is asked to do, answer, decide or deliver. Ignore small talk, FYIs and anything already resolved. Answer with JSON only, no prose.';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ActionItemExtractor {
+    /**
+     * @param {LLMProvider} provider - Provider answering the extraction request
+     * @param {Object} options - { tokenBudget, minConfidence }
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.tokenBudget = options.tokenBudget || parseInt(process.env.PROMPT_TOKEN_BUDGET) || 12000;
+        this.minConfidence = options.minConfidence !== undefined
+            ? options.minConfidence
+            : parseFloat(process.env.ACTION_ITEM_MIN_CONFIDENCE || '0.5');
+    }
+
+    /**
+     * Messages that might ask something of me: received DMs, mentions and group messages
+     * in chats where I have not replied since. Newest first, cut to the token budget.
+     * @param {Array} messages - Message objects
+     * @returns {Array}
+     */
+    selectCandidates(messages) {
+        const lastReply = new Map();
+        messages.filter(msg => msg.isFromMe).forEach(msg => {
+            lastReply.set(msg.chatId, Math.max(lastReply.get(msg.chatId) || 0, msg.date));
+        });
+
+        const candidates = messages
+            .filter(msg => !msg.isFromMe && msg.text && msg.chatType !== 'channel')
+            .filter(msg => msg.chatType === 'dm' || msg.isMention || msg.chatType === 'group')
+            .filter(msg => !(lastReply.get(msg.chatId) > msg.date))
+            .sort((a, b) => Number(b.isMention || b.chatType === 'dm') - Number(a.isMention || a.chatType === 'dm') || b.date - a.date);
+
+        const selected = [];
+        let tokens = MapReduceSummarizer.estimateTokens(this.buildPrompt([]));
+        for (const msg of candidates) {
+            const cost = MapReduceSummarizer.estimateTokens(ActionItemExtractor.formatCandidate(msg, 0));
+            if (tokens + cost > this.tokenBudget) break;
+            tokens += cost;
+            selected.push(msg);
+        }
+
+        return selected.sort((a, b) => a.date - b.date);
+    }
+
+    static formatCandidate(msg, ref) {
+        const text = msg.text.length > 500 ? `${msg.text.substring(0, 500)}…` : msg.text;
+        const date = new Date(msg.timestamp).toISOString().split('T')[0];
+        return `#${ref} [${msg.chatTitle}] ${msg.senderName} (${date}${msg.isMention ? ', mentions me' : ''}): "${text}"`;
+    }
+
+    buildPrompt(candidates) {
+        return `
+Today is ${new Date().toISOString().split('T')[0]}. Find the action items for me in these messages:
+
+${candidates.map((msg, index) => ActionItemExtractor.formatCandidate(msg, index + 1)).join('\n')}
+
+Return a JSON array. Each element must be:
+{"ref": <number of the source message>, "summary": "<what I need to do, one sentence>", "dueDate": "<YYYY-MM-DD if a deadline is mentioned, else null>", "confidence": <0.0-1.0 that this really needs action from me>}
+
+Return [] if nothing needs action.
+        `;
+    }
+
+    /**
+     * @param {Array} candidates - Messages from selectCandidates (possibly redacted copies)
+     * @returns {Object} { system, prompt } exactly as sent to the provider
+     */
+    buildRequest(candidates) {
+        return { system: SYSTEM_PROMPT, prompt: this.buildPrompt(candidates) };
+    }
+
+    /**
+     * Extracts validated action items; one retry with the validation error if the JSON is unusable
+     * @param {Array} candidates - Messages from selectCandidates
+     * @param {Object} options - { redactor } applied to the prompt and undone on the result
+     * @returns {Promise<Array>} [{ chatId, chatTitle, chatType, senderId, senderName, messageId, messageDate, summary, dueDate, confidence }]
+     */
+    async extract(candidates, { redactor = null } = {}) {
+        if (candidates.length === 0) return [];
+
+        const outgoing = redactor ? redactor.redactMessages(candidates) : candidates;
+        const request = this.buildRequest(outgoing);
+        let parsed;
+
+        try {
+            parsed = ActionItemExtractor.parse(await this.provider.complete(request), candidates.length);
+        } catch (error) {
+            if (error.response) throw error;
+            console.warn(`⚠️ Action items: ${error.message}, asking once more`);
+            parsed = ActionItemExtractor.parse(await this.provider.complete({
+                system: request.system,
+                prompt: `${request.prompt}\nYour previous answer was rejected: ${error.message}. Reply with the JSON array only.`
+            }), candidates.length);
+        }
+
+        return parsed
+            .filter(item => item.confidence >= this.minConfidence)
+            .map(item => {
+                const msg = candidates[item.ref - 1];
+                return {
+                    chatId: msg.chatId,
+                    chatTitle: msg.chatTitle,
+                    chatType: msg.chatType,
+                    senderId: msg.senderId,
+                    senderName: msg.senderName,
+                    messageId: msg.messageId,
+                    messageDate: msg.timestamp,
+                    summary: redactor ? redactor.restore(item.summary) : item.summary,
+                    dueDate: item.dueDate,
+                    confidence: item.confidence
+                };
+            });
+    }
+
+    /**
+     * Parses and validates the model's answer against the action item schema
+     * @param {string} text - Raw model output (may be wrapped in a code fence)
+     * @param {number} candidateCount - Number of candidates, for ref validation
+     * @returns {Array} Valid items; invalid elements are dropped with a warning
+     */
+    static parse(text, candidateCount) {
+        const start = text.search(/[[{]/);
+        const end = Math.max(text.lastIndexOf(']'), text.lastIndexOf('}'));
+        if (start === -1 || end < start) throw new Error('no JSON found in the answer');
+
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            throw new Error(`invalid JSON (${error.message})`);
+        }
+
+        // Tolerate {"actionItems": [...]} or {"items": [...]} wrappers
+        const items = Array.isArray(data) ? data : (data.actionItems || data.items);
+        if (!Array.isArray(items)) throw new Error('expected a JSON array of action items');
+
+        return items.filter((item, index) => {
+            const problem = ActionItemExtractor.validate(item, candidateCount);
+            if (problem) console.warn(`⚠️ Dropping action item ${index + 1}: ${problem}`);
+            return !problem;
+        }).map(item => ({
+            ref: item.ref,
+            summary: item.summary.trim(),
+            dueDate: item.dueDate || null,
+            confidence: item.confidence
+        }));
+    }
+
+    static validate(item, candidateCount) {
+        if (!item || typeof item !== 'object') return 'not an object';
+        if (!Number.isInteger(item.ref) || item.ref < 1 || item.ref > candidateCount) return `unknown message ref ${item.ref}`;
+        if (typeof item.summary !== 'string' || !item.summary.trim()) return 'missing summary';
+        if (item.dueDate != null && (typeof item.dueDate !== 'string' || !DATE_PATTERN.test(item.dueDate) || isNaN(Date.parse(item.dueDate)))) {
+            return `invalid dueDate ${JSON.stringify(item.dueDate)}`;
+        }
+        if (typeof item.confidence !== 'number' || item.confidence < 0 || item.confidence > 1) return `invalid confidence ${item.confidence}`;
+        return null;
+    }
+}
+
+module.exports = ActionItemExtractor;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Action items carried from one digest to the next
+ * Stored as one JSON file; an item is open, snoozed (until a date) or done.
+ * Items close automatically once I reply to the source message, or in a DM once I write after it.
+ * With ACTION_ITEMS_CLOSE_ON=message any later message of mine in the chat closes them, groups included.
+ */
+const CLOSE_RULES = ['reply', 'message'];
+
+class ActionItemStore {
+    constructor(
+        file = path.join(process.env.STORE_DIR || './data', 'action-items.json'),
+        closeOn = process.env.ACTION_ITEMS_CLOSE_ON
+    ) {
+        this.file = file;
+        this.items = [];
+        this.closeOn = closeOn || 'reply';
+        if (!CLOSE_RULES.includes(this.closeOn)) {
+            console.warn(`⚠️ Ignoring ACTION_ITEMS_CLOSE_ON="${closeOn}": use ${CLOSE_RULES.join(' or ')}`);
+            this.closeOn = 'reply';
+        }
+    }
+
+    static isEnabled(options = {}) {
+        return !options.noActions && process.env.ACTION_ITEMS !== 'false';
+    }
+
+    async load() {
+        try {
+            this.items = JSON.parse(await fs.readFile(this.file, 'utf8')).items || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw new Error(`Cannot read action items ${this.file}: ${error.message}`);
+        }
+        return this;
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify({ items: this.items }, null, 2));
+    }
+
+    static itemId(chatId, messageId, summary) {
+        return crypto.createHash('sha256').update(`${chatId}:${messageId}:${summary}`).digest('hex').slice(0, 6);
+    }
+
+    /**
+     * Adds newly extracted items; an item for an already tracked source message keeps its state
+     * @param {Array} extracted - Items from ActionItemExtractor.extract
+     * @param {DigestPeriod} period - Digest the items were found in
+     * @returns {Array} Items that were actually added
+     */
+    add(extracted, period) {
+        const known = new Set(this.items.map(item => `${item.chatId}:${item.messageId}`));
+        const added = [];
+
+        for (const item of extracted) {
+            const key = `${item.chatId}:${item.messageId}`;
+            if (known.has(key)) continue;
+            known.add(key);
+
+            const record = {
+                id: ActionItemStore.itemId(item.chatId, item.messageId, item.summary),
+                status: 'open',
+                ...item,
+                createdAt: new Date().toISOString(),
+                digest: period ? period.filePrefix : null,
+                snoozedUntil: null,
+                closedAt: null,
+                closedReason: null
+            };
+            this.items.push(record);
+            added.push(record);
+        }
+
+        return added;
+    }
+
+    /**
+     * Closes open items I answered: a reply to the source message, or in a DM any later
+     * message of mine. In groups a later message may be about something else entirely,
+     * so it only counts there when closeOn is 'message'.
+     * @param {Array} messages - Message objects (including my own)
+     * @returns {Array} Items closed by this call
+     */
+    closeReplied(messages) {
+        const mine = messages
+            .filter(msg => msg.isFromMe)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const closed = [];
+        for (const item of this.items) {
+            if (item.status === 'done') continue;
+            const asked = new Date(item.messageDate).getTime();
+            const reply = mine.find(msg => msg.chatId === item.chatId &&
+                new Date(msg.timestamp).getTime() > asked &&
+                (String(msg.replyToId) === String(item.messageId) || item.chatType === 'dm' || this.closeOn === 'message'));
+            if (reply) {
+                this.close(item, 'replied', new Date(reply.timestamp));
+                closed.push(item);
+            }
+        }
+        return closed;
+    }
+
+    close(item, reason, when = new Date()) {
+        item.status = 'done';
+        item.closedAt = when.toISOString();
+        item.closedReason = reason;
+        item.snoozedUntil = null;
+    }
+
+    find(id) {
+        const matches = this.items.filter(item => item.id.startsWith(String(id)));
+        if (matches.length === 0) throw new Error(`No action item with id "${id}"`);
+        if (matches.length > 1) throw new Error(`Action item id "${id}" is ambiguous (${matches.map(item => item.id).join(', ')})`);
+        return matches[0];
+    }
+
+    markDone(id) {
+        const item = this.find(id);
+        this.close(item, 'manual');
+        return item;
+    }
+
+    snooze(id, until) {
+        const item = this.find(id);
+        if (item.status === 'done') throw new Error(`Action item ${item.id} is already done`);
+        item.status = 'snoozed';
+        item.snoozedUntil = until.toISOString();
+        return item;
+    }
+
+    /**
+     * Open items, including snoozed ones whose snooze has run out
+     * @param {Date} now - Reference time
+     * @returns {Array} Oldest first
+     */
+    open(now = new Date()) {
+        this.items
+            .filter(item => item.status === 'snoozed' && new Date(item.snoozedUntil) <= now)
+            .forEach(item => {
+                item.status = 'open';
+                item.snoozedUntil = null;
+            });
+
+        return this.items
+            .filter(item => item.status === 'open')
+            .sort((a, b) => new Date(a.messageDate) - new Date(b.messageDate));
+    }
+
+    static format(item) {
+        const due = item.dueDate ? ` (due ${item.dueDate})` : '';
+        const snoozed = item.status === 'snoozed' ? ` 💤 until ${item.snoozedUntil.split('T')[0]}` : '';
+        return `[${item.id}] ${item.summary}${due} — ${item.senderName} in ${item.chatTitle}, ${item.messageDate.split('T')[0]}${snoozed}`;
+    }
+
+    /**
+     * Markdown section appended to the digest
+     * @param {Array} items - Open items
+     * @param {Set} newIds - Ids first seen in this digest
+     * @returns {string}
+     */
+    static renderSection(items, newIds = new Set()) {
+        if (items.length === 0) return '## Tracked Action Items\n\nNo open action items. 🎉';
+
+        const lines = items.map(item => `- ${newIds.has(item.id) ? '🆕' : '⏳'} ${ActionItemStore.format(item)}`);
+        return `## Tracked Action Items\n\n${lines.join('\n')}\n\n_Close with \`node main.js actions done <id>\`, or reply in the chat._`;
+    }
+}
+
+module.exports = ActionItemStore;
@@ -0,0 +1,122 @@
+const { Api } = require('telegram');
+const ChatUtils = require('./chat-utils');
+
+/**
+ * The user's Telegram chat folders (messages.GetDialogFilters) and which dialogs they hold
+ * Membership follows Telegram's own rules: excluded peers never match, included and pinned
+ * peers always do, anything else matches by the folder's type flags (contacts, non-contacts,
+ * groups, channels, bots) unless "exclude muted / read / archived" drops it.
+ */
+class ChatFolders {
+    /**
+     * @param {Array} folders - { id, title, include: Set, exclude: Set, flags } from fromDialogFilters
+     */
+    constructor(folders = []) {
+        this.folders = folders;
+    }
+
+    /**
+     * @param {TelegramClient} client - Connected client
+     * @param {TelegramConnection} connection - For paced, retried API calls
+     * @returns {Promise<ChatFolders>}
+     */
+    static async load(client, connection) {
+        const result = await connection.retryApiCall(() => client.invoke(new Api.messages.GetDialogFilters()));
+        return ChatFolders.fromDialogFilters(result);
+    }
+
+    /**
+     * @param {Object|Array} result - messages.DialogFilters, or the bare vector older layers return
+     * @returns {ChatFolders} Without the "All chats" entry (DialogFilterDefault)
+     */
+    static fromDialogFilters(result) {
+        const filters = Array.isArray(result) ? result : (result?.filters || []);
+
+        return new ChatFolders(filters
+            .filter(filter => filter.className === 'DialogFilter' || filter.className === 'DialogFilterChatlist')
+            .map(filter => ({
+                id: filter.id,
+                title: ChatFolders.titleText(filter.title),
+                include: new Set([...(filter.pinnedPeers || []), ...(filter.includePeers || [])].map(ChatFolders.peerKey)),
+                exclude: new Set((filter.excludePeers || []).map(ChatFolders.peerKey)),
+                flags: {
+                    contacts: Boolean(filter.contacts),
+                    nonContacts: Boolean(filter.nonContacts),
+                    groups: Boolean(filter.groups),
+                    broadcasts: Boolean(filter.broadcasts),
+                    bots: Boolean(filter.bots),
+                    excludeMuted: Boolean(filter.excludeMuted),
+                    excludeRead: Boolean(filter.excludeRead),
+                    excludeArchived: Boolean(filter.excludeArchived)
+                }
+            })));
+    }
+
+    // Folder titles are TextWithEntities (custom emoji) since layer 178, plain strings before
+    static titleText(title) {
+        return (typeof title === 'string' ? title : title?.text || '').trim();
+    }
+
+    /**
+     * User, chat and channel ids are separate namespaces, so keys carry the peer type
+     * @param {Object} peer - InputPeer* / Peer*
+     * @returns {string} e.g. "user:1001", "channel:2001", "self"
+     */
+    static peerKey(peer) {
+        if (peer.className === 'InputPeerSelf') return 'self';
+        if (peer.userId !== undefined) return `user:${peer.userId}`;
+        if (peer.chatId !== undefined) return `chat:${peer.chatId}`;
+        if (peer.channelId !== undefined) return `channel:${peer.channelId}`;
+        return peer.className;
+    }
+
+    static entityKey(entity) {
+        if (entity.className === 'User' || entity.className === 'UserEmpty') return `user:${entity.id}`;
+        if (/^Chat/.test(entity.className)) return `chat:${entity.id}`;
+        return `channel:${entity.id}`;
+    }
+
+    static isMuted(dialog) {
+        const muteUntil = dialog.dialog?.notifySettings?.muteUntil;
+        return Boolean(muteUntil) && muteUntil > Date.now() / 1000;
+    }
+
+    /**
+     * @param {Object} folder - One entry of this.folders
+     * @param {Object} dialog - Telegram dialog
+     * @returns {boolean}
+     */
+    static contains(folder, dialog) {
+        const entity = dialog.entity;
+        const keys = [ChatFolders.entityKey(entity), entity.self ? 'self' : null].filter(Boolean);
+        if (keys.some(key => folder.exclude.has(key))) return false;
+        if (keys.some(key => folder.include.has(key))) return true;
+
+        const { flags } = folder;
+        const type = ChatUtils.getChatType(entity).type;
+        const matchesType = (type === 'bot' && flags.bots) ||
+            (type === 'dm' && (entity.contact ? flags.contacts : flags.nonContacts)) ||
+            (type === 'group' && flags.groups) ||
+            (type === 'channel' && flags.broadcasts);
+        if (!matchesType) return false;
+
+        if (flags.excludeArchived && (dialog.archived || dialog.folderId === 1)) return false;
+        if (flags.excludeMuted && ChatFolders.isMuted(dialog)) return false;
+        if (flags.excludeRead && !dialog.unreadCount && !dialog.dialog?.unreadMark) return false;
+        return true;
+    }
+
+    /**
+     * @param {Object} dialog - Telegram dialog
+     * @returns {string[]} Titles of the folders the dialog appears in, in the user's folder order
+     */
+    foldersOf(dialog) {
+        return this.folders.filter(folder => ChatFolders.contains(folder, dialog)).map(folder => folder.title);
+    }
+
+    titles() {
+        return this.folders.map(folder => folder.title);
+    }
+}
+
+module.exports = ChatFolders;
@@ -0,0 +1,46 @@
+/**
+ * Minimal command line parser
+ * Splits argv into a command, positional arguments and --options
+ */
+
+class CliArgs {
+    /**
+     * Parses arguments such as `digest --period daily --since=2026-10-01`
+     * @param {string[]} argv - Arguments after the script name
+     * @returns {Object} { command, positional, options }
+     */
+    static parse(argv) {
+        const positional = [];
+        const options = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('--')) {
+                positional.push(arg);
+                continue;
+            }
+
+            const eq = arg.indexOf('=');
+            if (eq !== -1) {
+                options[CliArgs.toKey(arg.slice(2, eq))] = arg.slice(eq + 1);
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                options[CliArgs.toKey(arg.slice(2))] = argv[++i];
+            } else {
+                options[CliArgs.toKey(arg.slice(2))] = true;
+            }
+        }
+
+        return { command: positional.shift(), positional, options };
+    }
+
+    /**
+     * Converts kebab-case option names to camelCase (dry-run-prompt → dryRunPrompt)
+     * @param {string} name - Option name without leading dashes
+     * @returns {string}
+     */
+    static toKey(name) {
+        return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    }
+}
+
+module.exports = CliArgs;
@@ -0,0 +1,93 @@
+/**
+ * Rebuilds conversation threads from replyToId links
+ * Messages are grouped per chat and forum topic; a reply joins the thread of the
+ * message it answers when that message is in the window, otherwise it starts a thread.
+ */
+
+// Deeper replies are rendered at this depth so long chains stay readable
+const MAX_DEPTH = 3;
+
+class ConversationThreads {
+    /**
+     * @param {Array} messages - Message objects
+     * @returns {Array} [{ chatId, chatTitle, chatType, account, topicId, topicTitle, startedAt, messages: [{ ...msg, depth, replyOutsideWindow }] }]
+     *                  ordered by chat, topic, then thread start
+     */
+    static build(messages) {
+        const threads = [];
+        const placed = new Map(); // chatId:messageId → { thread, depth }
+
+        [...messages]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.messageId - b.messageId)
+            .forEach(msg => {
+                const parent = msg.replyToId ? placed.get(`${msg.chatId}:${msg.replyToId}`) : null;
+                let thread, depth;
+
+                if (parent) {
+                    thread = parent.thread;
+                    depth = Math.min(parent.depth + 1, MAX_DEPTH);
+                } else {
+                    thread = {
+                        chatId: msg.chatId,
+                        chatTitle: msg.chatTitle,
+                        chatType: msg.chatType,
+                        account: msg.account || null,
+                        topicId: msg.topicId || null,
+                        topicTitle: msg.topicTitle || null,
+                        startedAt: msg.timestamp,
+                        messages: []
+                    };
+                    threads.push(thread);
+                    depth = 0;
+                }
+
+                // In forums every topic message "replies" to the topic root, which is not a real reply
+                const replyOutsideWindow = !parent && Boolean(msg.replyToId) && msg.replyToId !== msg.topicId;
+                thread.messages.push({ ...msg, depth, replyOutsideWindow });
+                placed.set(`${msg.chatId}:${msg.messageId}`, { thread, depth });
+            });
+
+        const chatOrder = new Map();
+        threads.forEach(thread => {
+            if (!chatOrder.has(thread.chatId)) chatOrder.set(thread.chatId, chatOrder.size);
+        });
+
+        return threads.sort((a, b) =>
+            chatOrder.get(a.chatId) - chatOrder.get(b.chatId) ||
+            (a.topicId || 0) - (b.topicId || 0) ||
+            new Date(a.startedAt) - new Date(b.startedAt));
+    }
+
+    /**
+     * Groups threads under their chat / topic heading, preserving order
+     * @param {Array} threads - Result of build()
+     * @returns {Array} [{ chatTitle, chatType, account, topicTitle, threads }]
+     */
+    static bySection(threads) {
+        const sections = [];
+        threads.forEach(thread => {
+            const last = sections[sections.length - 1];
+            if (last && last.chatId === thread.chatId && last.topicId === thread.topicId) {
+                last.threads.push(thread);
+            } else {
+                sections.push({
+                    chatId: thread.chatId,
+                    chatTitle: thread.chatTitle,
+                    chatType: thread.chatType,
+                    account: thread.account,
+                    topicId: thread.topicId,
+                    topicTitle: thread.topicTitle,
+                    threads: [thread]
+                });
+            }
+        });
+        return sections;
+    }
+
+    static label(section) {
+        const chat = section.account ? `${section.account}: ${section.chatTitle}` : section.chatTitle;
+        return section.topicTitle ? `${chat} #${section.topicTitle}` : chat;
+    }
+}
+
+module.exports = ConversationThreads;
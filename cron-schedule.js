@@ -0,0 +1,141 @@
+/**
+ * Minimal five-field cron expressions ("minute hour day-of-month month day-of-week")
+ * evaluated in local time. Supports *, lists, ranges, steps, month/day names and
+ * the @hourly/@daily/@weekly/@monthly shortcuts.
+ */
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Never search further ahead than this for the next match
+const MAX_LOOKAHEAD_YEARS = 5;
+
+class CronSchedule {
+    /**
+     * @param {string} expression - Cron expression, e.g. "0 8 * * MON"
+     */
+    constructor(expression) {
+        this.expression = expression.trim();
+        const fields = (ALIASES[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Invalid schedule "${expression}": expected 5 fields (minute hour day month weekday)`);
+        }
+
+        const [minutes, hours, days, months, weekdays] = fields.map((field, index) => CronSchedule.parseField(field, FIELDS[index], expression));
+        this.minutes = minutes;
+        this.hours = hours;
+        this.days = days;
+        this.months = months;
+        // 7 is an alias for Sunday
+        this.weekdays = new Set([...weekdays].map(day => day % 7));
+        // As in Vixie cron, a day field starting with * (including */n) does not count as
+        // restricted, so "0 8 */2 * MON" means odd days that are Mondays
+        this.daysRestricted = !fields[2].startsWith('*');
+        this.weekdaysRestricted = !fields[4].startsWith('*');
+    }
+
+    static parseField(field, spec, expression) {
+        const values = new Set();
+        const toNumber = token => {
+            const upper = token.toUpperCase();
+            const named = spec.names ? spec.names.indexOf(upper) : -1;
+            const value = named >= 0 ? named + spec.offset : Number(token);
+            if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+                throw new Error(`Invalid ${spec.name} "${token}" in schedule "${expression}"`);
+            }
+            return value;
+        };
+
+        for (const part of field.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${part}" in schedule "${expression}"`);
+            }
+
+            let start, end;
+            if (range === '*') {
+                [start, end] = [spec.min, spec.max];
+            } else if (range.includes('-')) {
+                [start, end] = range.split('-').map(toNumber);
+            } else {
+                start = toNumber(range);
+                end = stepText === undefined ? start : spec.max;
+            }
+            if (start > end) throw new Error(`Invalid range "${part}" in schedule "${expression}"`);
+
+            for (let value = start; value <= end; value += step) values.add(value);
+        }
+
+        return values;
+    }
+
+    /**
+     * Cron semantics: when both day-of-month and day-of-week are restricted, either may match,
+     * otherwise both must
+     */
+    matchesDay(date) {
+        const dayMatches = this.days.has(date.getDate());
+        const weekdayMatches = this.weekdays.has(date.getDay());
+        if (this.daysRestricted && this.weekdaysRestricted) return dayMatches || weekdayMatches;
+        return dayMatches && weekdayMatches;
+    }
+
+    matches(date) {
+        return this.months.has(date.getMonth() + 1) && this.matchesDay(date) &&
+            this.hours.has(date.getHours()) && this.minutes.has(date.getMinutes());
+    }
+
+    /**
+     * @param {Date} after - Reference time
+     * @returns {Date} First scheduled time strictly after the reference
+     */
+    next(after = new Date()) {
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = new Date(after);
+        limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+        while (date < limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+
+        throw new Error(`Schedule "${this.expression}" never fires`);
+    }
+
+    toString() {
+        return this.expression;
+    }
+}
+
+module.exports = CronSchedule;
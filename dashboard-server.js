@@ -0,0 +1,531 @@
+const http = require('http');
+const crypto = require('crypto');
+const util = require('util');
+const ReportArchive = require('./report-archive');
+const RunLock = require('./run-lock');
+const TelegramDelivery = require('./telegram-delivery');
+const { createRenderer, HtmlRenderer } = require('./report-renderers');
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const CONTENT_TYPES = {
+    md: 'text/markdown; charset=utf-8',
+    txt: 'text/plain; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_LOG_LINES = 2000;
+const COOKIE = 'digest_dashboard';
+
+const esc = TelegramDelivery.escapeHtml;
+
+/**
+ * Local web dashboard: archived reports as rendered pages, the chat filtering preview
+ * as a sortable table and a "run digest now" button with live progress logs (SSE)
+ * Binds to 127.0.0.1 by default. Any other address requires DASHBOARD_TOKEN, accepted
+ * as a Bearer header or once as ?token=, which is then kept in a SameSite cookie.
+ */
+class DashboardServer {
+    /**
+     * @param {TelegramDigestApp} app - Application whose runDigest() and previewChats() do the work
+     * @param {Object} options - Digest options used for every run started from the dashboard
+     */
+    constructor(app, options = {}, {
+        host = process.env.DASHBOARD_HOST || '127.0.0.1',
+        port = parseInt(process.env.DASHBOARD_PORT) || 8787,
+        token = process.env.DASHBOARD_TOKEN || null,
+        archive = new ReportArchive(),
+        lock = new RunLock()
+    } = {}) {
+        this.app = app;
+        this.options = options;
+        this.host = host;
+        this.port = port;
+        this.token = token;
+        this.archive = archive;
+        this.lock = lock;
+        this.server = null;
+        this.busy = null;
+        this.run = null;
+        this.subscribers = new Set();
+    }
+
+    static isLoopback(host) {
+        return LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+    }
+
+    get url() {
+        const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+        return `http://${host}:${this.port}/`;
+    }
+
+    async start() {
+        if (!DashboardServer.isLoopback(this.host) && !this.token) {
+            throw new Error(`Refusing to serve on ${this.host} without a token: set DASHBOARD_TOKEN or bind to 127.0.0.1`);
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => this.sendError(res, 500, error.message));
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.port = this.server.address().port;
+
+        console.log(`🖥️ Dashboard running at ${this.url}${this.token ? '?token=<DASHBOARD_TOKEN>' : ''}`);
+        if (!DashboardServer.isLoopback(this.host)) {
+            console.log('⚠️ The dashboard is reachable from other machines; it is plain HTTP, put it behind TLS');
+        }
+
+        return new Promise(resolve => {
+            this.resolveStopped = resolve;
+        });
+    }
+
+    async stop() {
+        for (const res of this.subscribers) res.end();
+        this.subscribers.clear();
+        if (this.server) await new Promise(resolve => this.server.close(resolve));
+        if (this.resolveStopped) this.resolveStopped();
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://dashboard');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Referrer-Policy', 'no-referrer');
+        res.setHeader('X-Frame-Options', 'DENY');
+
+        if (!this.checkHost(req)) return this.sendError(res, 421, 'Unexpected Host header');
+        if (!this.authorize(req, res, url)) return;
+        if (req.method === 'POST' && !this.checkOrigin(req)) return this.sendError(res, 403, 'Cross-origin request refused');
+
+        const route = `${req.method} ${url.pathname}`;
+        const report = /^\/reports\/([A-Za-z0-9_.+-]+?)(?:\.(md|txt|html|json))?$/.exec(url.pathname);
+
+        if (route === 'GET /') return this.sendHtml(res, await this.renderIndex(url.searchParams.get('q') || ''));
+        if (route === 'GET /chats') return this.sendHtml(res, DashboardServer.renderChatsPage());
+        if (route === 'GET /api/reports') return this.sendJson(res, 200, { reports: await this.archive.list() });
+        if (route === 'GET /api/chats') return this.previewChats(res);
+        if (route === 'POST /api/digest') return this.startDigest(req, res);
+        if (route === 'GET /api/digest') return this.sendJson(res, 200, this.runStatus());
+        if (route === 'GET /api/digest/stream') return this.streamLogs(req, res);
+        if (req.method === 'GET' && report) return this.sendReport(res, report[1], report[2]);
+
+        return this.sendError(res, 404, 'Not found');
+    }
+
+    /**
+     * Without a token only loopback Host headers are accepted, so a web page cannot reach
+     * the dashboard through DNS rebinding
+     */
+    checkHost(req) {
+        if (this.token) return true;
+        const host = (req.headers.host || '').replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+        return DashboardServer.isLoopback(host);
+    }
+
+    checkOrigin(req) {
+        if (!req.headers.origin) return true;
+        try {
+            return new URL(req.headers.origin).host === req.headers.host;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @returns {boolean} False when the response has already been sent
+     */
+    authorize(req, res, url) {
+        if (!this.token) return true;
+
+        const query = url.searchParams.get('token');
+        if (query !== null && DashboardServer.safeEqual(query, this.token)) {
+            // Move the token from the URL into a cookie and drop it from the address bar
+            url.searchParams.delete('token');
+            res.writeHead(303, {
+                'Set-Cookie': `${COOKIE}=${encodeURIComponent(this.token)}; HttpOnly; SameSite=Strict; Path=/`,
+                Location: `${url.pathname}${url.search}`
+            });
+            res.end();
+            return false;
+        }
+
+        const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        const cookie = (req.headers.cookie || '').split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith(`${COOKIE}=`));
+        const candidate = bearer ? bearer[1] : cookie ? decodeURIComponent(cookie.slice(COOKIE.length + 1)) : null;
+        if (candidate !== null && DashboardServer.safeEqual(candidate, this.token)) return true;
+
+        this.sendError(res, 401, 'Token required: open the dashboard with ?token=<DASHBOARD_TOKEN> or send Authorization: Bearer <token>');
+        return false;
+    }
+
+    static safeEqual(a, b) {
+        const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(hash(a), hash(b));
+    }
+
+    async previewChats(res) {
+        if (this.busy) return this.sendJson(res, 409, { error: `Busy: ${this.busy}` });
+        this.busy = 'loading the chat preview';
+        try {
+            return this.sendJson(res, 200, await this.app.previewChats());
+        } catch (error) {
+            return this.sendJson(res, 500, { error: error.message });
+        } finally {
+            this.busy = null;
+        }
+    }
+
+    async startDigest(req, res) {
+        if (this.busy) return this.sendJson(res, 409, { error: `Busy: ${this.busy}` });
+
+        let body;
+        try {
+            body = await DashboardServer.readBody(req);
+        } catch (error) {
+            return this.sendJson(res, 400, { error: error.message });
+        }
+
+        // Only the period can be chosen in the browser; everything else comes from the serve command
+        const options = { ...this.options };
+        ['period', 'since', 'until'].forEach(key => {
+            if (typeof body[key] === 'string' && body[key]) options[key] = body[key];
+        });
+
+        this.busy = 'a digest is running';
+        this.run = { id: Date.now().toString(36), status: 'running', startedAt: new Date().toISOString(), finishedAt: null, result: null, error: null, logs: [] };
+        this.runDigest(this.run, options);
+        return this.sendJson(res, 202, this.runStatus());
+    }
+
+    /**
+     * Runs one digest under the run lock with console output teed into the run's log
+     * @param {Object} run - Run record, updated in place
+     * @param {Object} options - Digest options
+     */
+    async runDigest(run, options) {
+        const restore = this.captureConsole(run);
+        try {
+            if (!await this.lock.acquire()) {
+                const holder = await this.lock.holder();
+                throw new Error(`Another digest run is in progress (pid ${holder ? holder.pid : 'unknown'})`);
+            }
+            run.result = await this.app.runDigest(options);
+            run.status = 'success';
+        } catch (error) {
+            this.app.reportError(error);
+            run.status = 'failed';
+            run.error = error.message;
+        } finally {
+            await this.lock.release();
+            restore();
+            run.finishedAt = new Date().toISOString();
+            this.busy = null;
+            this.broadcast('done', this.runStatus());
+        }
+    }
+
+    captureConsole(run) {
+        const originals = {};
+        ['log', 'info', 'warn', 'error'].forEach(level => {
+            originals[level] = console[level];
+            console[level] = (...args) => {
+                originals[level](...args);
+                const line = util.format(...args);
+                run.logs.push(line);
+                if (run.logs.length > MAX_LOG_LINES) run.logs.shift();
+                this.broadcast('log', line);
+            };
+        });
+        return () => Object.assign(console, originals);
+    }
+
+    runStatus() {
+        if (!this.run) return { status: 'idle' };
+        const { logs, ...run } = this.run;
+        return { ...run, logLines: logs.length };
+    }
+
+    /**
+     * Server-sent events: the current run's log so far, then new lines and a final "done" event
+     */
+    streamLogs(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        if (!this.run) {
+            send('done', this.runStatus());
+            return res.end();
+        }
+        this.run.logs.forEach(line => send('log', line));
+        if (this.run.status !== 'running') {
+            send('done', this.runStatus());
+            return res.end();
+        }
+
+        this.subscribers.add(res);
+        req.on('close', () => this.subscribers.delete(res));
+    }
+
+    broadcast(event, data) {
+        for (const res of this.subscribers) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            if (event === 'done') res.end();
+        }
+        if (event === 'done') this.subscribers.clear();
+    }
+
+    static readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > MAX_BODY_BYTES) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                if (!body) return resolve({});
+                try {
+                    resolve(/json/.test(req.headers['content-type'] || '')
+                        ? JSON.parse(body)
+                        : Object.fromEntries(new URLSearchParams(body)));
+                } catch (error) {
+                    reject(new Error(`Invalid request body: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * @param {string} id - Report id or unique prefix
+     * @param {string} format - Raw file to send; without it the report is shown as a page
+     */
+    async sendReport(res, id, format) {
+        let entry;
+        try {
+            entry = await this.archive.find(id);
+        } catch (error) {
+            return this.sendError(res, 404, error.message);
+        }
+
+        if (format) {
+            if (!entry.formats.includes(format)) return this.sendError(res, 404, `Report ${entry.id} was not saved as ${format}`);
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[format] });
+            return res.end(await this.archive.read(entry, format));
+        }
+
+        if (entry.formats.includes('html')) return this.sendHtml(res, await this.archive.read(entry, 'html'));
+        if (entry.formats.includes('json')) {
+            return this.sendHtml(res, createRenderer('html').render(JSON.parse(await this.archive.read(entry, 'json'))));
+        }
+        // markdownToHtml handles sub-headings only; the report title and sections become h3
+        const markdown = (await this.archive.readDigest(entry) || '').replace(/^#{1,2}(?=\s)/gm, '###');
+        return this.sendHtml(res, DashboardServer.layout(entry.title || entry.id, HtmlRenderer.markdownToHtml(markdown)));
+    }
+
+    async renderIndex(query) {
+        const entries = query
+            ? (await this.archive.search(query)).map(({ entry, lines }) => ({ ...entry, lines }))
+            : await this.archive.list();
+
+        const rows = entries.map(entry => {
+            const period = entry.period ? (entry.period.range || entry.period.label || '') : '';
+            const downloads = entry.formats.map(format => `<a href="/reports/${esc(entry.id)}.${format}">${format}</a>`).join(' ');
+            const matches = entry.lines
+                ? `<div class="matches">${entry.lines.slice(0, 3).map(line => esc(line.length > 160 ? `${line.substring(0, 160)}…` : line)).join('<br>')}</div>`
+                : '';
+            return `<tr><td><a href="/reports/${esc(entry.id)}">${esc(entry.title || entry.id)}</a>${matches}</td>` +
+                `<td>${esc(period)}</td><td class="num">${entry.messageCount ?? ''}</td>` +
+                `<td>${esc(new Date(entry.createdAt).toLocaleString())}</td><td>${downloads}</td></tr>`;
+        });
+
+        const list = rows.length > 0
+            ? `<table>\n<thead><tr><th>Report</th><th>Period</th><th class="num">Messages</th><th>Created</th><th>Files</th></tr></thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`
+            : `<p class="muted">${query ? `No reports mention "${esc(query)}".` : `No reports in ${esc(this.archive.dir)} yet.`}</p>`;
+
+        return DashboardServer.layout('Reports', `
+<section>
+<h2>Run digest now</h2>
+<form id="run">
+<select name="period"><option value="daily">Daily</option><option value="weekly" selected>Weekly</option><option value="monthly">Monthly</option></select>
+<label>or from <input type="date" name="since"></label> <label>to <input type="date" name="until"></label>
+<button type="submit">Run digest</button>
+<span id="status" class="muted"></span>
+</form>
+<pre id="log" hidden></pre>
+</section>
+<section>
+<h2>Reports</h2>
+<form method="get" action="/"><input type="search" name="q" value="${esc(query)}" placeholder="Search past digests"> <button type="submit">Search</button>${query ? ' <a href="/">clear</a>' : ''}</form>
+${list}
+</section>
+<script>
+const log = document.getElementById('log');
+const status = document.getElementById('status');
+const form = document.getElementById('run');
+
+function follow() {
+    log.hidden = false;
+    log.textContent = '';
+    const events = new EventSource('/api/digest/stream');
+    events.addEventListener('log', event => {
+        log.textContent += JSON.parse(event.data) + '\\n';
+        log.scrollTop = log.scrollHeight;
+    });
+    events.addEventListener('done', event => {
+        events.close();
+        const run = JSON.parse(event.data);
+        form.querySelector('button').disabled = false;
+        status.textContent = run.status === 'success' ? 'Done, reload to see the new report' : run.status === 'failed' ? 'Failed: ' + run.error : '';
+    });
+}
+
+form.addEventListener('submit', async event => {
+    event.preventDefault();
+    form.querySelector('button').disabled = true;
+    status.textContent = 'Starting...';
+    const body = Object.fromEntries(new FormData(form));
+    if (body.since || body.until) delete body.period;
+    const response = await fetch('/api/digest', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const result = await response.json();
+    if (!response.ok) {
+        status.textContent = result.error;
+        form.querySelector('button').disabled = false;
+        return;
+    }
+    status.textContent = 'Running...';
+    follow();
+});
+
+fetch('/api/digest').then(response => response.json()).then(run => {
+    if (run.status === 'running') {
+        form.querySelector('button').disabled = true;
+        status.textContent = 'Running...';
+        follow();
+    }
+});
+</script>`);
+    }
+
+    static renderChatsPage() {
+        return DashboardServer.layout('Chats', `
+<h2>Chat filtering preview</h2>
+<p class="muted" id="source">Loading chats from Telegram...</p>
+<p>
+<input type="search" id="filter" placeholder="Filter by title, type, folder or rule">
+<select id="show"><option value="all">All chats</option><option value="included">Included</option><option value="excluded">Excluded</option></select>
+<span id="summary" class="muted"></span>
+</p>
+<table id="chats">
+<thead><tr><th data-key="include"></th><th data-key="title">Chat</th><th data-key="type">Type</th><th data-key="members" class="num">Members</th><th data-key="folders">Folders</th><th data-key="rule">Rule</th></tr></thead>
+<tbody></tbody>
+</table>
+<script>
+let chats = [];
+let sortKey = 'include';
+let ascending = false;
+const tbody = document.querySelector('#chats tbody');
+const escape = value => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function render() {
+    const text = document.getElementById('filter').value.toLowerCase();
+    const show = document.getElementById('show').value;
+    const rows = chats
+        .filter(chat => show === 'all' || (show === 'included') === chat.include)
+        .filter(chat => !text || [chat.title, chat.type, ...chat.folders, chat.rule].join(' ').toLowerCase().includes(text))
+        .sort((a, b) => {
+            const x = a[sortKey], y = b[sortKey];
+            const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+            return ascending ? order : -order;
+        });
+    tbody.innerHTML = rows.map(chat => '<tr class="' + (chat.include ? 'included' : 'excluded') + '"><td>' + chat.icon +
+        '</td><td>' + escape(chat.title) + '</td><td>' + escape(chat.type) + '</td><td class="num">' + escape(chat.members) +
+        '</td><td>' + escape(chat.folders.join(', ')) + '</td><td>' + escape(chat.rule) + '</td></tr>').join('');
+    const included = chats.filter(chat => chat.include).length;
+    document.getElementById('summary').textContent = rows.length + ' shown · ' + included + ' included, ' + (chats.length - included) + ' excluded';
+}
+
+document.querySelectorAll('#chats th').forEach(th => th.addEventListener('click', () => {
+    ascending = sortKey === th.dataset.key ? !ascending : true;
+    sortKey = th.dataset.key;
+    render();
+}));
+document.getElementById('filter').addEventListener('input', render);
+document.getElementById('show').addEventListener('change', render);
+
+fetch('/api/chats').then(async response => {
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+    chats = result.chats;
+    document.getElementById('source').textContent = 'Filters: ' + result.rulesSource;
+    render();
+}).catch(error => {
+    document.getElementById('source').textContent = 'Cannot load chats: ' + error.message;
+});
+</script>`);
+    }
+
+    static layout(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)} · Telegram Digest</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; line-height: 1.5; color: #1f2328; background: #f6f8fa; margin: 0; }
+nav { background: #24292f; padding: 10px 24px; }
+nav a { color: #fff; margin-right: 16px; text-decoration: none; font-weight: 600; }
+main { max-width: 1040px; margin: 0 auto; padding: 24px; }
+section { margin-bottom: 28px; }
+table { border-collapse: collapse; width: 100%; background: #fff; border: 1px solid #d0d7de; font-size: 0.92em; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+th { color: #57606a; font-weight: 600; cursor: default; }
+#chats th { cursor: pointer; user-select: none; }
+td.num, th.num { text-align: right; white-space: nowrap; }
+tr.excluded { color: #8c959f; }
+.muted { color: #57606a; }
+.matches { color: #57606a; font-size: 0.85em; margin-top: 4px; }
+pre { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 10px; max-height: 420px; overflow: auto; white-space: pre-wrap; }
+input, select, button { font: inherit; padding: 4px 8px; }
+</style>
+</head>
+<body>
+<nav><a href="/">Reports</a><a href="/chats">Chats</a></nav>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+    }
+
+    sendHtml(res, html) {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES.html });
+        res.end(html);
+    }
+
+    sendJson(res, status, data) {
+        res.writeHead(status, { 'Content-Type': CONTENT_TYPES.json });
+        res.end(JSON.stringify(data));
+    }
+
+    sendError(res, status, message) {
+        if (res.headersSent) return res.end();
+        res.writeHead(status, { 'Content-Type': CONTENT_TYPES.txt });
+        res.end(message);
+    }
+}
+
+module.exports = DashboardServer;
@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createSink } = require('./delivery-sinks');
+
+/**
+ * Runs the configured delivery sinks after a report is saved
+ * Each sink is retried with exponential backoff unless its error is marked `permanent`;
+ * every outcome is appended to a JSONL delivery log. A failing sink never fails the digest run.
+ */
+class DeliveryManager {
+    /**
+     * @param {string[]} targets - Sink names
+     * @param {Object} options - { retries, backoffMs, logFile }
+     */
+    constructor(targets, {
+        retries = parseInt(process.env.DELIVERY_RETRIES) || 3,
+        backoffMs = parseInt(process.env.DELIVERY_BACKOFF_MS) || 2000,
+        logFile = path.join(process.env.STORE_DIR || './data', 'delivery-log.jsonl')
+    } = {}) {
+        this.targets = targets;
+        this.retries = retries;
+        this.backoffMs = backoffMs;
+        this.logFile = logFile;
+    }
+
+    /**
+     * Targets from --deliver, falling back to DELIVER, both comma-separated
+     * @param {Object} options - Parsed CLI options
+     * @returns {string[]}
+     */
+    static targetsFromOptions(options = {}) {
+        return String(options.deliver || process.env.DELIVER || '')
+            .split(',')
+            .map(target => target.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    /**
+     * @param {Object} report - Result of ReportGenerator.generateReport
+     * @param {Object} context - { period, client, connection }
+     * @returns {Array} One { sink, status, attempts, error } entry per target
+     */
+    async deliver(report, context) {
+        const results = [];
+
+        for (const target of this.targets) {
+            let sink;
+            try {
+                sink = createSink(target);
+            } catch (error) {
+                console.error(`❌ Delivery to ${target} skipped: ${error.message}`);
+                results.push(await this.log({ sink: target, status: 'skipped', attempts: 0, error: error.message }));
+                continue;
+            }
+
+            results.push(await this.log(await this.attempt(sink, report, context)));
+        }
+
+        return results;
+    }
+
+    async attempt(sink, report, context) {
+        let lastError;
+
+        for (let attempt = 1; attempt <= this.retries; attempt++) {
+            try {
+                await sink.deliver(report, context);
+                if (sink.name !== 'telegram') console.log(`📨 Digest delivered via ${sink.name}`);
+                return { sink: sink.name, status: 'delivered', attempts: attempt, error: null };
+            } catch (error) {
+                lastError = error;
+                if (error.permanent) {
+                    console.error(`❌ Delivery via ${sink.name} failed:`, error.message);
+                    return { sink: sink.name, status: 'failed', attempts: attempt, error: error.message };
+                }
+                if (attempt < this.retries) {
+                    const delay = this.backoffMs * Math.pow(2, attempt - 1);
+                    console.warn(`⚠️ Delivery via ${sink.name} failed (${error.message}), retrying in ${delay / 1000}s...`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        // The report is already saved on disk; just record the failure
+        console.error(`❌ Delivery via ${sink.name} failed after ${this.retries} attempts:`, lastError.message);
+        return { sink: sink.name, status: 'failed', attempts: this.retries, error: lastError.message };
+    }
+
+    async log(entry) {
+        const record = { timestamp: new Date().toISOString(), ...entry };
+        try {
+            await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+            await fs.appendFile(this.logFile, JSON.stringify(record) + '\n');
+        } catch (error) {
+            console.warn(`⚠️ Could not write delivery log ${this.logFile}: ${error.message}`);
+        }
+        return record;
+    }
+}
+
+module.exports = DeliveryManager;
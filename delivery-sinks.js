@@ -0,0 +1,156 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const TelegramDelivery = require('./telegram-delivery');
+
+/**
+ * Delivery sinks for saved reports
+ * Every sink exposes deliver(report, context) where report is the object returned by
+ * ReportGenerator.saveReport ({ digest, markdown, json, html, text, files }) and context carries
+ * { period, client, connection }. Sinks throw on failure; DeliveryManager handles retries
+ * unless the error is marked `permanent`.
+ */
+
+/**
+ * POSTs to a webhook; 4xx responses other than timeouts and rate limits mean the request
+ * itself is wrong (bad URL, revoked token, rejected payload) and are not worth retrying
+ */
+async function post(url, body, options) {
+    try {
+        return await axios.post(url, body, options);
+    } catch (error) {
+        const status = error.response?.status;
+        if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+            throw Object.assign(new Error(`HTTP ${status} from ${new URL(url).host}`), { permanent: true });
+        }
+        throw error;
+    }
+}
+
+class TelegramSink {
+    constructor() {
+        this.name = 'telegram';
+        this.delivery = null; // Kept across DeliveryManager retries to resume after the parts already sent
+    }
+
+    async deliver(report, { period, client, connection }) {
+        if (!client) throw new Error('No Telegram connection available');
+        const text = `# ${period.title} Telegram Digest (${period.describe()})\n\n${report.digest}`;
+        this.delivery = this.delivery || new TelegramDelivery(client, connection);
+        await this.delivery.deliver(text);
+    }
+}
+
+/**
+ * SMTP email with HTML and plain-text parts
+ * Point SMTP_HOST/SMTP_PORT at a local catcher (e.g. MailHog on localhost:1025) to test
+ */
+class EmailSink {
+    constructor() {
+        this.name = 'email';
+        this.to = process.env.EMAIL_TO;
+        this.from = process.env.EMAIL_FROM || process.env.SMTP_USER || 'telegram-digest@localhost';
+        if (!this.to) throw new Error('EMAIL_TO is not configured');
+        if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not configured');
+    }
+
+    createTransport() {
+        const nodemailer = require('nodemailer');
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+
+    async deliver(report, { period }) {
+        const subject = `${period.title} Telegram Digest (${period.describe()})`;
+
+        // The HTML and text renderings are always produced, whatever --format saved to disk
+        await this.createTransport().sendMail({
+            from: this.from,
+            to: this.to,
+            subject,
+            text: report.text,
+            html: report.html
+        });
+    }
+}
+
+/**
+ * Generic HTTP webhook: POSTs the JSON report, optionally HMAC-signed with WEBHOOK_SECRET
+ */
+class WebhookSink {
+    constructor() {
+        this.name = 'webhook';
+        this.url = process.env.WEBHOOK_URL;
+        this.secret = process.env.WEBHOOK_SECRET;
+        if (!this.url) throw new Error('WEBHOOK_URL is not configured');
+    }
+
+    async deliver(report) {
+        const body = JSON.stringify(report.json);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers['X-Digest-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+        }
+        await post(this.url, body, { headers, timeout: 15000 });
+    }
+}
+
+/**
+ * Slack / Mattermost incoming webhook
+ * Slack gets its mrkdwn dialect; Mattermost (SLACK_FORMAT=mattermost) renders regular Markdown
+ */
+class SlackSink {
+    constructor(format = process.env.SLACK_FORMAT || 'slack') {
+        this.name = format === 'mattermost' ? 'mattermost' : 'slack';
+        this.format = format;
+        this.url = process.env.SLACK_WEBHOOK_URL;
+        if (!this.url) throw new Error('SLACK_WEBHOOK_URL is not configured');
+    }
+
+    static toMrkdwn(markdown) {
+        return markdown
+            .replace(/^#{1,6}\s+(.*)$/gm, (match, title) => `*${title.replace(/\*\*/g, '')}*`)
+            .replace(/\*\*([^*\n]+)\*\*/g, '*$1*')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<$2|$1>')
+            .replace(/^(\s*)[-+]\s+/gm, '$1• ');
+    }
+
+    async deliver(report, { period }) {
+        const header = `${period.title} Telegram Digest (${period.describe()})`;
+        const text = this.format === 'mattermost'
+            ? `#### ${header}\n\n${report.digest}`
+            : `*${header}*\n\n${SlackSink.toMrkdwn(report.digest)}`;
+        await post(this.url, { text }, { timeout: 15000 });
+    }
+}
+
+const SINKS = {
+    telegram: () => new TelegramSink(),
+    email: () => new EmailSink(),
+    webhook: () => new WebhookSink(),
+    slack: () => new SlackSink(),
+    mattermost: () => new SlackSink('mattermost')
+};
+
+/**
+ * @param {string} name - Sink name (telegram, email, webhook, slack, mattermost)
+ * @returns {Object} Sink instance; throws when unknown or misconfigured
+ */
+function createSink(name) {
+    const factory = SINKS[name];
+    if (!factory) {
+        throw new Error(`Unknown delivery target "${name}". Use one of: ${Object.keys(SINKS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    TelegramSink,
+    EmailSink,
+    WebhookSink,
+    SlackSink,
+    createSink
+};
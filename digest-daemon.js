@@ -0,0 +1,158 @@
+const CronSchedule = require('./cron-schedule');
+const RunLock = require('./run-lock');
+const RunHistory = require('./run-history');
+
+// Wall-clock check interval; short enough to notice a wake from sleep promptly
+const TICK_MS = 30 * 1000;
+const MAX_MISSED_SLOTS = 10000;
+// A failed run is tried once more after this long, unless the next slot comes first
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Long-running scheduler: keeps one Telegram connection open and runs the digest
+ * whenever the cron schedule fires. Slots missed while the process was down or the
+ * machine was asleep are caught up with a single run, and so are failed runs.
+ */
+class DigestDaemon {
+    /**
+     * @param {TelegramDigestApp} app - Application whose runDigest() does the work
+     * @param {string} schedule - Cron expression
+     * @param {Object} options - Digest options passed to every run
+     */
+    constructor(app, schedule, options = {}, { lock = new RunLock(), history = new RunHistory(), retryDelayMs = RETRY_DELAY_MS } = {}) {
+        this.app = app;
+        this.schedule = new CronSchedule(schedule);
+        this.options = options;
+        this.lock = lock;
+        this.history = history;
+        this.retryDelayMs = retryDelayMs;
+        this.retry = null;
+        this.timer = null;
+        this.running = false;
+        this.stopped = false;
+    }
+
+    async start() {
+        // Baseline: the last handled slot, or now on the very first start (nothing to catch up yet)
+        this.lastSlot = await this.history.lastScheduled() || new Date();
+
+        console.log(`⏰ Daemon started with schedule "${this.schedule}"`);
+        await this.app.connection.connect();
+
+        if (!await this.tick()) {
+            console.log(`⏰ Next digest: ${this.schedule.next().toLocaleString()}`);
+        }
+
+        return new Promise(resolve => {
+            this.resolveStopped = resolve;
+            this.timer = setInterval(() => this.tick().catch(error => {
+                // Lock release or the history file failed; the next tick tries again
+                console.error(`❌ Scheduler tick failed: ${error.message}`);
+            }), TICK_MS);
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) clearInterval(this.timer);
+        if (this.resolveStopped) this.resolveStopped();
+    }
+
+    /**
+     * Latest slot that is due, plus how many slots it stands for
+     * @param {Date} now - Current time
+     * @returns {Object|null} { slot, missed }
+     */
+    dueSlot(now = new Date()) {
+        let slot = null;
+        let missed = 0;
+        let cursor = this.schedule.next(this.lastSlot);
+
+        while (cursor <= now && missed < MAX_MISSED_SLOTS) {
+            slot = cursor;
+            missed++;
+            cursor = this.schedule.next(cursor);
+        }
+
+        return slot ? { slot, missed } : null;
+    }
+
+    /**
+     * A slot whose run failed stays due: it is retried once after retryDelayMs and only
+     * then given up, or replaced by the next slot if that comes first
+     * @returns {Promise<boolean>} True when a digest was run
+     */
+    async tick() {
+        if (this.running || this.stopped) return false;
+        const due = this.dueSlot();
+        if (!due) return false;
+
+        const retrying = this.retry !== null && this.retry.slot.getTime() === due.slot.getTime();
+        if (retrying && Date.now() < this.retry.at) return false;
+
+        this.running = true;
+        try {
+            if (retrying) {
+                console.log(`⏰ Retrying the failed digest for ${due.slot.toLocaleString()}`);
+            } else if (due.missed > 1) {
+                console.log(`⏰ Catching up: ${due.missed} scheduled runs were missed, running once for ${due.slot.toLocaleString()}`);
+            }
+            const entry = await this.run(due.slot);
+
+            if (entry.status === 'failed' && !retrying) {
+                this.retry = { slot: due.slot, at: Date.now() + this.retryDelayMs };
+                console.log(`⏰ Retrying at ${new Date(this.retry.at).toLocaleString()} unless the next digest is due first`);
+            } else {
+                this.lastSlot = due.slot;
+                this.retry = null;
+                console.log(`⏰ Next digest: ${this.schedule.next().toLocaleString()}`);
+            }
+            return true;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Runs one digest under the lock and records it in the run history
+     * @param {Date} slot - Scheduled time this run belongs to
+     * @returns {Promise<Object>} History entry
+     */
+    async run(slot) {
+        const startedAt = new Date();
+        const entry = { scheduledFor: slot.toISOString(), startedAt: startedAt.toISOString() };
+
+        try {
+            if (!await this.lock.acquire()) {
+                const holder = await this.lock.holder();
+                console.warn(`⚠️ Skipping scheduled digest: another run is in progress (pid ${holder ? holder.pid : 'unknown'})`);
+                return await this.history.append({ ...entry, finishedAt: new Date().toISOString(), messageCount: 0, status: 'skipped', error: 'Another run holds the lock' });
+            }
+
+            const result = await this.app.runDigest(this.options);
+            return await this.history.append({
+                ...entry,
+                finishedAt: new Date().toISOString(),
+                period: result.period,
+                messageCount: result.messageCount,
+                status: 'success',
+                error: null,
+                files: result.files
+            });
+        } catch (error) {
+            // A failed run is recorded and the daemon keeps going
+            this.app.reportError(error);
+            const failed = { ...entry, finishedAt: new Date().toISOString(), messageCount: 0, status: 'failed', error: error.message };
+            try {
+                return await this.history.append(failed);
+            } catch (historyError) {
+                console.warn(`⚠️ Could not record the run in the history: ${historyError.message}`);
+                return failed;
+            }
+        } finally {
+            await this.lock.release();
+        }
+    }
+}
+
+module.exports = DigestDaemon;
@@ -0,0 +1,154 @@
+/**
+ * Time window covered by a digest run
+ * Resolves --period / --since / --until into concrete dates and wording
+ */
+
+const PRESETS = {
+    daily: { title: 'Daily', label: 'the last 24 hours' },
+    weekly: { title: 'Weekly', label: 'this week' },
+    monthly: { title: 'Monthly', label: 'this month' }
+};
+
+class DigestPeriod {
+    /**
+     * @param {string} name - Preset name (daily, weekly, monthly) or 'custom'
+     * @param {Date} since - Start of the window (inclusive)
+     * @param {Date} until - End of the window (exclusive)
+     */
+    constructor(name, since, until) {
+        if (!(since < until)) {
+            throw new Error(`Invalid digest period: ${since.toISOString()} is not before ${until.toISOString()}`);
+        }
+        this.name = name;
+        this.since = since;
+        this.until = until;
+    }
+
+    /**
+     * Builds a period from CLI options, falling back to DIGEST_PERIOD or weekly
+     * With only --since or only --until, --period gives the length of the window
+     * @param {Object} options - Parsed options ({ period, since, until })
+     * @param {Date} now - Reference time for rolling windows
+     * @returns {DigestPeriod}
+     */
+    static fromOptions(options = {}, now = new Date()) {
+        for (const key of ['since', 'until', 'period']) {
+            // A bare flag parses to true
+            if (options[key] !== undefined && (typeof options[key] !== 'string' || options[key] === '')) {
+                throw new Error(`--${key} needs a value, e.g. --${key} ${key === 'period' ? 'weekly' : '2026-10-01'}`);
+            }
+        }
+
+        if (options.since || options.until) {
+            if (options.since && options.until && options.period) {
+                throw new Error('--period cannot be combined with both --since and --until');
+            }
+            const length = DigestPeriod.presetName(options.period || 'weekly');
+            const since = options.since ? DigestPeriod.parseDate(options.since) : null;
+            let until = options.until ? DigestPeriod.parseDate(options.until) : now;
+            if (since && !options.until && options.period) until = DigestPeriod.shift(length, since, 1);
+            return new DigestPeriod('custom', since || DigestPeriod.shift(length, until), until);
+        }
+
+        const name = DigestPeriod.presetName(options.period || process.env.DIGEST_PERIOD || 'weekly');
+        return new DigestPeriod(name, DigestPeriod.shift(name, now), now);
+    }
+
+    static presetName(name) {
+        if (!PRESETS[name]) {
+            throw new Error(`Unknown period "${name}". Use one of: ${Object.keys(PRESETS).join(', ')}`);
+        }
+        return name;
+    }
+
+    /**
+     * Restores a period saved with toJSON (e.g. the header of a message export)
+     * @param {Object} json - { name, since, until }
+     * @returns {DigestPeriod}
+     */
+    static fromJSON(json) {
+        return new DigestPeriod(json.name, new Date(json.since), new Date(json.until));
+    }
+
+    /**
+     * Parses a YYYY-MM-DD date (local midnight) or any full ISO timestamp
+     * @param {string} value - Date string from the command line
+     * @returns {Date}
+     */
+    static parseDate(value) {
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date "${value}". Expected YYYY-MM-DD or an ISO timestamp`);
+        }
+        return date;
+    }
+
+    /**
+     * Returns the start of a preset window ending at the given date, or with direction 1
+     * the end of one starting there
+     * @param {string} name - Preset name
+     * @param {Date} end - End (start) of the window
+     * @param {number} direction - -1 back, 1 forward
+     * @returns {Date}
+     */
+    static shift(name, end, direction = -1) {
+        const start = new Date(end);
+        if (name === 'daily') start.setDate(start.getDate() + direction);
+        else if (name === 'monthly') start.setMonth(start.getMonth() + direction);
+        else start.setDate(start.getDate() + 7 * direction);
+        return start;
+    }
+
+    contains(date) {
+        return date >= this.since && date < this.until;
+    }
+
+    get days() {
+        return Math.max(1, Math.round((this.until - this.since) / 86400000));
+    }
+
+    get title() {
+        return PRESETS[this.name]?.title || 'Custom';
+    }
+
+    get label() {
+        if (PRESETS[this.name]) return PRESETS[this.name].label;
+        return `the period ${this.describe()}`;
+    }
+
+    /**
+     * Human-readable date range, e.g. "2026-10-01 → 2026-10-08"
+     * @returns {string}
+     */
+    describe() {
+        return `${DigestPeriod.formatDate(this.since)} → ${DigestPeriod.formatDate(this.until)}`;
+    }
+
+    /**
+     * Base filename for reports of this period (without extension)
+     * @returns {string}
+     */
+    get filePrefix() {
+        if (PRESETS[this.name]) return `${this.name}-digest-${DigestPeriod.formatDate(this.until)}`;
+        return `digest-${DigestPeriod.formatDate(this.since)}_${DigestPeriod.formatDate(this.until)}`;
+    }
+
+    static formatDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            since: this.since.toISOString(),
+            until: this.until.toISOString(),
+            days: this.days
+        };
+    }
+}
+
+module.exports = DigestPeriod;
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ChatUtils = require('./chat-utils');
+
+/**
+ * Declarative chat and message filter rules
+ * Loaded from filters.json / filters.yaml (or FILTERS_FILE). Evaluation order:
+ *   1. allow           - chats that are always included, whatever the rules say
+ *   2. folders.exclude - chats in any of these Telegram folders are excluded
+ *   3. rules           - ordered include/exclude chat rules, first match decides
+ *   4. folders.include - chats in these folders are included, all others excluded
+ *   5. built-in        - default rules below, unless "useDefaults": false
+ *   6. default         - "include" or "exclude" when nothing matched
+ * Message rules work the same way with messageRules + built-in message rules.
+ */
+
+const SPAM_TITLE_KEYWORDS = [
+    // Trading & Crypto
+    'trading', 'crypto', 'bitcoin', 'btc', 'eth', 'pump', 'signal', 'trend',
+    'coin', 'binance', 'solana', 'ethereum', 'token', 'defi', 'nft',
+    'doge', 'shib', 'altcoin', 'protocol', 'dao', 'web3', 'blockchain',
+    'airdrop', 'presale', 'launch', 'listing', 'dex', 'swap',
+    'xrp', 'ripple', 'cardano', 'ada', 'matic', 'polygon', 'bnb',
+    // Not 'labs', 'uni', 'link' or 'win': they name research, university and study groups just as often
+    'usdt', 'usdc', 'stablecoin', 'luna', 'avax', 'dot',
+    'sushi', 'cake', 'farm', 'yield', 'stake', 'mining',
+    'hodl', 'fomo', 'ath', 'desci', 'seedify', 'ido', 'ico',
+    'pink', 'karma', 'cult', 'nerd', 'origo',
+    // Gambling
+    'casino', 'betting', 'lottery', 'prize', 'jackpot',
+    // Memes & Spam
+    'meme', 'trending', 'moonshot', 'gem'
+];
+
+const SPAM_MESSAGE_KEYWORDS = [
+    '🚀', '💎', 'TO THE MOON', 'HODL', 'BUY NOW', 'PUMP', 'LAMBO',
+    'SIGNAL', 'ENTRY', 'TARGET', 'STOP LOSS', '🎰', '💰', '🤑'
+];
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DEFAULT_RULES = [
+    { name: 'built-in: channels', action: 'exclude', type: 'channel' },
+    { name: 'built-in: bots', action: 'exclude', type: 'bot' },
+    {
+        name: 'built-in: crypto/spam keywords',
+        action: 'exclude',
+        type: 'group',
+        // Whole words only, so "Ethics class" or "Winter trip" no longer match "eth" / "win"
+        title: `\\b(?:${SPAM_TITLE_KEYWORDS.map(escapeRegex).join('|')})\\b`
+    }
+];
+
+const DEFAULT_MESSAGE_RULES = [
+    {
+        name: 'built-in: spam phrases',
+        action: 'exclude',
+        pattern: SPAM_MESSAGE_KEYWORDS.map(escapeRegex).join('|')
+    },
+    { name: 'built-in: emoji flood', action: 'exclude', minEmojis: 6 },
+    { name: 'built-in: forwarded in groups', action: 'exclude', type: 'group', forwarded: true, fromMe: false }
+];
+
+const EMOJI_REGEX = /[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu;
+
+const FILE_CANDIDATES = ['filters.json', 'filters.yaml', 'filters.yml'];
+
+// A misspelled condition would otherwise leave a rule without conditions, matching every chat
+const RULE_KEYS = [
+    'name', 'action', 'flags', 'chatId', 'title', 'type', 'folder', 'minMembers', 'maxMembers',
+    'pattern', 'forwarded', 'fromMe', 'minEmojis'
+];
+const CHAT_TYPES = ['dm', 'group', 'channel', 'bot'];
+
+class FilterRules {
+    constructor(config = {}, source = null) {
+        this.source = source;
+        const folders = FilterRules.folderRules(config.folders);
+        this.allow = FilterRules.compileAll(config.allow || [], 'allow');
+        this.rules = [
+            ...FilterRules.compileAll(folders.exclude, 'folders.exclude'),
+            ...FilterRules.compileAll(config.rules || [], 'rule'),
+            ...FilterRules.compileAll(folders.include, 'folders.include')
+        ];
+        this.messageRules = FilterRules.compileAll(config.messageRules || [], 'message rule');
+        if (config.useDefaults !== false) {
+            this.rules.push(...FilterRules.compileAll(DEFAULT_RULES, 'rule'));
+            this.messageRules.push(...FilterRules.compileAll(DEFAULT_MESSAGE_RULES, 'message rule'));
+        }
+        this.defaultAction = config.default === 'exclude' ? 'exclude' : 'include';
+        this.description = FilterRules.describe(config, source, folders);
+    }
+
+    /**
+     * One line for reports, e.g. "filters.yaml: 2 rules, only folders Work; built-in exclusions (...)"
+     * @param {Object} config - Rules config
+     * @param {string} source - File the rules came from
+     * @param {Object} folders - Result of folderRules
+     * @returns {string} Description of the active rules
+     */
+    static describe(config, source, folders) {
+        const count = (list, word) => list && list.length > 0 ? [`${list.length} ${word}${list.length === 1 ? '' : 's'}`] : [];
+        const custom = [
+            ...count(config.allow, 'allowed chat'),
+            ...count(config.rules, 'rule'),
+            ...count(config.messageRules, 'message rule'),
+            ...folders.exclude.map(rule => `excluding folders ${rule.folder.join(', ')}`),
+            ...folders.include.slice(0, 1).map(rule => `only folders ${rule.folder.join(', ')}`)
+        ];
+        const parts = [
+            custom.join(', '),
+            config.useDefaults !== false ? 'built-in exclusions (channels, bots, crypto/spam groups)' : '',
+            config.default === 'exclude' ? 'other chats excluded' : ''
+        ].filter(Boolean);
+
+        return `${source ? path.basename(source) : 'No filters file'}: ${parts.join('; ') || 'no rules'}`;
+    }
+
+    /**
+     * Loads rules from FILTERS_FILE or the first filters.{json,yaml,yml} in the working directory
+     * @param {string} file - Optional explicit path
+     * @returns {FilterRules} Built-in rules only when no file exists
+     */
+    static load(file = process.env.FILTERS_FILE) {
+        const candidates = file ? [file] : FILE_CANDIDATES;
+        const found = candidates.find(candidate => fs.existsSync(candidate));
+
+        if (!found) {
+            if (file) throw new Error(`Filter rules file not found: ${file}`);
+            return new FilterRules();
+        }
+
+        const content = fs.readFileSync(found, 'utf8');
+        let config;
+        try {
+            config = /\.ya?ml$/i.test(found) ? yaml.load(content) : JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid filter rules in ${found}: ${error.message}`);
+        }
+        return new FilterRules(config || {}, path.resolve(found));
+    }
+
+    /**
+     * Turns { include: [...], exclude: [...] } folder names into chat rules
+     * @param {Object} folders - "folders" section of the config
+     * @returns {Object} { exclude, include } rule lists for either end of the user's rules
+     */
+    static folderRules(folders) {
+        if (folders === undefined || folders === null) return { exclude: [], include: [] };
+        if (typeof folders !== 'object' || Array.isArray(folders)) {
+            throw new Error('Invalid "folders" in filter rules: expected { include: [...], exclude: [...] }');
+        }
+        const toList = value => [].concat(value ?? []).map(String).filter(Boolean);
+        const include = toList(folders.include);
+        const exclude = toList(folders.exclude);
+
+        return {
+            exclude: exclude.length > 0
+                ? [{ name: `folders.exclude: ${exclude.join(', ')}`, action: 'exclude', folder: exclude }]
+                : [],
+            // "Only these folders": a chat outside all of them falls through to the catch-all
+            include: include.length > 0
+                ? [
+                    { name: `folders.include: ${include.join(', ')}`, action: 'include', folder: include },
+                    { name: `folders.include: not in ${include.join(', ')}`, action: 'exclude' }
+                ]
+                : []
+        };
+    }
+
+    /**
+     * @returns {string[]} Lowercased folder names the chat rules refer to
+     */
+    folderNames() {
+        return [...new Set([...this.allow, ...this.rules].flatMap(rule => rule.folder || []))];
+    }
+
+    static compileAll(rules, kind) {
+        return rules.map((rule, index) => FilterRules.compile(rule, `${kind} #${index + 1}`));
+    }
+
+    static compile(rule, fallbackName) {
+        const ruleName = rule?.name || fallbackName;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new Error(`Invalid filter ${ruleName}: expected an object with conditions`);
+        }
+        const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown ${unknown.length === 1 ? 'key' : 'keys'} ${unknown.map(key => `"${key}"`).join(', ')} in filter ${ruleName}. Supported: ${RULE_KEYS.join(', ')}`);
+        }
+        if (rule.action && !['include', 'exclude'].includes(rule.action)) {
+            throw new Error(`Invalid action "${rule.action}" in filter ${ruleName}`);
+        }
+        const types = rule.type === undefined ? [] : [].concat(rule.type);
+        const badType = types.find(type => !CHAT_TYPES.includes(type));
+        if (badType !== undefined) {
+            throw new Error(`Invalid type ${JSON.stringify(badType)} in filter ${ruleName}. Use one of: ${CHAT_TYPES.join(', ')}`);
+        }
+        for (const key of ['minMembers', 'maxMembers', 'minEmojis']) {
+            if (rule[key] !== undefined && rule[key] !== null && !Number.isFinite(rule[key])) {
+                throw new Error(`Invalid ${key} ${JSON.stringify(rule[key])} in filter ${ruleName}: expected a number`);
+            }
+        }
+        for (const key of ['forwarded', 'fromMe']) {
+            if (rule[key] !== undefined && rule[key] !== null && typeof rule[key] !== 'boolean') {
+                throw new Error(`Invalid ${key} ${JSON.stringify(rule[key])} in filter ${ruleName}: expected true or false`);
+            }
+        }
+        const toList = value => value === undefined ? null : [].concat(value).map(String);
+        const toRegex = value => {
+            if (value === undefined) return null;
+            try {
+                // g and y make test() continue from the previous match, so the same chat could match once and then not
+                return new RegExp(value, String(rule.flags ?? 'i').replace(/[gy]/g, ''));
+            } catch (error) {
+                throw new Error(`Invalid regex in filter ${ruleName}: ${error.message}`);
+            }
+        };
+
+        return {
+            name: ruleName,
+            action: rule.action || 'include',
+            chatId: toList(rule.chatId),
+            title: toRegex(rule.title),
+            type: toList(rule.type),
+            folder: toList(rule.folder)?.map(folder => folder.toLowerCase()),
+            minMembers: rule.minMembers ?? null,
+            maxMembers: rule.maxMembers ?? null,
+            pattern: toRegex(rule.pattern),
+            forwarded: rule.forwarded ?? null,
+            fromMe: rule.fromMe ?? null,
+            minEmojis: rule.minEmojis ?? null
+        };
+    }
+
+    /**
+     * Decides whether a dialog is included and which rule decided
+     * @param {Object} dialog - Telegram dialog
+     * @param {string[]} folders - Folder names the dialog belongs to
+     * @returns {Object} { include, rule }
+     */
+    evaluateDialog(dialog, folders = []) {
+        const entity = dialog.entity;
+        const chat = {
+            chatId: entity.id?.toString(),
+            title: ChatUtils.getChatTitle(entity, ''),
+            type: ChatUtils.getChatType(entity).type,
+            members: entity.participantsCount,
+            folders: folders.map(folder => folder.toLowerCase())
+        };
+
+        const allowed = this.allow.find(rule => FilterRules.matchesChat(rule, chat));
+        if (allowed) return { include: true, rule: `allow: ${allowed.name}` };
+
+        const rule = this.rules.find(candidate => FilterRules.matchesChat(candidate, chat));
+        if (rule) return { include: rule.action === 'include', rule: rule.name };
+
+        return { include: this.defaultAction === 'include', rule: `default: ${this.defaultAction}` };
+    }
+
+    static matchesChat(rule, chat) {
+        if (rule.chatId && !rule.chatId.includes(chat.chatId)) return false;
+        if (rule.title && !rule.title.test(chat.title)) return false;
+        if (rule.type && !rule.type.includes(chat.type)) return false;
+        if (rule.folder && !rule.folder.some(folder => chat.folders.includes(folder))) return false;
+        if (rule.minMembers !== null && !(chat.members >= rule.minMembers)) return false;
+        if (rule.maxMembers !== null && !(chat.members <= rule.maxMembers)) return false;
+        return true;
+    }
+
+    /**
+     * Decides whether a message is included and which rule decided
+     * @param {Object} message - { text, chatId, chatType, forwarded, fromMe }
+     * @returns {Object} { include, rule }
+     */
+    evaluateMessage(message) {
+        const rule = this.messageRules.find(candidate => FilterRules.matchesMessage(candidate, message));
+        if (rule) return { include: rule.action === 'include', rule: rule.name };
+        return { include: true, rule: 'default: include' };
+    }
+
+    static matchesMessage(rule, message) {
+        if (rule.chatId && !rule.chatId.includes(message.chatId)) return false;
+        if (rule.type && !rule.type.includes(message.chatType)) return false;
+        if (rule.pattern && !rule.pattern.test(message.text)) return false;
+        if (rule.forwarded !== null && rule.forwarded !== message.forwarded) return false;
+        if (rule.fromMe !== null && rule.fromMe !== message.fromMe) return false;
+        if (rule.minEmojis !== null && FilterRules.countEmojis(message.text) < rule.minEmojis) return false;
+        return true;
+    }
+
+    static countEmojis(text) {
+        return (text.match(EMOJI_REGEX) || []).length;
+    }
+}
+
+module.exports = FilterRules;
@@ -0,0 +1,234 @@
+const axios = require('axios');
+
+/**
+ * LLM provider layer
+ * Every provider exposes complete({ system, prompt }) → text and is configured
+ * through environment variables prefixed with the provider's name, e.g.
+ * OPENAI_MODEL, ANTHROPIC_MAX_TOKENS, OLLAMA_TIMEOUT_MS
+ */
+
+class LLMProvider {
+    /**
+     * @param {string} name - Provider id (deepseek, openai, anthropic, ollama, llamacpp, echo)
+     * @param {Object} config - { model, apiUrl, apiKey, temperature, maxTokens, timeout }
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.model = config.model;
+        this.apiUrl = config.apiUrl;
+        this.apiKey = config.apiKey;
+        this.temperature = config.temperature;
+        this.maxTokens = config.maxTokens;
+        this.timeout = config.timeout;
+        this.requiresApiKey = false;
+    }
+
+    /**
+     * Reads the provider settings from `${PREFIX}_*` environment variables
+     * @param {string} prefix - Env prefix, e.g. 'OPENAI'
+     * @param {Object} defaults - Defaults for unset variables
+     * @returns {Object} Provider config
+     */
+    static configFromEnv(prefix, defaults) {
+        const env = name => process.env[`${prefix}_${name}`];
+        return {
+            model: env('MODEL') || defaults.model,
+            apiUrl: env('API_URL') || defaults.apiUrl,
+            apiKey: env('API_KEY') || defaults.apiKey,
+            temperature: LLMProvider.parseTemperature(env('TEMPERATURE'), `${prefix}_TEMPERATURE`, defaults),
+            maxTokens: parseInt(env('MAX_TOKENS')) || defaults.maxTokens || 2000,
+            timeout: parseInt(env('TIMEOUT_MS')) || defaults.timeout || 30000
+        };
+    }
+
+    /**
+     * @param {string} value - Raw environment value
+     * @param {string} name - Variable name for the warning
+     * @param {Object} defaults - { temperature, maxTemperature } of the provider
+     * @returns {number} The value, or the provider's default when unset, empty or out of range
+     */
+    static parseTemperature(value, name, { temperature = 0.3, maxTemperature = 2 } = {}) {
+        if (value === undefined || value.trim() === '') return temperature;
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed < 0 || parsed > maxTemperature) {
+            console.warn(`⚠️ Ignoring ${name}=${value}: expected a number from 0 to ${maxTemperature}, using ${temperature}`);
+            return temperature;
+        }
+        return parsed;
+    }
+
+    /**
+     * Returns a human-readable configuration problem, or null when ready to use
+     * @returns {string|null}
+     */
+    configError() {
+        if (this.requiresApiKey && !this.apiKey) {
+            return `${this.name.toUpperCase()}_API_KEY not configured. Please add it to your .env file.`;
+        }
+        return null;
+    }
+
+    describe() {
+        return `${this.name}/${this.model}`;
+    }
+
+    async complete({ system, prompt }) {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat completions format
+ * (OpenAI, DeepSeek, llama.cpp server, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(name, config, { requiresApiKey = true } = {}) {
+        super(name, config);
+        this.requiresApiKey = requiresApiKey;
+    }
+
+    async complete({ system, prompt }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+        const response = await axios.post(this.apiUrl, {
+            model: this.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: this.maxTokens,
+            temperature: this.temperature
+        }, { headers, timeout: this.timeout });
+
+        return response.data.choices[0].message.content;
+    }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+    constructor(name, config) {
+        super(name, config);
+        this.requiresApiKey = true;
+    }
+
+    async complete({ system, prompt }) {
+        const response = await axios.post(this.apiUrl, {
+            model: this.model,
+            system,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: this.maxTokens,
+            temperature: this.temperature
+        }, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                'Content-Type': 'application/json'
+            },
+            timeout: this.timeout
+        });
+
+        return response.data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+}
+
+/**
+ * Local Ollama server (/api/chat)
+ */
+class OllamaProvider extends LLMProvider {
+    async complete({ system, prompt }) {
+        const response = await axios.post(this.apiUrl, {
+            model: this.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ],
+            stream: false,
+            options: {
+                temperature: this.temperature,
+                num_predict: this.maxTokens
+            }
+        }, { timeout: this.timeout });
+
+        return response.data.message.content;
+    }
+}
+
+/**
+ * Deterministic offline provider: echoes the prompt back, no network involved
+ */
+class EchoProvider extends LLMProvider {
+    async complete({ system, prompt }) {
+        return `## Echo Digest\n\n_Offline echo provider: the prompt below is what a real model would receive._\n\n**System:** ${system}\n\n\`\`\`\n${prompt.trim()}\n\`\`\``;
+    }
+}
+
+/**
+ * Records every request instead of sending it; used by --dry-run-prompt
+ */
+class DryRunProvider extends LLMProvider {
+    constructor() {
+        super('dry-run', { model: 'none' });
+        this.calls = [];
+    }
+
+    async complete({ system, prompt }) {
+        this.calls.push({ system, prompt });
+        return `[dry run: summary #${this.calls.length} would be generated here]`;
+    }
+}
+
+const PROVIDERS = {
+    deepseek: () => new OpenAICompatibleProvider('deepseek', LLMProvider.configFromEnv('DEEPSEEK', {
+        model: 'deepseek-chat',
+        apiUrl: 'https://api.deepseek.com/v1/chat/completions'
+    })),
+    openai: () => new OpenAICompatibleProvider('openai', LLMProvider.configFromEnv('OPENAI', {
+        model: 'gpt-4o-mini',
+        apiUrl: 'https://api.openai.com/v1/chat/completions'
+    })),
+    llamacpp: () => new OpenAICompatibleProvider('llamacpp', LLMProvider.configFromEnv('LLAMACPP', {
+        model: 'local',
+        apiUrl: 'http://127.0.0.1:8080/v1/chat/completions',
+        timeout: 300000
+    }), { requiresApiKey: false }),
+    anthropic: () => new AnthropicProvider('anthropic', LLMProvider.configFromEnv('ANTHROPIC', {
+        model: 'claude-3-5-haiku-latest',
+        apiUrl: 'https://api.anthropic.com/v1/messages',
+        maxTemperature: 1
+    })),
+    ollama: () => new OllamaProvider('ollama', LLMProvider.configFromEnv('OLLAMA', {
+        model: 'llama3.1',
+        apiUrl: 'http://127.0.0.1:11434/api/chat',
+        timeout: 300000
+    })),
+    echo: () => new EchoProvider('echo', LLMProvider.configFromEnv('ECHO', { model: 'echo' }))
+};
+
+/**
+ * Creates the configured provider (LLM_PROVIDER, default: deepseek)
+ * @param {string} name - Optional provider name overriding LLM_PROVIDER
+ * @returns {LLMProvider}
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'deepseek') {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    LLMProvider,
+    OpenAICompatibleProvider,
+    AnthropicProvider,
+    OllamaProvider,
+    EchoProvider,
+    DryRunProvider,
+    createProvider
+};
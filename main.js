@@ -1,106 +1,465 @@
+const path = require('path');
 const TelegramConnection = require('./telegram-client');
 const MessageFilter = require('./message-filter');
 const MessageFetcher = require('./message-fetcher');
 const ReportGenerator = require('./report-generator');
 const ChatUtils = require('./chat-utils');
+const DigestPeriod = require('./digest-period');
+const CliArgs = require('./cli-args');
+const MessageStore = require('./message-store');
+const SenderResolver = require('./sender-resolver');
+const { createProvider } = require('./llm-provider');
+const Redactor = require('./redactor');
+const DeliveryManager = require('./delivery-manager');
+const DigestDaemon = require('./digest-daemon');
+const RunLock = require('./run-lock');
+const ActionItemStore = require('./action-item-store');
+const { parseFormats, createRenderer } = require('./report-renderers');
+const ReportArchive = require('./report-archive');
+const TrendHistory = require('./trend-history');
+const Profiles = require('./profiles');
+const FilterRules = require('./filter-rules');
+const DashboardServer = require('./dashboard-server');
+const MessageExport = require('./message-export');
 
 class TelegramDigestApp {
-    constructor() {
-        this.connection = new TelegramConnection();
+    /**
+     * @param {Object} options - { accounts } from Profiles.applyCombined to fetch from several
+     *                           accounts; the first account's connection delivers the digest.
+     *                           { connections, reporter } replace the Telegram connections and the
+     *                           report generator (replayed fixtures, stub LLM providers in tests)
+     */
+    constructor({ accounts = null, connections = null, reporter = new ReportGenerator() } = {}) {
+        this.accounts = accounts;
+        this.connections = connections || (accounts ? accounts.map(account => new TelegramConnection(account)) : [new TelegramConnection()]);
+        this.connection = this.connections[0];
+        this.chatCoverage = [];
+        this.filtersApplied = null;
         this.filter = null;
         this.fetcher = null;
-        this.reporter = new ReportGenerator();
+        this.reporter = reporter;
     }
 
-    async generateWeeklyDigest() {
+    async generateDigest(options = {}) {
+        const lock = new RunLock();
         try {
-            // 1. Connect to Telegram
-            console.log('🚀 Starting weekly digest generation...');
-            const { client, me } = await this.connection.connect();
+            if (!options.dryRunPrompt && !await lock.acquire()) {
+                const holder = await lock.holder();
+                throw new Error(`Another digest run is in progress (pid ${holder ? holder.pid : 'unknown'}, lock: ${lock.file})`);
+            }
+
+            return await this.runDigest(options);
+
+        } catch (error) {
+            this.reportError(error);
+            process.exitCode = 1;
+        } finally {
+            await lock.release();
+            await this.disconnect();
+        }
+    }
+
+    /**
+     * Generates one digest on the current (or a new) connection; errors propagate to the caller
+     * @returns {Promise<Object>} { period, messageCount, files }
+     */
+    async runDigest(options = {}) {
+        if (options.fromFile) return this.runOfflineDigest(options);
 
-            // 2. Initialize components
-            this.filter = new MessageFilter(me);
-            this.fetcher = new MessageFetcher(client, this.filter, this.connection);
+        const period = DigestPeriod.fromOptions(options);
+        const formats = parseFormats(options.format);
+        this.configureReporter(options);
 
-            // 3. Fetch messages from regular dialogs
-            const messages = await this.fetcher.fetchWeeklyMessages();
+        // 1. Connect to Telegram
+        console.log(`🚀 Starting ${period.title.toLowerCase()} digest generation (${period.describe()})...`);
+        const { client, me } = await this.connection.connect();
 
-            // 4. Optionally check archived dialogs (if enabled)
-            if (process.env.INCLUDE_ARCHIVED === 'true') {
-                console.log('📁 Checking archived dialogs...');
-                const archivedMessages = await this.fetcher.fetchArchivedMessages();
-                messages.push(...archivedMessages);
-                console.log(`📁 Total messages including archived: ${messages.length}`);
+        // 2-4. Initialize components and fetch regular + archived dialogs
+        const messages = await this.collectMessages(client, me, period, options);
+
+        if (options.dryRunPrompt) {
+            await this.reporter.previewPrompt(messages, period, {
+                actionItems: ActionItemStore.isEnabled(options),
+                trends: TrendHistory.isEnabled(options) ? new TrendHistory() : null
+            });
+            return { period: period.toJSON(), messageCount: messages.length, files: [] };
+        }
+
+        // 5. Generate and save report
+        const actionItems = ActionItemStore.isEnabled(options) ? await new ActionItemStore().load() : null;
+        const trends = TrendHistory.isEnabled(options) ? new TrendHistory() : null;
+        const report = await this.reporter.generateReport(messages, period, this.chatCoverage, { actionItems, trends, formats, filtersApplied: this.filtersApplied });
+
+        // 6. Optionally deliver it
+        await this.deliverDigest(report, period, client, options);
+
+        console.log(`✅ ${period.title} digest completed successfully!`);
+        return { period: period.toJSON(), messageCount: messages.length, files: report.files };
+    }
+
+    /**
+     * digest --from-file: report from a message export without connecting to Telegram
+     * The period is the export's own unless --period/--since/--until narrow it. Action items
+     * and trend history are left untouched, so prompts and models can be compared freely.
+     * @returns {Promise<Object>} { period, messageCount, files }
+     */
+    async runOfflineDigest(options = {}) {
+        const formats = parseFormats(options.format);
+        const { header, messages: records } = await MessageExport.read(options.fromFile);
+        if (records.length === 0) throw new Error(`No messages in ${options.fromFile}`);
+
+        let period;
+        if (options.period || options.since || options.until) {
+            period = DigestPeriod.fromOptions(options);
+        } else if (header) {
+            period = DigestPeriod.fromJSON(header.period);
+        } else {
+            // Plain message JSONL (e.g. data/messages.jsonl): the span of its messages
+            // A loop, not Math.min(...times): spreading a large file overflows the call stack
+            let first = Infinity;
+            let last = -Infinity;
+            for (const msg of records) {
+                const time = MessageExport.messageDate(msg).getTime();
+                if (time < first) first = time;
+                if (time > last) last = time;
             }
+            period = new DigestPeriod('custom', new Date(first), new Date(last + 1000));
+        }
+
+        const messages = records.filter(msg => period.contains(MessageExport.messageDate(msg)));
+        this.chatCoverage = header ? header.chatCoverage || [] : [];
+        this.configureReporter(options);
 
-            // 5. Generate and save report
-            await this.reporter.generateReport(messages);
-            
-            console.log('✅ Weekly digest completed successfully!');
+        console.log(`📂 ${period.title} digest from ${options.fromFile} (${period.describe()}): ${messages.length} of ${records.length} messages${header?.anonymized ? ', anonymized export' : ''}`);
+        if (DeliveryManager.targetsFromOptions(options).length > 0) {
+            console.log('⚠️ Offline digests are not delivered; the report is only saved');
+        }
+
+        if (options.dryRunPrompt) {
+            await this.reporter.previewPrompt(messages, period, { actionItems: false, trends: null });
+            return { period: period.toJSON(), messageCount: messages.length, files: [] };
+        }
 
+        const report = await this.reporter.generateReport(messages, period, this.chatCoverage, { actionItems: null, trends: null, formats });
+        console.log(`✅ ${period.title} digest completed successfully!`);
+        return { period: period.toJSON(), messageCount: messages.length, files: report.files };
+    }
+
+    configureReporter(options = {}) {
+        if (options.provider || options.redact) {
+            this.reporter = new ReportGenerator(createProvider(options.provider), {
+                redact: Redactor.isEnabled(options)
+            });
+        }
+    }
+
+    async runDaemon(options = {}) {
+        const schedule = options.schedule || process.env.DIGEST_SCHEDULE;
+        if (!schedule) {
+            console.error('❌ No schedule given. Use --schedule "0 8 * * MON" or set DIGEST_SCHEDULE.');
+            return;
+        }
+
+        try {
+            this.daemon = new DigestDaemon(this, schedule, options);
+            await this.daemon.start();
         } catch (error) {
-            console.error('❌ Error:', error.message);
-            
-            if (error.message.includes('FLOOD')) {
-                console.log('\n⚠️ Rate limited! Wait 30+ minutes before trying again.');
-            } else if (error.message.includes('AUTH')) {
-                console.log('\n🔑 Authentication failed. Please check your credentials in .env file.');
-            } else if (error.message.includes('NETWORK') || error.message.includes('timeout')) {
-                console.log('\n🌐 Network error. Please check your internet connection and try again.');
+            this.reportError(error);
+        } finally {
+            await this.disconnect();
+        }
+    }
+
+    /**
+     * serve [--host] [--port]: local web dashboard; digests started from it use the other options
+     */
+    async serve(options = {}) {
+        try {
+            this.dashboard = new DashboardServer(this, options, {
+                host: typeof options.host === 'string' ? options.host : undefined,
+                port: options.port !== undefined ? parseInt(options.port) : undefined
+            });
+            await this.dashboard.start();
+        } catch (error) {
+            this.reportError(error);
+            process.exitCode = 1;
+        } finally {
+            await this.disconnect();
+        }
+    }
+
+    /**
+     * login [--qr] [--encrypt]: interactive sign-in that stores the session file
+     */
+    async login(options = {}) {
+        try {
+            if (this.accounts) throw new Error('Log in to one profile at a time: --profile NAME');
+            await this.connection.login({ qr: Boolean(options.qr), encrypt: Boolean(options.encrypt) });
+            console.log('✅ Logged in. Digests will now run without prompts.');
+        } catch (error) {
+            this.reportError(error);
+            process.exitCode = 1;
+        } finally {
+            await this.disconnect();
+        }
+    }
+
+    async logout() {
+        try {
+            if (this.accounts) throw new Error('Log out of one profile at a time: --profile NAME');
+            await this.connection.logout();
+        } catch (error) {
+            this.reportError(error);
+            process.exitCode = 1;
+        } finally {
+            await this.disconnect();
+        }
+    }
+
+    async whoami() {
+        try {
+            for (const connection of this.connections) {
+                const { me } = await connection.connect();
+                const session = connection.sessionSource === 'env' ? 'TELEGRAM_SESSION'
+                    : connection.sessionSource === 'replay' ? `replay of ${connection.replay}`
+                    : `${connection.sessionStore.file}${(await connection.sessionStore.read())?.encrypted ? ' (encrypted)' : ''}`;
+
+                console.log(`\n👤 ${[me.firstName, me.lastName].filter(Boolean).join(' ')}${me.username ? ` (@${me.username})` : ''}`);
+                console.log(`   Id:      ${me.id}`);
+                if (me.phone) console.log(`   Phone:   +${me.phone}`);
+                if (connection.name) console.log(`   Profile: ${connection.name}`);
+                console.log(`   Session: ${session}`);
             }
+        } catch (error) {
+            this.reportError(error);
+            process.exitCode = 1;
         } finally {
-            await this.connection.disconnect();
+            await this.disconnect();
         }
     }
 
-    async listChats() {
+    async syncMessages(options = {}) {
+        // Digest runs save the same store; its compaction would drop lines appended by a concurrent sync
+        const lock = new RunLock();
         try {
-            console.log('📋 Analyzing your chats...\n');
+            if (!MessageStore.isEnabled(options)) {
+                throw new Error('Message store is disabled (MESSAGE_STORE=false or --no-store); nothing to sync into');
+            }
+            if (!await lock.acquire()) {
+                const holder = await lock.holder();
+                throw new Error(`Another digest or sync run is in progress (pid ${holder ? holder.pid : 'unknown'}, lock: ${lock.file})`);
+            }
 
+            const period = DigestPeriod.fromOptions(options);
+            console.log(`🔄 Syncing messages into the local store (backfill: ${period.describe()})...`);
             const { client, me } = await this.connection.connect();
-            this.filter = new MessageFilter(me);
 
-            const dialogs = await client.getDialogs({ limit: 100 });
+            await this.collectMessages(client, me, period, options);
+
+            const { added, updated } = this.syncStats;
+            console.log(`✅ Sync completed: ${added} new, ${updated} edited messages stored in ${this.accounts ? this.accounts.map(account => account.storeDir).join(', ') : this.fetcher.store.dir}`);
+
+        } catch (error) {
+            this.reportError(error);
+            process.exitCode = 1;
+        } finally {
+            await lock.release();
+            await this.disconnect();
+        }
+    }
+
+    /**
+     * export [--format jsonl|csv] [--output FILE] [--anonymize]: writes the filtered message
+     * set of a period to a file instead of generating a digest
+     */
+    async exportMessages(options = {}) {
+        try {
+            const format = MessageExport.parseFormat(options.format || 'jsonl');
+            const period = DigestPeriod.fromOptions(options);
+            const file = typeof options.output === 'string' ? options.output : MessageExport.defaultFile(period, format);
+
+            console.log(`📤 Exporting messages (${period.describe()})...`);
+            const { client, me } = await this.connection.connect();
+            let messages = await this.collectMessages(client, me, period, options);
+            let chatCoverage = this.chatCoverage;
+
+            if (options.anonymize) {
+                ({ messages, chatCoverage } = MessageExport.anonymize(messages, chatCoverage, Redactor.load()));
+            }
+
+            await MessageExport.write(file, messages, { format, period, chatCoverage, anonymized: Boolean(options.anonymize) });
+            console.log(`✅ Exported ${messages.length} messages from ${new Set(messages.map(msg => msg.chatId)).size} chats to ${file}${options.anonymize ? ' (anonymized)' : ''}`);
+            if (!options.anonymize) {
+                console.log('⚠️ The export contains real names and message texts; use --anonymize before sharing it');
+            }
+
+        } catch (error) {
+            this.reportError(error);
+            process.exitCode = 1;
+        } finally {
+            await this.disconnect();
+        }
+    }
+
+    async collectMessages(client, me, period, options = {}) {
+        if (this.accounts) return this.collectFromAccounts(period, options);
+
+        const messages = await this.fetchAccount(client, me, period, options, {
+            connection: this.connection,
+            includeArchived: process.env.INCLUDE_ARCHIVED === 'true'
+        });
+        this.chatCoverage = this.fetcher.chatCoverage;
+        this.syncStats = { ...this.fetcher.syncStats };
+        this.filtersApplied = this.filter.rules.description;
+        return messages;
+    }
+
+    /**
+     * Combined mode: fetches every profile's account with its own store and filter rules
+     * and labels each message with the profile it came from. Chat ids are prefixed with
+     * the profile name so the same chat seen from two accounts stays apart.
+     */
+    async collectFromAccounts(period, options = {}) {
+        const messages = [];
+        this.chatCoverage = [];
+        this.syncStats = { added: 0, updated: 0 };
+        const filters = [];
+
+        for (let i = 0; i < this.accounts.length; i++) {
+            const account = this.accounts[i];
+            const connection = this.connections[i];
+            console.log(`\n👤 Profile ${account.name}`);
+            const { client, me } = await connection.connect();
+
+            const fetched = await this.fetchAccount(client, me, period, options, {
+                connection,
+                storeDir: account.storeDir,
+                filtersFile: account.filtersFile,
+                includeArchived: account.includeArchived
+            });
+
+            const label = record => ({ ...record, account: account.name, chatId: `${account.name}/${record.chatId}` });
+            messages.push(...fetched.map(label));
+            this.chatCoverage.push(...this.fetcher.chatCoverage.map(label));
+            filters.push(`${account.name}: ${this.filter.rules.description}`);
+            this.syncStats.added += this.fetcher.syncStats.added;
+            this.syncStats.updated += this.fetcher.syncStats.updated;
+        }
+
+        this.filtersApplied = filters.join(' | ');
+        console.log(`👥 ${messages.length} messages from ${this.accounts.length} accounts`);
+        return messages;
+    }
+
+    async fetchAccount(client, me, period, options = {}, { connection, storeDir, filtersFile, includeArchived = false } = {}) {
+        const store = MessageStore.isEnabled(options) ? await new MessageStore(storeDir).load() : null;
+
+        const senders = await new SenderResolver(client, connection, storeDir ? path.join(storeDir, 'senders.json') : undefined).load();
+
+        this.filter = new MessageFilter(me, FilterRules.load(filtersFile));
+        this.fetcher = new MessageFetcher(client, this.filter, connection, period, store, senders);
+
+        // Fetch messages from regular dialogs
+        const messages = await this.fetcher.fetchMessages();
+
+        // Optionally check archived dialogs (if enabled)
+        if (includeArchived) {
+            console.log('📁 Checking archived dialogs...');
+            const archivedMessages = await this.fetcher.fetchArchivedMessages();
+            messages.push(...archivedMessages);
+            console.log(`📁 Total messages including archived: ${messages.length}`);
+        }
+
+        if (store) {
+            const { added, updated } = this.fetcher.syncStats;
+            console.log(`💾 Local store: ${added} new, ${updated} edited messages`);
+        }
+
+        return messages;
+    }
+
+    async disconnect() {
+        for (const connection of this.connections) {
+            await connection.disconnect();
+        }
+    }
+
+    async deliverDigest(report, period, client, options = {}) {
+        const targets = DeliveryManager.targetsFromOptions(options);
+        if (targets.length === 0) return [];
+
+        return new DeliveryManager(targets).deliver(report, { period, client, connection: this.connection });
+    }
+
+    reportError(error) {
+        console.error('❌ Error:', error.message);
+        
+        if (error.message.includes('FLOOD')) {
+            console.log('\n⚠️ Rate limited! Wait 30+ minutes before trying again.');
+        } else if (error.message.includes('AUTH')) {
+            console.log(`\n🔑 Authentication failed. Run \`${this.connection.loginHint}\` to sign in again, or check your credentials in .env.`);
+        } else if (error.message.includes('NETWORK') || error.message.includes('timeout')) {
+            console.log('\n🌐 Network error. Please check your internet connection and try again.');
+        }
+    }
+
+    /**
+     * Filtering decision for every non-archived dialog; leaves the connection open
+     * @returns {Promise<Object>} { chats: [{ chatId, title, type, members, include, rule, icon }], rulesSource }
+     */
+    async previewChats() {
+        if (this.accounts) throw new Error('The chat preview shows one account at a time; pass a single --profile');
+
+        const { client, me } = await this.connection.connect();
+        this.filter = new MessageFilter(me);
+        this.fetcher = new MessageFetcher(client, this.filter, this.connection);
+
+        await this.filter.buildFolderCache(client, this.connection);
+        const dialogs = await this.fetcher.fetchAllDialogs({ archived: false });
+        const chats = dialogs.map(dialog => {
+            const entity = dialog.entity;
+            const { include, rule } = this.filter.explainDialog(dialog);
+            const type = ChatUtils.getChatType(entity).type;
+
+            return {
+                chatId: entity.id.toString(),
+                title: ChatUtils.getChatTitle(entity),
+                type,
+                members: entity.participantsCount || 'N/A',
+                folders: this.filter.getDialogFolders(dialog),
+                include,
+                rule,
+                icon: ChatUtils.getChatIcon(type, include)
+            };
+        });
+
+        return {
+            chats,
+            rulesSource: this.filter.rules.source || 'built-in rules (no filters.json / filters.yaml found)'
+        };
+    }
+
+    async listChats() {
+        try {
+            console.log('📋 Analyzing your chats...\n');
+
+            const { chats, rulesSource } = await this.previewChats();
 
             console.log('='.repeat(80));
             console.log(`CHAT FILTERING PREVIEW`);
             console.log('='.repeat(80));
 
-            let included = 0, excluded = 0;
-            const includedChats = [];
-            const excludedChats = [];
-            
-            dialogs.forEach(dialog => {
-                const entity = dialog.entity;
-                const title = ChatUtils.getChatTitle(entity);
-                const willInclude = this.filter.shouldIncludeDialog(dialog);
-
-                const chatTypeInfo = ChatUtils.getChatType(entity);
-                const type = chatTypeInfo.type;
-                const icon = ChatUtils.getChatIcon(type, willInclude);
-
-                const chatInfo = {
-                    title,
-                    type,
-                    members: entity.participantsCount || 'N/A',
-                    icon: icon
-                };
-
-                if (willInclude) {
-                    included++;
-                    includedChats.push(chatInfo);
-                } else {
-                    excluded++;
-                    excludedChats.push(chatInfo);
-                }
-            });
+            const includedChats = chats.filter(chat => chat.include);
+            const excludedChats = chats.filter(chat => !chat.include);
+            const included = includedChats.length;
+            const excluded = excludedChats.length;
 
             // Display included chats
             if (includedChats.length > 0) {
                 console.log('\n🟢 INCLUDED CHATS:');
                 includedChats.forEach(chat => {
                     console.log(`${chat.icon} ${chat.title}`);
-                    console.log(`   Type: ${chat.type} | Members: ${chat.members}`);
+                    console.log(`   Type: ${chat.type} | Members: ${chat.members} | Folders: ${chat.folders.join(', ') || '-'} | Rule: ${chat.rule}`);
                 });
             }
 
@@ -109,7 +468,7 @@ class TelegramDigestApp {
                 console.log('\n🔴 EXCLUDED CHATS (showing first 20):');
                 excludedChats.slice(0, 20).forEach(chat => {
                     console.log(`${chat.icon} ${chat.title}`);
-                    console.log(`   Type: ${chat.type} | Members: ${chat.members}`);
+                    console.log(`   Type: ${chat.type} | Members: ${chat.members} | Folders: ${chat.folders.join(', ') || '-'} | Rule: ${chat.rule}`);
                 });
                 
                 if (excludedChats.length > 20) {
@@ -119,36 +478,248 @@ class TelegramDigestApp {
 
             console.log('\n' + '='.repeat(80));
             console.log(`SUMMARY: ${included} included, ${excluded} excluded`);
-            console.log(`Filters: Excluded all channels and crypto/spam groups`);
+            console.log(`Filters: ${rulesSource}`);
 
         } catch (error) {
             console.error('❌ Error listing chats:', error.message);
         } finally {
-            await this.connection.disconnect();
+            await this.disconnect();
+        }
+    }
+
+    /**
+     * actions [list|done <id>|snooze <id>]: manages tracked action items offline
+     */
+    async manageActions(positional = [], options = {}) {
+        try {
+            const [subcommand = 'list', id] = positional;
+            const store = await new ActionItemStore().load();
+
+            switch (subcommand) {
+                case 'list': {
+                    const open = store.open();
+                    const items = options.all ? store.items : open;
+                    if (items.length === 0) {
+                        console.log(options.all ? '📌 No action items tracked yet.' : '📌 No open action items. 🎉');
+                        break;
+                    }
+                    console.log(`📌 ${open.length} open action item${open.length === 1 ? '' : 's'}${options.all ? ` (${store.items.length} tracked)` : ''}:\n`);
+                    items.forEach(item => {
+                        const closed = item.status === 'done' ? ` ✅ ${item.closedReason} ${item.closedAt.split('T')[0]}` : '';
+                        console.log(`  ${ActionItemStore.format(item)}${closed}`);
+                    });
+                    await store.save();
+                    break;
+                }
+
+                case 'done': {
+                    if (!id) throw new Error('Usage: node main.js actions done <id>');
+                    const item = store.markDone(id);
+                    await store.save();
+                    console.log(`✅ Done: ${ActionItemStore.format(item)}`);
+                    break;
+                }
+
+                case 'snooze': {
+                    if (!id) throw new Error('Usage: node main.js actions snooze <id> [--until YYYY-MM-DD | --days N]');
+                    const until = options.until
+                        ? DigestPeriod.parseDate(options.until)
+                        : new Date(Date.now() + (parseInt(options.days) || 7) * 24 * 60 * 60 * 1000);
+                    const item = store.snooze(id, until);
+                    await store.save();
+                    console.log(`💤 Snoozed until ${until.toLocaleDateString()}: ${ActionItemStore.format(item)}`);
+                    break;
+                }
+
+                default:
+                    throw new Error(`Unknown actions subcommand "${subcommand}". Use list, done <id> or snooze <id>`);
+            }
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
         }
     }
 
-    async showReports() {
-        console.log('📊 Recent digest reports:\n');
-        await this.reporter.listRecentReports();
+    /**
+     * reports [list|show <id|latest>|search <text>|prune]: browses the report archive offline
+     */
+    async manageReports(positional = [], options = {}) {
+        try {
+            const [subcommand = 'list', ...args] = positional;
+            const archive = await new ReportArchive().load();
+
+            switch (subcommand) {
+                case 'list': {
+                    const entries = await archive.list();
+                    if (entries.length === 0) {
+                        console.log(`📊 No reports in ${archive.dir} yet.`);
+                        break;
+                    }
+                    const limit = options.all ? entries.length : parseInt(options.limit) || 10;
+                    console.log(`📊 ${entries.length} report${entries.length === 1 ? '' : 's'} in ${archive.dir}:\n`);
+                    entries.slice(0, limit).forEach(entry => console.log(`  📄 ${ReportArchive.format(entry)}`));
+                    if (entries.length > limit) console.log(`  ... and ${entries.length - limit} older (--all to list them)`);
+                    break;
+                }
+
+                case 'show': {
+                    const entry = await archive.find(args[0] || 'latest');
+                    const [format] = parseFormats(options.format || 'md');
+                    if (entry.formats.includes(format)) {
+                        console.log(await archive.read(entry, format));
+                    } else if (entry.formats.includes('json')) {
+                        // Re-render from the saved report model
+                        console.log(createRenderer(format).render(JSON.parse(await archive.read(entry, 'json'))));
+                    } else {
+                        throw new Error(`Report ${entry.id} was saved as ${entry.formats.join(', ')} only`);
+                    }
+                    break;
+                }
+
+                case 'search': {
+                    const text = args.join(' ');
+                    if (!text) throw new Error('Usage: node main.js reports search <text>');
+                    const results = await archive.search(text);
+                    if (results.length === 0) {
+                        console.log(`🔍 No reports mention "${text}".`);
+                        break;
+                    }
+                    console.log(`🔍 "${text}" found in ${results.length} report${results.length === 1 ? '' : 's'}:\n`);
+                    results.forEach(({ entry, lines }) => {
+                        console.log(`📄 ${ReportArchive.format(entry)}`);
+                        lines.slice(0, 5).forEach(line => console.log(`    ${line.length > 160 ? `${line.substring(0, 160)}…` : line}`));
+                        if (lines.length > 5) console.log(`    ... ${lines.length - 5} more matching lines`);
+                        console.log();
+                    });
+                    break;
+                }
+
+                case 'prune': {
+                    const keep = options.keep !== undefined ? parseInt(options.keep) : archive.keep;
+                    const maxAgeDays = options.olderThan !== undefined ? parseFloat(options.olderThan) : archive.maxAgeDays;
+                    if (!keep && !maxAgeDays) {
+                        throw new Error('Usage: node main.js reports prune [--keep N] [--older-than DAYS] (or set REPORTS_KEEP / REPORTS_MAX_AGE_DAYS)');
+                    }
+                    const removed = await archive.prune({ keep, maxAgeDays });
+                    await archive.save();
+                    console.log(`🧹 Removed ${removed.length} report${removed.length === 1 ? '' : 's'}, ${archive.entries.length} kept`);
+                    removed.forEach(entry => console.log(`  🗑️ ${entry.id}`));
+                    break;
+                }
+
+                default:
+                    throw new Error(`Unknown reports subcommand "${subcommand}". Use list, show <id|latest>, search <text> or prune`);
+            }
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        }
     }
 
     printUsage() {
         console.log(`
 📖 USAGE:
   node main.js                    Generate weekly digest (default)
-  node main.js digest             Generate weekly digest
+  node main.js digest [options]   Generate a digest for the chosen period
+  node main.js sync [options]     Fetch new and edited messages into the local store
+  node main.js export [options]   Write the filtered messages of the period to a file
+                                  (--format jsonl|csv, --output FILE, --anonymize)
+  node main.js daemon --schedule "0 8 * * MON" [options]
+                                  Stay connected and generate digests on a cron schedule
+  node main.js actions [list]     Show open action items (--all includes closed ones)
+  node main.js actions done ID    Mark an action item as done
+  node main.js actions snooze ID  Hide an action item for --days N (default: 7) or --until YYYY-MM-DD
+  node main.js login [--qr]       Sign in (phone code + 2FA, or QR code) and store the session
+                                  (--encrypt protects it with a passphrase)
+  node main.js logout             Revoke the session on Telegram and delete it locally
+  node main.js whoami             Show the logged-in account and where its session is stored
   node main.js list-chats         Show chats and filtering status
-  node main.js reports            List recent digest reports
+  node main.js reports [list]     List archived reports with period and message count (--all)
+  node main.js reports show ID    Print a report (ID, unique prefix or latest; --format md|txt|html|json)
+  node main.js reports search TEXT  Search past digests
+  node main.js reports prune      Apply retention: --keep N and/or --older-than DAYS
+  node main.js serve [--port N]   Web dashboard: reports, chat filtering preview, run a digest
+                                  (--host ADDRESS to expose it; requires DASHBOARD_TOKEN)
   node main.js help               Show this help message
 
+📅 DIGEST OPTIONS:
+  --period daily|weekly|monthly   Rolling window ending now (default: weekly)
+  --since YYYY-MM-DD              Start of a custom range (inclusive)
+  --until YYYY-MM-DD              End of a custom range (exclusive, default: now)
+  --no-store                      Fetch directly from Telegram without the local store
+  --profile NAME[,NAME]           Use a named account profile; several names make one combined digest
+  --provider NAME                 LLM provider: deepseek, openai, anthropic, ollama, llamacpp, echo
+  --redact                        Mask PII and pseudonymize names before anything is sent to the LLM
+  --no-actions                    Do not extract or track action items
+  --no-trends                     Do not compare with or record for the previous period
+  --dry-run-prompt                Print exactly what would be sent to the LLM, send nothing
+  --from-file FILE                Digest from a JSONL message export, without connecting to Telegram
+  --record FILE                   Save the Telegram responses of this run to a fixture file
+  --replay FILE                   Serve Telegram responses from a recorded fixture instead of connecting
+  --format FORMATS                Report files to write, comma-separated: md, html, json, txt
+                                  (default: md,json)
+  --schedule "CRON"               Daemon schedule: minute hour day month weekday, local time
+                                  (also @daily, @weekly, @monthly)
+  --deliver TARGETS               Deliver the saved report, comma-separated:
+                                  telegram, email, webhook, slack, mattermost
+
 🔧 ENVIRONMENT VARIABLES:
+  PROFILES_FILE        Account profiles file (default: ./profiles.json, ./profiles.yaml or ./profiles.yml)
+  DIGEST_PROFILE       Default profile(s) when --profile is not given
+  SESSION_FILE         Stored Telegram session (default: STORE_DIR/session.json, mode 600)
+  SESSION_PASSPHRASE   Passphrase of an encrypted session file; set at login to encrypt it
+  TELEGRAM_SESSION     Legacy session string; takes precedence over the session file
   INCLUDE_ARCHIVED     Include archived chats: true/false (default: false)
+  LLM_PROVIDER         LLM provider used for the digest (default: deepseek)
+  <PROVIDER>_MODEL, _API_KEY, _API_URL, _TEMPERATURE, _MAX_TOKENS, _TIMEOUT_MS
+                       Per-provider settings, e.g. OPENAI_MODEL, ANTHROPIC_API_KEY, OLLAMA_TIMEOUT_MS
+  REPORT_FORMATS       Default report formats, comma-separated (see --format)
+  REPORTS_DIR          Report archive directory (default: ./reports)
+  REPORTS_KEEP         Keep only the newest N reports after each run
+  REPORTS_MAX_AGE_DAYS Remove reports older than this many days after each run
+  DASHBOARD_HOST       Address the dashboard binds to (default: 127.0.0.1)
+  DASHBOARD_PORT       Dashboard port (default: 8787)
+  DASHBOARD_TOKEN      Token required by the dashboard; mandatory when bound to a non-loopback address
+  DELIVER              Default delivery targets, comma-separated (see --deliver)
+  DELIVER_TELEGRAM_TO  Telegram recipient: me (Saved Messages), @username or chat id (default: me)
+  SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, EMAIL_FROM, EMAIL_TO
+                       Email delivery settings (SMTP_PORT default: 587)
+  WEBHOOK_URL          Endpoint receiving the JSON report as a POST
+  WEBHOOK_SECRET       Signs webhook bodies: X-Digest-Signature: sha256=<hmac>
+  SLACK_WEBHOOK_URL    Slack or Mattermost incoming webhook
+  SLACK_FORMAT         slack (mrkdwn) or mattermost (Markdown) (default: slack)
+  DELIVERY_RETRIES     Attempts per delivery target (default: 3)
+  DELIVERY_BACKOFF_MS  Initial retry delay, doubled per attempt (default: 2000)
+  STT_COMMAND          Local speech-to-text executable for voice/video notes (prints the transcript)
+  STT_ARGS             Arguments for STT_COMMAND; {input} is the downloaded file (default: {input})
+  STT_MAX_DURATION     Longest note to transcribe in seconds (default: 300)
+  STT_TIMEOUT_MS       Timeout per transcription (default: 120000)
+  ACTION_ITEMS         Extract and track action items across digests: true/false (default: true)
+  ACTION_ITEM_MIN_CONFIDENCE  Minimum model confidence for a new action item (default: 0.5)
+  ACTION_ITEMS_CLOSE_ON  Close items on a reply to them, or in groups too on any later message of mine: reply/message (default: reply)
+  TRENDS               Compare each digest with the previous period of the same length: true/false (default: true)
+  TREND_SPIKE_RATIO    Growth/shrink factor for a chat to count as spiked/quiet (default: 2)
+  TREND_MIN_MESSAGES   Minimum change in messages for chat and contact callouts (default: 3)
+  REDACT_PII           Always redact PII before sending to the LLM: true/false (default: false)
+  REDACTION_FILE       JSON/YAML with extra redaction patterns and names
+  PROMPT_TOKEN_BUDGET  Estimated tokens allowed in the final prompt before chats get summarized (default: 12000)
+  CHUNK_TOKEN_BUDGET   Estimated tokens per map/reduce summarization call (default: 6000)
+  MAX_PROMPT_MENTIONS  Mentions listed in the prompt, newest first (default: 30)
+  DIGEST_SCHEDULE      Default daemon schedule when --schedule is not given
+  DIGEST_PERIOD        Default period when --period is not given (default: weekly)
+  FILTERS_FILE         Filter rules file (default: ./filters.json, ./filters.yaml or ./filters.yml)
+  MAX_MESSAGES_PER_CHAT  Safety cap on messages paged in per chat (default: 5000)
+  FETCH_CONCURRENCY    Chats fetched at the same time (default: 4)
+  REQUEST_INTERVAL_MS  Minimum time between Telegram requests; grows after FLOOD_WAIT (default: 100)
+  MAX_FLOOD_WAIT_SECONDS  Longest FLOOD_WAIT to sit out before failing the request (default: 300)
+  MESSAGE_STORE        Keep a local message store for incremental sync: true/false (default: true)
+  STORE_DIR            Directory of the local message store (default: ./data)
+  SYNC_EDIT_WINDOW_HOURS  How far back sync re-checks stored messages for edits (default: 48)
   DEBUG_FILTERING      Show detailed filtering debug info: true/false
   DEBUG_FETCHING       Show detailed message fetching debug info: true/false
 
 📊 FILTERING:
-  The app automatically filters out:
+  Without a filters.json / filters.yaml the app filters out:
   ❌ All channels
   ❌ All bots
   ❌ Crypto/trading/gambling groups (keyword-based)
@@ -157,22 +728,45 @@ class TelegramDigestApp {
   Includes:
   ✅ All direct messages (DMs)
   ✅ Clean group conversations
-  ✅ Messages from the last 7 days only
+  ✅ Messages from the selected period only
         `);
     }
 }
 
 // Command line interface
 async function main() {
-    const app = new TelegramDigestApp();
-    const command = process.argv[2];
+    const { command, positional, options } = CliArgs.parse(process.argv.slice(2));
+
+    // A single profile becomes the process environment; several are fetched side by side
+    let accounts = null;
+    let connections = null;
+    try {
+        const names = Profiles.namesFromOptions(options);
+        if (names.length === 1) {
+            Profiles.load().apply(names[0]);
+        } else if (names.length > 1) {
+            accounts = Profiles.load().applyCombined(names);
+        }
+
+        // --record FILE captures the Telegram responses of this run, --replay FILE serves them back
+        if (options.record || options.replay) {
+            if (accounts) throw new Error('--record and --replay work with one account at a time');
+            if (options.record === true || options.replay === true) throw new Error('--record and --replay need a fixture file');
+            connections = [new TelegramConnection({ record: options.record || null, replay: options.replay || null })];
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+
+    const app = new TelegramDigestApp({ accounts, connections });
 
     // Handle Ctrl+C gracefully
     process.on('SIGINT', async () => {
         console.log('\n🛑 Shutting down gracefully...');
-        if (app.connection && app.connection.isConnected) {
-            await app.connection.disconnect();
-        }
+        if (app.daemon) app.daemon.stop();
+        if (app.dashboard) await app.dashboard.stop();
+        await app.disconnect();
         process.exit(0);
     });
 
@@ -180,15 +774,47 @@ async function main() {
         switch (command) {
             case 'digest':
             case undefined:
-                await app.generateWeeklyDigest();
+                await app.generateDigest(options);
                 break;
                 
+            case 'sync':
+                await app.syncMessages(options);
+                break;
+
+            case 'export':
+                await app.exportMessages(options);
+                break;
+
+            case 'daemon':
+                await app.runDaemon(options);
+                break;
+
+            case 'actions':
+                await app.manageActions(positional, options);
+                break;
+
             case 'list-chats':
                 await app.listChats();
                 break;
 
+            case 'login':
+                await app.login(options);
+                break;
+
+            case 'logout':
+                await app.logout();
+                break;
+
+            case 'whoami':
+                await app.whoami();
+                break;
+
             case 'reports':
-                await app.showReports();
+                await app.manageReports(positional, options);
+                break;
+
+            case 'serve':
+                await app.serve(options);
                 break;
                 
             case 'help':
@@ -0,0 +1,213 @@
+/**
+ * Turns Telegram media into typed metadata and a readable placeholder
+ * so photos, files, voice notes, polls, locations, contacts and link previews
+ * without a caption still show up in the digest, e.g. "[🎤 Voice message: 0:42]"
+ */
+
+const LABELS = {
+    photo: '📷 Photo',
+    document: '📎 File',
+    voice: '🎤 Voice message',
+    video_note: '📹 Video message',
+    video: '🎬 Video',
+    audio: '🎵 Audio',
+    gif: 'GIF',
+    sticker: 'Sticker',
+    poll: '📊 Poll',
+    location: '📍 Location',
+    venue: '📍 Venue',
+    contact: '👤 Contact',
+    link: '🔗 Link',
+    dice: '🎲 Dice'
+};
+
+// Media the transcriber can turn into text
+const SPOKEN_TYPES = ['voice', 'video_note'];
+
+class MediaDescriber {
+    /**
+     * @param {Object} message - Raw gramjs message
+     * @returns {Object|null} { type, ...metadata, placeholder, captioned } or null when there is no media
+     */
+    static describe(message) {
+        const media = message.media;
+        if (!media) return null;
+
+        const info = MediaDescriber.extract(media);
+        if (!info) return null;
+        return {
+            ...info,
+            placeholder: MediaDescriber.placeholder(info),
+            captioned: Boolean(message.text && message.text.trim())
+        };
+    }
+
+    static extract(media) {
+        switch (media.className) {
+            case 'MessageMediaPhoto':
+                return { type: 'photo' };
+
+            case 'MessageMediaDocument':
+                return MediaDescriber.extractDocument(media.document);
+
+            case 'MessageMediaPoll': {
+                const results = new Map((media.results?.results || []).map(result => [MediaDescriber.optionKey(result.option), result.voters]));
+                return {
+                    type: 'poll',
+                    poll: {
+                        question: MediaDescriber.plainText(media.poll.question),
+                        answers: media.poll.answers.map(answer => ({
+                            text: MediaDescriber.plainText(answer.text),
+                            voters: results.has(MediaDescriber.optionKey(answer.option)) ? results.get(MediaDescriber.optionKey(answer.option)) : null
+                        })),
+                        totalVoters: media.results?.totalVoters ?? null,
+                        closed: Boolean(media.poll.closed)
+                    }
+                };
+            }
+
+            case 'MessageMediaGeo':
+            case 'MessageMediaGeoLive':
+                return { type: 'location', location: { lat: media.geo?.lat, long: media.geo?.long, live: media.className === 'MessageMediaGeoLive' } };
+
+            case 'MessageMediaVenue':
+                return { type: 'venue', location: { lat: media.geo?.lat, long: media.geo?.long, title: media.title, address: media.address } };
+
+            case 'MessageMediaContact':
+                return { type: 'contact', contact: { name: [media.firstName, media.lastName].filter(Boolean).join(' '), phone: media.phoneNumber || null } };
+
+            case 'MessageMediaWebPage': {
+                const page = media.webpage || {};
+                return { type: 'link', link: { url: page.url || null, title: page.title || null, siteName: page.siteName || null } };
+            }
+
+            case 'MessageMediaDice':
+                return { type: 'dice', dice: { emoticon: media.emoticon, value: media.value } };
+
+            default:
+                return null;
+        }
+    }
+
+    static extractDocument(document) {
+        if (!document) return { type: 'document' };
+
+        const attributes = document.attributes || [];
+        const find = className => attributes.find(attribute => attribute.className === className);
+        const fileName = find('DocumentAttributeFilename')?.fileName || null;
+        const audio = find('DocumentAttributeAudio');
+        const video = find('DocumentAttributeVideo');
+        const sticker = find('DocumentAttributeSticker');
+        const base = {
+            fileName,
+            size: document.size !== undefined ? Number(document.size) : null,
+            mimeType: document.mimeType || null
+        };
+
+        if (sticker) return { type: 'sticker', emoji: sticker.alt || null };
+        if (find('DocumentAttributeAnimated')) return { ...base, type: 'gif' };
+        if (audio?.voice) return { ...base, type: 'voice', duration: audio.duration ?? null };
+        if (video?.roundMessage) return { ...base, type: 'video_note', duration: video.duration ?? null };
+        if (video) return { ...base, type: 'video', duration: video.duration ?? null };
+        if (audio) return { ...base, type: 'audio', duration: audio.duration ?? null, title: [audio.performer, audio.title].filter(Boolean).join(' – ') || null };
+        return { ...base, type: 'document' };
+    }
+
+    // Poll options are byte buffers
+    static optionKey(option) {
+        return Buffer.from(option || []).toString('hex');
+    }
+
+    // Newer layers wrap poll texts in TextWithEntities
+    static plainText(value) {
+        return typeof value === 'string' ? value : (value?.text || '');
+    }
+
+    static formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return null;
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    static formatSize(bytes) {
+        if (!bytes) return null;
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value < 10 && unit > 0 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+    }
+
+    /**
+     * @param {Object} info - Result of extract()
+     * @returns {string} e.g. "[📎 File: report.pdf, 1.2 MB]"
+     */
+    static placeholder(info) {
+        const details = [];
+
+        switch (info.type) {
+            case 'poll': {
+                const answers = info.poll.answers
+                    .map(answer => answer.voters !== null ? `${answer.text} (${answer.voters})` : answer.text)
+                    .join(' / ');
+                details.push(`"${info.poll.question}" — ${answers}`);
+                if (info.poll.totalVoters !== null) details.push(`${info.poll.totalVoters} votes${info.poll.closed ? ', closed' : ''}`);
+                break;
+            }
+            case 'location':
+            case 'venue':
+                details.push([info.location.title, info.location.address].filter(Boolean).join(', ') ||
+                    `${info.location.lat?.toFixed(4)}, ${info.location.long?.toFixed(4)}${info.location.live ? ' (live)' : ''}`);
+                break;
+            case 'contact':
+                details.push(info.contact.name || 'unnamed');
+                break;
+            case 'link':
+                details.push([info.link.title, info.link.siteName ? `(${info.link.siteName})` : null].filter(Boolean).join(' ') || info.link.url);
+                break;
+            case 'sticker':
+                if (info.emoji) details.push(info.emoji);
+                break;
+            case 'dice':
+                details.push(`${info.dice.emoticon} ${info.dice.value}`);
+                break;
+            default:
+                details.push(info.title, info.fileName, MediaDescriber.formatDuration(info.duration), MediaDescriber.formatSize(info.size));
+        }
+
+        const detailText = details.filter(Boolean).join(', ');
+        return `[${LABELS[info.type]}${detailText ? `: ${detailText}` : ''}]`;
+    }
+
+    /**
+     * @param {string} type - Media type
+     * @param {number} count - Used for the plural
+     * @returns {string} e.g. "voice messages"
+     */
+    static label(type, count = 1) {
+        const label = LABELS[type].replace(/^\W+\s/u, '');
+        const name = label === label.toUpperCase() ? label : label.toLowerCase();
+        return count === 1 || name === 'dice' ? name : `${name}s`;
+    }
+
+    static isSpoken(info) {
+        return Boolean(info) && SPOKEN_TYPES.includes(info.type);
+    }
+
+    /**
+     * Text used for the message: caption if present, else the placeholder (plus transcript)
+     * @param {string} caption - message.text
+     * @param {Object} info - Result of describe()
+     * @returns {string}
+     */
+    static toText(caption, info) {
+        if (caption && caption.trim()) return caption;
+        if (info.transcript) return `${info.placeholder} ${info.transcript}`;
+        return info.placeholder;
+    }
+}
+
+module.exports = MediaDescriber;
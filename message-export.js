@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Export of the filtered message objects built by MessageFetcher
+ * JSONL starts with a header line (period, chat coverage) followed by one message
+ * per line and can be read back for offline digests (digest --from-file). CSV is a
+ * flat, lossy view for spreadsheets. Anonymized exports replace names with the
+ * redactor's pseudonyms and ids with hashes so samples can be shared.
+ */
+
+const EXPORT_KIND = 'telegram-digest-export';
+const FORMATS = ['jsonl', 'csv'];
+const CSV_COLUMNS = [
+    ['timestamp', msg => msg.timestamp],
+    ['account', msg => msg.account],
+    ['chatId', msg => msg.chatId],
+    ['chatTitle', msg => msg.chatTitle],
+    ['chatType', msg => msg.chatType],
+    ['topicTitle', msg => msg.topicTitle],
+    ['messageId', msg => msg.messageId],
+    ['replyToId', msg => msg.replyToId],
+    ['senderId', msg => msg.senderId],
+    ['senderName', msg => msg.senderName],
+    ['senderUsername', msg => msg.senderUsername],
+    ['isFromMe', msg => msg.isFromMe],
+    ['isMention', msg => msg.isMention],
+    ['mediaType', msg => msg.media?.type],
+    ['forwardedFrom', msg => msg.forward?.fromName],
+    ['text', msg => msg.text]
+];
+
+class MessageExport {
+    /**
+     * @param {string} value - --format value
+     * @returns {string} jsonl or csv
+     */
+    static parseFormat(value = 'jsonl') {
+        const format = String(value).trim().toLowerCase();
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown export format "${value}". Use one of: ${FORMATS.join(', ')}`);
+        }
+        return format;
+    }
+
+    static defaultFile(period, format) {
+        return `messages-${period.filePrefix}.${format}`;
+    }
+
+    /**
+     * @param {Array} messages - Message objects
+     * @param {Object} meta - { period: DigestPeriod, chatCoverage, anonymized }
+     * @returns {string}
+     */
+    static toJsonl(messages, { period, chatCoverage = [], anonymized = false }) {
+        const header = {
+            kind: EXPORT_KIND,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            period: period.toJSON(),
+            messageCount: messages.length,
+            anonymized,
+            chatCoverage
+        };
+        return [header, ...messages].map(record => JSON.stringify(record)).join('\n') + '\n';
+    }
+
+    static toCsv(messages) {
+        const rows = [
+            CSV_COLUMNS.map(([name]) => name),
+            ...messages.map(msg => CSV_COLUMNS.map(([, value]) => value(msg)))
+        ];
+        return rows.map(row => row.map(MessageExport.csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // RFC 4180 quoting; cells starting with = + - @ are prefixed so spreadsheets do not run them as formulas
+    static csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let cell = String(value);
+        if (/^[=+\-@\t\r]/.test(cell) && typeof value === 'string') cell = `'${cell}`;
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }
+
+    /**
+     * @param {string} file - Output path
+     * @param {Array} messages - Message objects
+     * @param {Object} meta - { format, period, chatCoverage, anonymized }
+     */
+    static async write(file, messages, { format = 'jsonl', ...meta }) {
+        const content = format === 'csv' ? MessageExport.toCsv(messages) : MessageExport.toJsonl(messages, meta);
+        await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        await fs.writeFile(file, content);
+    }
+
+    /**
+     * Reads a JSONL export; plain message JSONL without a header (e.g. the message store) works too
+     * @param {string} file - Path to the .jsonl file
+     * @returns {Promise<Object>} { header, messages } where header is null without a header line
+     */
+    static async read(file) {
+        if (/\.csv$/i.test(file)) {
+            throw new Error('CSV exports are for spreadsheets only; use a JSONL export with --from-file');
+        }
+
+        let content;
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read ${file}: ${error.message}`);
+        }
+
+        let header = null;
+        const messages = new Map();
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${index + 1} of ${file}: ${error.message}`);
+            }
+
+            if (record.kind === EXPORT_KIND) {
+                header = record;
+            } else if (record.chatId === undefined || record.messageId === undefined || !(record.timestamp || record.date)) {
+                throw new Error(`Line ${index + 1} of ${file} is not a message (chatId, messageId and timestamp are required)`);
+            } else {
+                // Later lines win, as in the message store where edits are appended
+                messages.set(`${record.chatId}:${record.messageId}`, record);
+            }
+        });
+
+        return { header, messages: [...messages.values()] };
+    }
+
+    static messageDate(msg) {
+        return msg.date ? new Date(msg.date * 1000) : new Date(msg.timestamp);
+    }
+
+    static hashId(prefix, id) {
+        if (id === null || id === undefined) return id;
+        return `${prefix}_${crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 10)}`;
+    }
+
+    /**
+     * Copy for sharing: names and PII go through the redactor, user and chat ids become
+     * stable hashes, and media keeps only its type and (redacted) placeholder
+     * @param {Array} messages - Message objects
+     * @param {Array} chatCoverage - Coverage entries of the fetch
+     * @param {Redactor} redactor - Redactor (custom patterns from REDACTION_FILE apply)
+     * @returns {Object} { messages, chatCoverage }
+     */
+    static anonymize(messages, chatCoverage, redactor) {
+        const chatId = id => {
+            // Combined exports keep the profile prefix readable
+            const slash = String(id).indexOf('/');
+            return slash === -1 ? MessageExport.hashId('chat', id) : `${String(id).slice(0, slash + 1)}${MessageExport.hashId('chat', String(id).slice(slash + 1))}`;
+        };
+
+        const redacted = redactor.redactMessages(messages).map(msg => ({
+            ...msg,
+            chatId: chatId(msg.chatId),
+            senderId: MessageExport.hashId('user', msg.senderId),
+            media: msg.media ? { type: msg.media.type, placeholder: msg.media.placeholder, captioned: msg.media.captioned } : msg.media,
+            forward: msg.forward ? { ...msg.forward, fromId: MessageExport.hashId('user', msg.forward.fromId) } : msg.forward
+        }));
+
+        return {
+            messages: redacted,
+            chatCoverage: chatCoverage.map(chat => ({
+                ...chat,
+                chatId: chatId(chat.chatId),
+                chatTitle: chat.chatType === 'dm' ? redactor.addPerson(`chat:${chat.chatId}`, chat.chatTitle) : redactor.redactText(chat.chatTitle)
+            }))
+        };
+    }
+}
+
+module.exports = MessageExport;
@@ -1,83 +1,256 @@
+const { Api } = require('telegram');
 const ChatUtils = require('./chat-utils');
+const DigestPeriod = require('./digest-period');
+const SenderResolver = require('./sender-resolver');
+const MediaDescriber = require('./media-describer');
+const SpeechToText = require('./speech-to-text');
+const RequestScheduler = require('./request-scheduler');
+
+// Telegram returns at most 100 messages / dialogs per request
+const PAGE_SIZE = 100;
 
 class MessageFetcher {
-    constructor(client, filter, connection) {
+    constructor(client, filter, connection, period = DigestPeriod.fromOptions(), store = null, senders = null) {
         this.client = client;
         this.filter = filter;
         this.connection = connection; // For retry functionality
+        this.period = period;
+        this.store = store; // Optional MessageStore for incremental sync
+        this.senders = senders || new SenderResolver(client, connection);
+        this.maxMessagesPerChat = parseInt(process.env.MAX_MESSAGES_PER_CHAT) || 5000;
+        this.editWindowHours = parseInt(process.env.SYNC_EDIT_WINDOW_HOURS) || 48;
+        this.concurrency = parseInt(process.env.FETCH_CONCURRENCY) || 4;
+        this.chatCoverage = []; // Per-chat complete/truncated status for the report
+        this.syncStats = { added: 0, updated: 0 };
+        this.topicTitles = new Map(); // chatId → Map<topicId, title> for forum supergroups
+        this.stt = SpeechToText.isEnabled() ? new SpeechToText(client, connection) : null;
     }
 
-    async fetchWeeklyMessages() {
-        console.log('📅 Fetching messages from the last 7 days...');
-        
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
+    /**
+     * Pages through the dialog list by offsetDate/offsetId/offsetPeer until exhausted
+     * @param {Object} options - { archived: boolean }
+     * @returns {Promise<Array>} All dialogs, deduplicated by id
+     */
+    async fetchAllDialogs({ archived = false } = {}) {
+        const dialogs = [];
+        const seen = new Set();
+        let offset = { offsetDate: undefined, offsetId: 0, offsetPeer: undefined };
+
+        while (true) {
+            const page = await this.connection.retryApiCall(() =>
+                this.client.getDialogs({ limit: PAGE_SIZE, archived, ignorePinned: dialogs.length > 0, ...offset })
+            );
+
+            let added = 0;
+            for (const dialog of page) {
+                const key = dialog.id?.toString() || dialog.entity?.id?.toString();
+                if (seen.has(key)) continue;
+                seen.add(key);
+                dialogs.push(dialog);
+                added++;
+            }
+
+            const last = page[page.length - 1];
+            if (page.length < PAGE_SIZE || added === 0 || !last?.message) break;
+
+            offset = {
+                offsetDate: last.message.date,
+                offsetId: last.message.id,
+                offsetPeer: last.inputEntity
+            };
+
+            if (process.env.DEBUG_FETCHING === 'true') {
+                console.log(`  📄 Loaded ${dialogs.length} ${archived ? 'archived ' : ''}dialogs so far...`);
+            }
+        }
+
+        return dialogs;
+    }
+
+    async fetchMessages() {
+        console.log(`📅 Fetching messages from ${this.period.label} (${this.period.describe()})...`);
         
-        // Build folder cache if needed
-        await this.filter.buildFolderCache(this.client);
+        // Telegram folders, for folder filter rules
+        await this.filter.buildFolderCache(this.client, this.connection);
         
-        const dialogs = await this.connection.retryApiCall(() => 
-            this.client.getDialogs({ limit: 200, archived: false })
-        );
+        const dialogs = await this.fetchAllDialogs({ archived: false });
         
         console.log(`📋 Found ${dialogs.length} total dialogs`);
         console.log(`🔍 Filtering: Exclude channels and crypto/spam groups`);
         
-        const allMessages = [];
-        let includedDialogs = 0;
+        const { messages, included } = await this.fetchDialogs(dialogs);
 
-        for (const dialog of dialogs) {
-            if (!this.filter.shouldIncludeDialog(dialog)) continue;
-            
-            includedDialogs++;
+        console.log(`✅ Fetched ${messages.length} messages from ${included}/${dialogs.length} dialogs`);
+        return messages;
+    }
+
+    /**
+     * Fetches the included dialogs, up to FETCH_CONCURRENCY at a time; the connection's
+     * scheduler paces the requests. Messages and coverage keep the order of the dialog list.
+     * @param {Array} dialogs - Dialogs from fetchAllDialogs
+     * @param {Object} options - { archived: boolean } to label archived chats
+     * @returns {Promise<Object>} { messages, included } - included is the number of chats fetched
+     */
+    async fetchDialogs(dialogs, { archived = false } = {}) {
+        const included = dialogs.filter(dialog => this.filter.shouldIncludeDialog(dialog));
+        const coverageStart = this.chatCoverage.length;
+
+        const results = await RequestScheduler.map(included, this.concurrency, async dialog => {
             const entity = dialog.entity;
-            const chatTitle = ChatUtils.getChatTitle(entity);
-            
+            const title = ChatUtils.getChatTitle(entity, archived ? 'Archived Chat' : 'Unknown');
+            const chatTitle = archived ? `[ARCHIVED] ${title}` : title;
+
             try {
-                const messages = await this.fetchDialogMessages(entity, weekAgo, chatTitle);
-                allMessages.push(...messages);
+                return await this.fetchChat(entity, chatTitle);
             } catch (error) {
-                console.warn(`⚠️ Failed to fetch from ${chatTitle}: ${error.message}`);
+                // A revoked session fails every chat the same way
+                if (RequestScheduler.isAuthError(error)) throw error;
+                console.warn(`⚠️ Failed to fetch from ${archived ? 'archived ' : ''}${title}: ${error.message}`);
+                this.recordCoverage(entity, chatTitle, { complete: false, reason: error.message });
+                return [];
             }
+        });
+
+        // Chats finish in any order
+        const order = new Map(included.map((dialog, index) => [dialog.entity.id.toString(), index]));
+        const coverage = this.chatCoverage.splice(coverageStart).sort((a, b) => order.get(a.chatId) - order.get(b.chatId));
+        this.chatCoverage.push(...coverage);
+
+        if (this.store) await this.store.save();
+        await this.senders.save();
+        if (this.stt) await this.stt.save();
+
+        return { messages: results.flat(), included: included.length };
+    }
+
+    /**
+     * Fetches a chat's messages for the current period, through the store when one is configured
+     * @param {Object} entity - Telegram entity
+     * @param {string} chatTitle - Display title
+     * @returns {Promise<Array>} Message objects inside this.period
+     */
+    async fetchChat(entity, chatTitle) {
+        if (!this.store) return this.fetchDialogMessages(entity, this.period, chatTitle);
+
+        const chatId = entity.id.toString();
+        const state = this.store.getChatState(chatId);
+        const coveredSince = state ? new Date(state.coveredSince) : null;
+        const incremental = coveredSince !== null && coveredSince <= this.period.since;
+
+        // Always sync up to now so the stored range stays contiguous
+        const now = new Date();
+        const syncPeriod = new DigestPeriod('custom',
+            incremental ? coveredSince : this.period.since,
+            this.period.until > now ? this.period.until : now);
+        const options = incremental
+            ? { knownMaxId: state.maxId, recheckSince: new Date(now.getTime() - this.editWindowHours * 3600000) }
+            : {};
+
+        const fetched = await this.fetchDialogMessages(entity, syncPeriod, chatTitle, options);
+        const { added, updated } = await this.store.upsert(fetched);
+        this.syncStats.added += added;
+        this.syncStats.updated += updated;
 
-            // Rate limiting
-            await new Promise(resolve => setTimeout(resolve, 150));
+        const coverage = this.chatCoverage.find(chat => chat.chatId === chatId);
+        const oldestFetched = fetched.length > 0 ? new Date(fetched.reduce((oldest, msg) => Math.min(oldest, msg.date), Infinity) * 1000) : now;
+        this.store.updateChatState(chatId, {
+            chatTitle,
+            maxId: fetched.reduce((max, msg) => Math.max(max, msg.messageId), 0),
+            coveredSince: coverage?.complete ? syncPeriod.since : oldestFetched
+        });
+
+        if (process.env.DEBUG_FETCHING === 'true') {
+            console.log(`  💾 ${chatTitle}: ${added} new, ${updated} edited (${incremental ? 'incremental' : 'full'} sync)`);
         }
 
-        console.log(`✅ Fetched ${allMessages.length} messages from ${includedDialogs}/${dialogs.length} dialogs`);
-        return allMessages;
+        // Messages stored before a sender could be resolved pick up the name from the cache
+        return this.store.getMessages(this.period, new Set([chatId])).map(record => {
+            if (record.isFromMe) return record;
+            const { name, username } = this.senders.lookup(record.senderId);
+            return { ...record, senderName: name, senderUsername: username };
+        });
+    }
+
+    /**
+     * Pages backwards from period.until by offsetId until the first message older than period.since
+     * @param {Object} entity - Telegram entity
+     * @param {DigestPeriod} period - Window to fetch
+     * @param {Object} options - { knownMaxId, recheckSince } to stop early at already stored messages
+     * @returns {Promise<Object>} { messages, complete, reason }
+     */
+    async fetchMessagesInPeriod(entity, period, { knownMaxId = 0, recheckSince = null } = {}) {
+        const sinceSeconds = Math.floor(period.since.getTime() / 1000);
+        const untilSeconds = Math.floor(period.until.getTime() / 1000);
+        const recheckSeconds = recheckSince ? Math.floor(recheckSince.getTime() / 1000) : untilSeconds;
+        const messages = [];
+        let offsetId = 0;
+
+        while (true) {
+            let page;
+            try {
+                page = await this.connection.retryApiCall(() =>
+                    this.client.getMessages(entity, {
+                        limit: PAGE_SIZE,
+                        offsetId,
+                        offsetDate: offsetId ? undefined : untilSeconds,
+                        reverse: false
+                    })
+                );
+            } catch (error) {
+                // Keep what was already paged in rather than losing the whole chat
+                if (messages.length === 0) throw error;
+                return { messages, complete: false, reason: `paging failed: ${error.message}` };
+            }
+
+            for (const message of page) {
+                if (message.date < sinceSeconds) {
+                    return { messages, complete: true };
+                }
+                // Stored already and too old to have been edited since the last sync
+                if (knownMaxId && message.id <= knownMaxId && message.date < recheckSeconds) {
+                    return { messages, complete: true };
+                }
+                if (message.date < untilSeconds) messages.push(message);
+            }
+
+            if (page.length < PAGE_SIZE) {
+                return { messages, complete: true };
+            }
+
+            if (messages.length >= this.maxMessagesPerChat) {
+                return { messages, complete: false, reason: `reached MAX_MESSAGES_PER_CHAT (${this.maxMessagesPerChat})` };
+            }
+
+            offsetId = page[page.length - 1].id;
+        }
     }
 
-    async fetchDialogMessages(entity, weekAgo, chatTitle) {
-        const messages = await this.connection.retryApiCall(() =>
-            this.client.getMessages(entity, {
-                offsetDate: Math.floor(Date.now() / 1000),
-                limit: 200,
-                reverse: false
-            })
-        );
+    async fetchDialogMessages(entity, period, chatTitle, options = {}) {
+        const { messages, complete, reason } = await this.fetchMessagesInPeriod(entity, period, options);
+
+        console.log(`📥 ${chatTitle}: Retrieved ${messages.length} messages${complete ? '' : ` (truncated: ${reason})`}`);
 
-        console.log(`📥 ${chatTitle}: Retrieved ${messages.length} messages`);
+        await this.senders.prefetch(messages);
+        const topics = entity.forum ? await this.getTopicTitles(entity) : null;
 
         const chatType = this.getChatType(entity);
         const processedMessages = [];
-        let weeklyCount = 0;
         let includedCount = 0;
 
         for (const message of messages) {
-            // Check date range
             const messageDate = new Date(message.date * 1000);
-            if (messageDate < weekAgo) {
-                // Messages are typically sorted newest first, but we'll continue
-                // checking all messages to ensure we don't miss any
-                continue;
-            }
-            weeklyCount++;
 
             // Apply message-level filtering
-            if (!this.filter.shouldIncludeMessage(message, chatType)) continue;
+            if (!this.filter.shouldIncludeMessage(message, chatType, entity.id.toString())) continue;
             includedCount++;
 
+            // Captionless media becomes a typed placeholder; voice notes can be transcribed locally
+            const media = MediaDescriber.describe(message);
+            if (this.stt && MediaDescriber.isSpoken(media)) {
+                media.transcript = await this.stt.transcribe(message, entity.id.toString(), media);
+            }
+            const text = media ? MediaDescriber.toText(message.text, media) : message.text;
+
             // Create message object
             const messageData = {
                 timestamp: messageDate.toISOString(),
@@ -86,11 +259,18 @@ class MessageFetcher {
                 chatTitle: chatTitle,
                 chatType: chatType,
                 senderName: this.getSenderName(message),
+                senderUsername: this.filter.isFromMe(message) ? null : this.senders.lookup(this.getSenderId(message)).username,
                 senderId: this.getSenderId(message),
-                text: message.text,
+                text,
+                media,
                 date: message.date,
+                editDate: message.editDate || null,
                 isFromMe: this.filter.isFromMe(message),
-                isMention: this.filter.checkMention(message.text),
+                isMention: this.filter.checkMention(text),
+                replyToId: this.getReplyToId(message),
+                topicId: topics ? this.getTopicId(message) : null,
+                topicTitle: topics ? (topics.get(this.getTopicId(message)) || null) : null,
+                forward: this.getForwardHeader(message),
                 filterMode: this.filter.filterMode,
                 participantCount: entity.participantsCount || null
             };
@@ -99,23 +279,96 @@ class MessageFetcher {
         }
 
         if (process.env.DEBUG_FETCHING === 'true') {
-            console.log(`  ✅ ${chatTitle}: ${weeklyCount} in range, ${includedCount} included`);
+            console.log(`  ✅ ${chatTitle}: ${messages.length} in range, ${includedCount} included`);
         }
+
+        this.recordCoverage(entity, chatTitle, { inRange: messages.length, included: includedCount, complete, reason });
         
         return processedMessages;
     }
 
+    recordCoverage(entity, chatTitle, { inRange = 0, included = 0, complete, reason = null }) {
+        this.chatCoverage.push({
+            chatId: entity.id.toString(),
+            chatTitle,
+            chatType: this.getChatType(entity),
+            inRange,
+            included,
+            complete,
+            reason
+        });
+    }
+
+    /**
+     * Loads forum topic titles once per chat; topic 1 is the implicit "General" topic
+     * @param {Object} entity - Forum supergroup entity
+     * @returns {Promise<Map>} topicId → title
+     */
+    async getTopicTitles(entity) {
+        const chatId = entity.id.toString();
+        if (this.topicTitles.has(chatId)) return this.topicTitles.get(chatId);
+
+        const titles = new Map([[1, 'General']]);
+        try {
+            let offset = { offsetDate: 0, offsetId: 0, offsetTopic: 0 };
+            while (true) {
+                const result = await this.connection.retryApiCall(() =>
+                    this.client.invoke(new Api.channels.GetForumTopics({ channel: entity, limit: PAGE_SIZE, ...offset }))
+                );
+                const topics = result.topics.filter(topic => topic.title);
+                topics.forEach(topic => titles.set(topic.id, topic.title));
+
+                const last = topics[topics.length - 1];
+                if (result.topics.length < PAGE_SIZE || !last) break;
+                offset = { offsetDate: last.date, offsetId: last.topMessage, offsetTopic: last.id };
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not load forum topics for ${ChatUtils.getChatTitle(entity)}: ${error.message}`);
+        }
+
+        this.topicTitles.set(chatId, titles);
+        return titles;
+    }
+
+    getReplyToId(message) {
+        return message.replyTo?.replyToMsgId || null;
+    }
+
+    /**
+     * Messages in a forum topic reply to the topic's root message (replyToTopId when
+     * replying to someone inside the topic); messages without a header are in General
+     */
+    getTopicId(message) {
+        const header = message.replyTo;
+        if (!header?.forumTopic) return 1;
+        return header.replyToTopId || header.replyToMsgId;
+    }
+
+    getForwardHeader(message) {
+        const header = message.fwdFrom;
+        if (!header) return null;
+
+        const fromId = header.fromId?.userId || header.fromId?.channelId || header.fromId?.chatId || null;
+        let fromName = header.fromName || header.postAuthor || null;
+        if (!fromName && fromId) fromName = this.senders.lookup(fromId.toString()).name;
+
+        return {
+            fromName,
+            fromId: fromId ? fromId.toString() : null,
+            date: header.date ? new Date(header.date * 1000).toISOString() : null
+        };
+    }
+
     getSenderName(message) {
         if (this.filter.isFromMe(message)) {
             return 'ME';
         }
         
-        const senderId = this.getSenderId(message);
-        return `User_${senderId}`;
+        return this.senders.lookup(this.getSenderId(message)).name;
     }
 
     getSenderId(message) {
-        return (message.senderId || message.fromId?.userId || 'unknown').toString();
+        return SenderResolver.getSenderId(message);
     }
 
     getChatType(entity) {
@@ -126,37 +379,14 @@ class MessageFetcher {
         console.log('📁 Also checking archived dialogs...');
         
         try {
-            const archivedDialogs = await this.connection.retryApiCall(() =>
-                this.client.getDialogs({ limit: 50, archived: true })
-            );
+            const archivedDialogs = await this.fetchAllDialogs({ archived: true });
             
             console.log(`📋 Found ${archivedDialogs.length} archived dialogs`);
             
-            const weekAgo = new Date();
-            weekAgo.setDate(weekAgo.getDate() - 7);
-            
-            const allMessages = [];
-            let includedDialogs = 0;
-
-            for (const dialog of archivedDialogs) {
-                if (!this.filter.shouldIncludeDialog(dialog)) continue;
-                
-                includedDialogs++;
-                const entity = dialog.entity;
-                const chatTitle = ChatUtils.getChatTitle(entity, 'Archived Chat');
-                
-                try {
-                    const messages = await this.fetchDialogMessages(entity, weekAgo, `[ARCHIVED] ${chatTitle}`);
-                    allMessages.push(...messages);
-                } catch (error) {
-                    console.warn(`⚠️ Failed to fetch from archived ${chatTitle}: ${error.message}`);
-                }
-
-                await new Promise(resolve => setTimeout(resolve, 200));
-            }
+            const { messages, included } = await this.fetchDialogs(archivedDialogs, { archived: true });
 
-            console.log(`✅ Fetched ${allMessages.length} messages from ${includedDialogs} archived dialogs`);
-            return allMessages;
+            console.log(`✅ Fetched ${messages.length} messages from ${included} archived dialogs`);
+            return messages;
             
         } catch (error) {
             console.warn('⚠️ Could not fetch archived dialogs:', error.message);
@@ -1,72 +1,82 @@
-const ChatUtils = require('./chat-utils');
+const FilterRules = require('./filter-rules');
+const ChatFolders = require('./chat-folders');
+const MediaDescriber = require('./media-describer');
 
 class MessageFilter {
-    constructor(me) {
+    constructor(me, rules = FilterRules.load()) {
         this.me = me;
+        this.rules = rules;
+        this.folders = null;
     }
 
-    async buildFolderCache(client) {
-        // No longer needed - kept for compatibility
-        return;
+    /**
+     * Loads the user's Telegram folders once so folder rules and list-chats can use them
+     * Rules that name folders cannot work without them, so a failed load only fails the run then.
+     * @param {TelegramClient} client - Connected client
+     * @param {TelegramConnection} connection - For paced, retried API calls
+     */
+    async buildFolderCache(client, connection) {
+        if (this.folders) return;
+
+        const referenced = this.rules.folderNames().filter(name => name !== 'archived');
+        try {
+            this.folders = await ChatFolders.load(client, connection);
+        } catch (error) {
+            if (referenced.length > 0) throw new Error(`Could not load Telegram folders for the folder filter rules: ${error.message}`);
+            console.warn(`⚠️ Could not load Telegram folders: ${error.message}`);
+            this.folders = new ChatFolders();
+            return;
+        }
+
+        const titles = this.folders.titles();
+        const unknown = referenced.filter(name => !titles.some(title => title.toLowerCase() === name));
+        if (unknown.length > 0) {
+            console.warn(`⚠️ Filter rules name folders you do not have: ${unknown.join(', ')} (your folders: ${titles.join(', ') || 'none'})`);
+        }
     }
 
-    shouldIncludeDialog(dialog) {
-        const entity = dialog.entity;
+    /**
+     * @param {Object} dialog - Telegram dialog
+     * @returns {string[]} Telegram folder titles, plus "Archived" for archived chats
+     */
+    getDialogFolders(dialog) {
+        const folders = this.folders ? this.folders.foldersOf(dialog) : [];
+        return dialog.folderId === 1 || dialog.archived ? [...folders, 'Archived'] : folders;
+    }
 
-        // Determine chat types using utility
-        const chatTypeInfo = ChatUtils.getChatType(entity);
-        const { isChannel, isGroup, isBot, isDM } = chatTypeInfo;
+    /**
+     * Evaluates the filter rules for a dialog
+     * @param {Object} dialog - Telegram dialog
+     * @returns {Object} { include, rule } - rule names what decided the chat's fate
+     */
+    explainDialog(dialog) {
+        const decision = this.rules.evaluateDialog(dialog, this.getDialogFolders(dialog));
 
         // Debug logging
         if (process.env.DEBUG_FILTERING === 'true') {
-            console.log(`🔍 ${entity.title || 'Unknown'}: isDM=${isDM}, isGroup=${isGroup}, isChannel=${isChannel}, isBot=${isBot}, members=${entity.participantsCount || 'N/A'}`);
+            const entity = dialog.entity;
+            console.log(`🔍 ${entity.title || entity.firstName || 'Unknown'}: ${decision.include ? 'include' : 'exclude'} by ${decision.rule}, members=${entity.participantsCount || 'N/A'}`);
         }
 
-        // Always exclude channels
-        if (isChannel) return false;
-
-        // Always exclude bots
-        if (isBot) return false;
-
-        // Filter spam groups
-        if (isGroup && this.isSpamChat(entity)) return false;
-
-        // Include all DMs and clean groups
-        return true;
+        return decision;
     }
 
-    isSpamChat(entity) {
-        const title = (entity.title || '').toLowerCase();
-        const spamKeywords = [
-            // Trading & Crypto
-            'trading', 'crypto', 'bitcoin', 'btc', 'eth', 'pump', 'signal', 'trend',
-            'coin', 'binance', 'solana', 'ethereum', 'token', 'defi', 'nft',
-            'doge', 'shib', 'altcoin', 'protocol', 'dao', 'web3', 'blockchain',
-            'airdrop', 'presale', 'launch', 'listing', 'dex', 'swap',
-            'xrp', 'ripple', 'cardano', 'ada', 'matic', 'polygon', 'bnb',
-            'usdt', 'usdc', 'stablecoin', 'luna', 'avax', 'dot', 'link',
-            'uni', 'sushi', 'cake', 'farm', 'yield', 'stake', 'mining',
-            'hodl', 'fomo', 'ath', 'desci', 'seedify', 'ido', 'ico',
-            'pink', 'karma', 'cult', 'nerd', 'labs', 'origo',
-            // Gambling
-            'casino', 'betting', 'win', 'lottery', 'prize', 'jackpot',
-            // Memes & Spam
-            'meme', 'trending', 'moonshot', 'gem'
-        ];
-        return spamKeywords.some(keyword => title.includes(keyword));
+    shouldIncludeDialog(dialog) {
+        return this.explainDialog(dialog).include;
     }
 
-    shouldIncludeMessage(message, chatType) {
-        // Skip empty messages
-        if (!message.text || message.text.trim() === '') return false;
-
-        // Skip spam messages
-        if (this.isSpamMessage(message.text)) return false;
-
-        // Skip forwarded messages in groups (except from me)
-        if (chatType === 'group' && message.fwdFrom && !this.isFromMe(message)) return false;
-
-        return true;
+    shouldIncludeMessage(message, chatType, chatId = null) {
+        // Skip messages with neither text nor media we can describe (service messages etc.)
+        const hasText = Boolean(message.text && message.text.trim());
+        if (!hasText && !MediaDescriber.describe(message)) return false;
+
+        return this.rules.evaluateMessage({
+            text: message.text || '',
+            chatId,
+            chatType,
+            forwarded: Boolean(message.fwdFrom),
+            fromMe: this.isFromMe(message)
+        }).include;
     }
 
     isFromMe(message) {
@@ -81,17 +91,6 @@ class MessageFilter {
         return (myUsername && text.includes(`@${myUsername}`)) ||
                text.toLowerCase().includes(myName.toLowerCase());
     }
-
-    isSpamMessage(text) {
-        const spamKeywords = [
-            '🚀', '💎', 'TO THE MOON', 'HODL', 'BUY NOW', 'PUMP', 'LAMBO',
-            'SIGNAL', 'ENTRY', 'TARGET', 'STOP LOSS', '🎰', '💰', '🤑'
-        ];
-        const upperText = text.toUpperCase();
-        const hasSpam = spamKeywords.some(keyword => upperText.includes(keyword));
-        const emojiCount = (text.match(/[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu) || []).length;
-        return hasSpam || emojiCount > 5;
-    }
 }
 
 module.exports = MessageFilter;
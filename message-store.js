@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Local persistent message store
+ * Append-only JSONL of message objects keyed by chatId + messageId, plus a
+ * per-chat sync state (high-water mark and how far back the chat is covered)
+ */
+class MessageStore {
+    constructor(dir = process.env.STORE_DIR || './data') {
+        this.dir = dir;
+        this.messagesFile = path.join(dir, 'messages.jsonl');
+        this.stateFile = path.join(dir, 'sync-state.json');
+        this.messages = new Map();
+        this.state = {};
+        this.appendedLines = 0;
+        this.appending = Promise.resolve(); // Chats are fetched concurrently; appends go one at a time
+        this.loaded = false;
+    }
+
+    static isEnabled(options = {}) {
+        return !options.noStore && process.env.MESSAGE_STORE !== 'false';
+    }
+
+    static key(chatId, messageId) {
+        return `${chatId}:${messageId}`;
+    }
+
+    async load() {
+        if (this.loaded) return this;
+
+        await fs.mkdir(this.dir, { recursive: true });
+
+        const content = await MessageStore.readIfExists(this.messagesFile);
+        if (content !== null) {
+            const lines = content.split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    const record = JSON.parse(line);
+                    // Later lines win, so edits simply append a newer version
+                    this.messages.set(MessageStore.key(record.chatId, record.messageId), record);
+                    this.appendedLines++;
+                } catch (error) {
+                    console.warn(`⚠️ Skipping corrupt line in ${this.messagesFile}`);
+                }
+            }
+        }
+
+        const stateContent = await MessageStore.readIfExists(this.stateFile);
+        if (stateContent !== null) {
+            this.state = JSON.parse(stateContent);
+        }
+
+        this.loaded = true;
+        return this;
+    }
+
+    /**
+     * Returns the sync state of a chat, or null if it was never synced
+     * @param {string} chatId - Chat id
+     * @returns {Object|null} { maxId, coveredSince, lastSync, chatTitle }
+     */
+    getChatState(chatId) {
+        return this.state[chatId] || null;
+    }
+
+    /**
+     * Inserts new messages and replaces edited ones
+     * @param {Array} records - Message objects produced by MessageFetcher
+     * @returns {Object} { added, updated }
+     */
+    async upsert(records) {
+        const lines = [];
+        let added = 0, updated = 0;
+
+        for (const record of records) {
+            const key = MessageStore.key(record.chatId, record.messageId);
+            const existing = this.messages.get(key);
+
+            if (existing) {
+                if ((record.editDate || 0) <= (existing.editDate || 0)) continue;
+                updated++;
+            } else {
+                added++;
+            }
+
+            this.messages.set(key, record);
+            lines.push(JSON.stringify(record));
+        }
+
+        if (lines.length > 0) {
+            this.appendedLines += lines.length;
+            const append = this.appending.then(() => fs.appendFile(this.messagesFile, lines.join('\n') + '\n'));
+            this.appending = append.catch(() => {});
+            await append;
+        }
+
+        return { added, updated };
+    }
+
+    /**
+     * Records how far a chat has been synced
+     * @param {string} chatId - Chat id
+     * @param {Object} update - { maxId, coveredSince, chatTitle }
+     */
+    updateChatState(chatId, { maxId, coveredSince, chatTitle }) {
+        const previous = this.state[chatId] || {};
+        this.state[chatId] = {
+            chatTitle,
+            maxId: Math.max(previous.maxId || 0, maxId || 0),
+            coveredSince: coveredSince.toISOString(),
+            lastSync: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Returns stored messages inside a period, oldest first
+     * @param {DigestPeriod} period - Window to read
+     * @param {Set<string>} chatIds - Optional set of chats to restrict to
+     * @returns {Array}
+     */
+    getMessages(period, chatIds = null) {
+        const result = [];
+        for (const record of this.messages.values()) {
+            if (chatIds && !chatIds.has(record.chatId)) continue;
+            if (!period.contains(new Date(record.timestamp))) continue;
+            result.push(record);
+        }
+        return result.sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Persists sync state and rewrites the JSONL once superseded versions pile up
+     */
+    async save() {
+        await fs.writeFile(this.stateFile, JSON.stringify(this.state, null, 2));
+
+        if (this.appendedLines > this.messages.size * 2) {
+            const tmpFile = `${this.messagesFile}.tmp`;
+            const lines = [...this.messages.values()].map(record => JSON.stringify(record));
+            await fs.writeFile(tmpFile, lines.join('\n') + (lines.length ? '\n' : ''));
+            await fs.rename(tmpFile, this.messagesFile);
+            this.appendedLines = this.messages.size;
+        }
+    }
+
+    static async readIfExists(file) {
+        try {
+            return await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = MessageStore;
@@ -0,0 +1,192 @@
+/**
+ * Period-over-period changes computed from activity snapshots: totals, chats that
+ * spiked or went quiet, and contacts who appeared or disappeared
+ * A chat spikes when it grows by TREND_SPIKE_RATIO (default 2×) and by at least
+ * TREND_MIN_MESSAGES (default 3) messages; drops are the mirror image.
+ */
+
+const TOTALS = [
+    ['messages', 'Messages'],
+    ['directMessages', 'DMs received'],
+    ['groupMessages', 'Group messages'],
+    ['channelMessages', 'Channel updates'],
+    ['mentions', 'Mentions'],
+    ['myMessages', 'Messages sent']
+];
+
+class PeriodTrends {
+    /**
+     * Compact record of one run, stored in TrendHistory
+     * @param {Object} analysis - Result of analyzeMessages
+     * @returns {Object} { createdAt, period, totals, chats, contacts }
+     */
+    static snapshot(analysis) {
+        const chats = new Map();
+        analysis.messages.forEach(msg => {
+            const chat = chats.get(msg.chatId) || { chatId: msg.chatId, chatTitle: msg.chatTitle, chatType: msg.chatType, messages: 0 };
+            chat.messages++;
+            chats.set(msg.chatId, chat);
+        });
+
+        return {
+            createdAt: new Date().toISOString(),
+            period: analysis.period.toJSON(),
+            totals: {
+                messages: analysis.messages.length,
+                directMessages: analysis.directMessages.length,
+                groupMessages: analysis.groupMessages.length,
+                channelMessages: analysis.channelMessages.length,
+                mentions: analysis.mentions.length,
+                myMessages: analysis.myMessages.length
+            },
+            chats: [...chats.values()],
+            contacts: analysis.contacts.map(({ senderId, name, messages }) => ({ senderId, name, messages }))
+        };
+    }
+
+    /**
+     * @param {Object} current - Snapshot of this run
+     * @param {Object} previous - Snapshot of the previous period, or null
+     * @returns {Object|null} { previousPeriod, totals, spiked, dropped, newContacts, goneContacts }
+     */
+    static compare(current, previous, {
+        spikeRatio = parseFloat(process.env.TREND_SPIKE_RATIO) || 2,
+        minMessages = parseInt(process.env.TREND_MIN_MESSAGES) || 3
+    } = {}) {
+        if (!previous) return null;
+
+        const before = new Map(previous.chats.map(chat => [chat.chatId, chat]));
+        const now = new Map(current.chats.map(chat => [chat.chatId, chat]));
+        const chatIds = new Set([...before.keys(), ...now.keys()]);
+
+        const spiked = [];
+        const dropped = [];
+        chatIds.forEach(chatId => {
+            const was = before.get(chatId)?.messages || 0;
+            const is = now.get(chatId)?.messages || 0;
+            const chat = now.get(chatId) || before.get(chatId);
+            const entry = { chatId, chatTitle: chat.chatTitle, chatType: chat.chatType, previous: was, current: is };
+
+            if (is - was >= minMessages && is >= was * spikeRatio) spiked.push(entry);
+            if (was - is >= minMessages && was >= is * spikeRatio) dropped.push(entry);
+        });
+
+        const previousContacts = new Map(previous.contacts.map(contact => [contact.senderId, contact]));
+        const currentContacts = new Set(current.contacts.map(contact => contact.senderId));
+
+        return {
+            previousPeriod: previous.period,
+            totals: TOTALS.map(([key, label]) => ({ key, label, previous: previous.totals[key] || 0, current: current.totals[key] || 0 })),
+            spiked: spiked.sort((a, b) => (b.current - b.previous) - (a.current - a.previous)),
+            dropped: dropped.sort((a, b) => (b.previous - b.current) - (a.previous - a.current)),
+            newContacts: current.contacts.filter(contact => !previousContacts.has(contact.senderId)),
+            goneContacts: previous.contacts
+                .filter(contact => !currentContacts.has(contact.senderId) && contact.messages >= minMessages)
+                .sort((a, b) => b.messages - a.messages)
+        };
+    }
+
+    /**
+     * Copy with chat titles and contact names pseudonymized, for the redacted prompt
+     * @param {Object} trends - Result of compare()
+     * @param {Redactor} redactor - Redactor already loaded with the current messages
+     * @returns {Object}
+     */
+    static redact(trends, redactor) {
+        if (!trends) return trends;
+        const chat = entry => ({
+            ...entry,
+            chatTitle: entry.chatType === 'dm' ? redactor.addPerson(`chat:${entry.chatId}`, entry.chatTitle) : redactor.redactText(entry.chatTitle)
+        });
+        const contact = entry => ({ ...entry, name: redactor.addPerson(entry.senderId, entry.name) });
+
+        return {
+            ...trends,
+            spiked: trends.spiked.map(chat),
+            dropped: trends.dropped.map(chat),
+            newContacts: trends.newContacts.map(contact),
+            goneContacts: trends.goneContacts.map(contact)
+        };
+    }
+
+    /**
+     * @returns {string} e.g. "+50%", "-100%", "new"
+     */
+    static formatChange(previous, current) {
+        if (previous === current) return '±0%';
+        if (previous === 0) return 'new';
+        const percent = Math.round((current - previous) / previous * 100);
+        return `${percent > 0 ? '+' : ''}${percent}%`;
+    }
+
+    static describePeriod(period) {
+        return `${period.since.split('T')[0]} → ${period.until.split('T')[0]}`;
+    }
+
+    static formatChat(entry) {
+        return `${entry.chatTitle}: ${entry.previous} → ${entry.current} messages${entry.current === 0 ? ' (silent)' : ''}`;
+    }
+
+    /**
+     * Plain lines for the LLM prompt
+     * @param {Object} trends - Result of compare(), or null without history
+     * @returns {string}
+     */
+    static formatForPrompt(trends) {
+        if (!trends) return 'CHANGES SINCE LAST PERIOD: no earlier digest of the same length to compare with';
+
+        const contactList = (contacts, field) => contacts.slice(0, 10)
+            .map(contact => `${contact.name} (${contact[field]})`).join(', ') || 'none';
+
+        return `CHANGES SINCE LAST PERIOD (computed, compared with ${PeriodTrends.describePeriod(trends.previousPeriod)}):
+${trends.totals.map(total => `- ${total.label}: ${total.previous} → ${total.current} (${PeriodTrends.formatChange(total.previous, total.current)})`).join('\n')}
+- Chats that spiked: ${trends.spiked.slice(0, 10).map(PeriodTrends.formatChat).join('; ') || 'none'}
+- Chats that went quiet: ${trends.dropped.slice(0, 10).map(PeriodTrends.formatChat).join('; ') || 'none'}
+- New contacts: ${contactList(trends.newContacts, 'messages')}
+- Contacts who disappeared (messages last period): ${contactList(trends.goneContacts, 'messages')}`;
+    }
+
+    /**
+     * Markdown section appended to every report with history, including the fallback one
+     * @param {Object} trends - Result of compare()
+     * @returns {string}
+     */
+    static renderSection(trends) {
+        const lines = [
+            '## Changes Since Last Period',
+            '',
+            `Compared with ${PeriodTrends.describePeriod(trends.previousPeriod)}.`,
+            '',
+            '| Metric | Previous | Current | Change |',
+            '| --- | ---: | ---: | ---: |',
+            ...trends.totals
+                .filter(total => total.previous > 0 || total.current > 0)
+                .map(total => `| ${total.label} | ${total.previous} | ${total.current} | ${PeriodTrends.formatChange(total.previous, total.current)} |`)
+        ];
+
+        const chats = [
+            ...trends.spiked.slice(0, 10).map(entry => ({ ...entry, marker: '📈' })),
+            ...trends.dropped.slice(0, 10).map(entry => ({ ...entry, marker: entry.current === 0 ? '💤' : '📉' }))
+        ];
+        if (chats.length > 0) {
+            lines.push('', '### Chat Activity', '', '| Chat | Previous | Current | Change |', '| --- | ---: | ---: | ---: |');
+            chats.forEach(entry => {
+                lines.push(`| ${entry.marker} ${entry.chatTitle.replace(/\|/g, '\\|')} | ${entry.previous} | ${entry.current} | ${entry.current === 0 ? 'silent' : PeriodTrends.formatChange(entry.previous, entry.current)} |`);
+            });
+        }
+
+        if (trends.newContacts.length > 0 || trends.goneContacts.length > 0) {
+            lines.push('', '### Contacts', '');
+            if (trends.newContacts.length > 0) {
+                lines.push(`- 🆕 New: ${trends.newContacts.slice(0, 10).map(contact => `${contact.name} (${contact.messages})`).join(', ')}${trends.newContacts.length > 10 ? ` and ${trends.newContacts.length - 10} more` : ''}`);
+            }
+            if (trends.goneContacts.length > 0) {
+                lines.push(`- 👋 Gone quiet: ${trends.goneContacts.slice(0, 10).map(contact => `${contact.name} (${contact.messages} last period)`).join(', ')}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = PeriodTrends;
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Named account profiles
+ * Loaded from profiles.json / profiles.yaml (or PROFILES_FILE). Every profile is a set of
+ * environment overrides (credentials, session, FILTERS_FILE, STORE_DIR, REPORTS_DIR, ...)
+ * applied on top of .env, e.g.
+ *
+ *   profiles:
+ *     work:
+ *       PHONE_NUMBER: "+15550100"
+ *       DELIVER: email
+ *       FILTERS_FILE: filters.work.yaml
+ *
+ * A profile keeps its own store and reports unless it sets STORE_DIR / REPORTS_DIR:
+ * data/<name> and reports/<name>. It never inherits a session from .env: TELEGRAM_SESSION
+ * and SESSION_FILE only count when the profile sets them itself.
+ */
+
+const FILE_CANDIDATES = ['profiles.json', 'profiles.yaml', 'profiles.yml'];
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Belong to the account of .env, not to every profile
+const ACCOUNT_KEYS = ['TELEGRAM_SESSION', 'SESSION_FILE'];
+
+class Profiles {
+    constructor(config = {}, source = null) {
+        this.source = source;
+        this.profiles = new Map();
+
+        Object.entries(config.profiles || {}).forEach(([name, overrides]) => {
+            if (!NAME_PATTERN.test(name)) {
+                throw new Error(`Invalid profile name "${name}" in ${source || 'profiles'}: use letters, digits, - and _`);
+            }
+            this.profiles.set(name, Profiles.toEnv(overrides || {}));
+        });
+    }
+
+    /**
+     * @param {string} file - Optional explicit path, defaults to PROFILES_FILE
+     * @returns {Profiles} Empty when no file exists
+     */
+    static load(file = process.env.PROFILES_FILE) {
+        const candidates = file ? [file] : FILE_CANDIDATES;
+        const found = candidates.find(candidate => fs.existsSync(candidate));
+
+        if (!found) {
+            if (file) throw new Error(`Profiles file not found: ${file}`);
+            return new Profiles();
+        }
+
+        const content = fs.readFileSync(found, 'utf8');
+        let config;
+        try {
+            config = /\.ya?ml$/i.test(found) ? yaml.load(content) : JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid profiles in ${found}: ${error.message}`);
+        }
+        return new Profiles(config || {}, path.resolve(found));
+    }
+
+    // Environment values are strings; numbers and booleans in YAML are fine too
+    static toEnv(overrides) {
+        return Object.fromEntries(Object.entries(overrides).map(([key, value]) => [key, String(value)]));
+    }
+
+    /**
+     * Profile names selected by --profile work,personal or DIGEST_PROFILE
+     * @param {Object} options - Parsed CLI options
+     * @returns {string[]} Empty when no profile is selected
+     */
+    static namesFromOptions(options = {}) {
+        const value = typeof options.profile === 'string' ? options.profile : process.env.DIGEST_PROFILE;
+        if (!value) return [];
+        return [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+    }
+
+    /**
+     * @param {string} name - Profile name
+     * @returns {Object} Environment for the profile: .env values (without its session) overridden by the profile
+     */
+    env(name) {
+        if (!this.profiles.has(name)) {
+            const known = [...this.profiles.keys()];
+            throw new Error(`Unknown profile "${name}"${known.length > 0 ? `. Known profiles: ${known.join(', ')}` : ` (no ${FILE_CANDIDATES.join(' / ')} found)`}`);
+        }
+        const overrides = this.profiles.get(name);
+        const inherited = { ...process.env };
+        ACCOUNT_KEYS.forEach(key => delete inherited[key]);
+        return {
+            ...inherited,
+            STORE_DIR: path.join(process.env.STORE_DIR || './data', name),
+            REPORTS_DIR: path.join(process.env.REPORTS_DIR || './reports', name),
+            ...overrides
+        };
+    }
+
+    /**
+     * Makes a single profile the environment of the whole process
+     * @param {string} name - Profile name
+     */
+    apply(name) {
+        const env = this.env(name);
+        ACCOUNT_KEYS.filter(key => !(key in env)).forEach(key => delete process.env[key]);
+        Object.assign(process.env, env);
+    }
+
+    /**
+     * Prepares a combined run over several accounts: their connection settings are
+     * captured first, then action items, trends and reports move to data/<a>+<b>
+     * and reports/<a>+<b>
+     * @param {string[]} names - Profile names
+     * @returns {Object[]} Result of account() per profile
+     */
+    applyCombined(names) {
+        const accounts = names.map(name => this.account(name));
+        const label = names.join('+');
+        process.env.STORE_DIR = path.join(process.env.STORE_DIR || './data', label);
+        process.env.REPORTS_DIR = path.join(process.env.REPORTS_DIR || './reports', label);
+        return accounts;
+    }
+
+    /**
+     * Connection settings of a profile, for combined runs over several accounts
+     * @param {string} name - Profile name
+     * @returns {Object} { name, apiId, apiHash, session, phoneNumber, filtersFile, storeDir, sessionFile, includeArchived }
+     */
+    account(name) {
+        const env = this.env(name);
+        return {
+            name,
+            apiId: env.TELEGRAM_API_ID,
+            apiHash: env.TELEGRAM_API_HASH,
+            session: env.TELEGRAM_SESSION,
+            phoneNumber: env.PHONE_NUMBER,
+            filtersFile: env.FILTERS_FILE,
+            storeDir: env.STORE_DIR,
+            sessionFile: env.SESSION_FILE || path.join(env.STORE_DIR, 'session.json'),
+            includeArchived: env.INCLUDE_ARCHIVED === 'true'
+        };
+    }
+}
+
+module.exports = Profiles;
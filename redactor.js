@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+/**
+ * PII redaction and pseudonymization for content sent to the LLM
+ * Phone numbers, emails, card/IBAN numbers, URLs carrying tokens and custom
+ * patterns become placeholders like [EMAIL_1]; people get stable pseudonyms
+ * like Person_3FA2C1. restore() maps everything back in the returned digest.
+ */
+
+const NAME_BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const NAME_BOUNDARY_AFTER = '(?![\\p{L}\\p{N}_])';
+// First names that are also everyday words: replacing "will" or "May" in every sentence would
+// garble the prompt, so these names are only pseudonymized as part of the full name
+const COMMON_WORD_NAMES = new Set([
+    'will', 'may', 'mark', 'bill', 'grace', 'hope', 'joy', 'faith', 'june', 'april', 'august', 'rose',
+    'art', 'ray', 'jack', 'sue', 'pat', 'rich', 'frank', 'sunny', 'summer', 'dawn', 'max', 'chase',
+    'drew', 'miles', 'guy', 'gene', 'don', 'bob', 'buck', 'cliff', 'dale', 'dean', 'earl', 'glen',
+    'holly', 'ivy', 'jay', 'lily', 'lane', 'lance', 'major', 'marsh', 'mason', 'page', 'penny',
+    'pierce', 'reed', 'rob', 'rocky', 'rusty', 'sandy', 'skip', 'sky', 'star', 'wade', 'ward', 'win',
+    'the', 'and', 'new', 'big', 'best', 'dear', 'team', 'admin', 'support'
+]);
+const SECRET_QUERY_PARAMS = /[?&#](?:token|access_token|key|api_key|apikey|secret|sig|signature|auth|code|password|session|sid)=/i;
+
+const BUILT_IN_PATTERNS = [
+    { name: 'EMAIL', regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+    {
+        name: 'URL',
+        regex: /https?:\/\/[^\s"'<>)]+/gi,
+        // Plain links stay readable; only links that look like they carry credentials are masked
+        test: url => SECRET_QUERY_PARAMS.test(url) || /\/[A-Za-z0-9_-]*(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{24,}/.test(url)
+    },
+    { name: 'IBAN', regex: /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]{4}){2,7}(?:[ ]?[A-Z0-9]{1,4})?\b/g },
+    { name: 'CARD', regex: /\b\d(?:[ -]?\d){12,18}\b/g, test: value => Redactor.luhn(value.replace(/\D/g, '')) },
+    {
+        name: 'PHONE',
+        regex: /(?:\+\d[\d\s().-]{6,}\d|\b\d[\d\s().-]{8,}\d\b)/g,
+        test: value => {
+            const digits = value.replace(/\D/g, '').length;
+            return value.startsWith('+') ? digits >= 8 && digits <= 15 : digits >= 10 && digits <= 15;
+        }
+    }
+];
+
+class Redactor {
+    /**
+     * @param {Object} config - { patterns: [{ name, regex, flags }], names: [string] }
+     */
+    constructor(config = {}) {
+        this.customPatterns = (config.patterns || []).map(pattern => {
+            // Without g only the first match in a text would be masked
+            const flags = pattern.flags || 'gi';
+            return {
+                name: String(pattern.name || 'CUSTOM').toUpperCase(),
+                regex: new RegExp(pattern.regex, flags.includes('g') ? flags : `${flags}g`)
+            };
+        });
+        this.extraNames = config.names || [];
+        this.placeholders = new Map(); // original value → placeholder
+        this.reverse = new Map(); // placeholder → original value
+        this.counters = {};
+        this.people = []; // [{ regex, pseudonym }] longest names first
+    }
+
+    static isEnabled(options = {}) {
+        return Boolean(options.redact) || process.env.REDACT_PII === 'true';
+    }
+
+    /**
+     * Loads custom patterns and names from REDACTION_FILE (JSON or YAML) if set
+     * @param {string} file - Optional explicit path
+     * @returns {Redactor}
+     */
+    static load(file = process.env.REDACTION_FILE) {
+        if (!file) return new Redactor();
+        const content = fs.readFileSync(file, 'utf8');
+        const config = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+        return new Redactor(config || {});
+    }
+
+    static luhn(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return digits.length >= 13 && sum % 10 === 0;
+    }
+
+    static pseudonym(key) {
+        return `Person_${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 6).toUpperCase()}`;
+    }
+
+    /**
+     * Six hex digits collide now and then across thousands of people; a token already taken by
+     * another value is re-hashed with a counter so restore() cannot mix two people up
+     * @param {Function} make - key → token
+     * @param {string} key - Stable key
+     * @param {string} value - Value the token stands for
+     * @returns {string}
+     */
+    uniqueToken(make, key, value) {
+        for (let n = 0; ; n++) {
+            const token = make(n === 0 ? String(key) : `${key}#${n}`);
+            const taken = this.reverse.get(token);
+            if (taken === undefined || taken === value) return token;
+        }
+    }
+
+    placeholder(kind, value) {
+        if (this.placeholders.has(value)) return this.placeholders.get(value);
+        this.counters[kind] = (this.counters[kind] || 0) + 1;
+        const token = `[${kind}_${this.counters[kind]}]`;
+        this.placeholders.set(value, token);
+        this.reverse.set(token, value);
+        return token;
+    }
+
+    /**
+     * Registers a person so their name is replaced everywhere with the same pseudonym
+     * @param {string} key - Stable key (sender id, or the name itself)
+     * @param {string} name - Display name
+     * @returns {string} Pseudonym
+     */
+    addPerson(key, name) {
+        if (!name || name === 'ME' || /^User_/.test(name)) return name;
+        if (this.placeholders.has(name)) return this.placeholders.get(name);
+
+        const pseudonym = this.uniqueToken(Redactor.pseudonym, key, name);
+        this.placeholders.set(name, pseudonym);
+        this.reverse.set(pseudonym, name);
+
+        // Full name plus first name (when distinctive enough) map to the same pseudonym. Matching is
+        // case-sensitive: "Will" the person, "will" the verb
+        const variants = [name];
+        const firstName = name.split(/\s+/)[0];
+        if (firstName !== name && firstName.length >= 3 && /^\p{Lu}/u.test(firstName) && !COMMON_WORD_NAMES.has(firstName.toLowerCase())) {
+            variants.push(firstName);
+        }
+        variants.forEach(variant => {
+            const escaped = variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            this.people.push({ regex: new RegExp(`${NAME_BOUNDARY_BEFORE}${escaped}${NAME_BOUNDARY_AFTER}`, 'gu'), pseudonym, length: variant.length });
+        });
+        this.people.sort((a, b) => b.length - a.length);
+        return pseudonym;
+    }
+
+    redactText(text) {
+        if (!text) return text;
+        let result = text;
+
+        for (const pattern of [...BUILT_IN_PATTERNS, ...this.customPatterns]) {
+            result = result.replace(pattern.regex, match => {
+                if (pattern.test && !pattern.test(match)) return match;
+                return this.placeholder(pattern.name, match);
+            });
+        }
+
+        result = result.replace(/@([A-Za-z][A-Za-z0-9_]{3,31})/g, (match, username) => `@${this.addHandle(username)}`);
+
+        for (const person of this.people) {
+            result = result.replace(person.regex, person.pseudonym);
+        }
+
+        return result;
+    }
+
+    addHandle(username) {
+        const key = `@${username}`;
+        if (this.placeholders.has(key)) return this.placeholders.get(key).slice(1);
+        const handle = this.uniqueToken(candidate => `user_${Redactor.pseudonym(candidate).slice(7).toLowerCase()}`, key, username);
+        this.placeholders.set(key, `@${handle}`);
+        this.reverse.set(`@${handle}`, key);
+        this.reverse.set(handle, username);
+        return handle;
+    }
+
+    /**
+     * Returns redacted copies of the message objects; the originals are left untouched
+     * @param {Array} messages - Message objects
+     * @returns {Array}
+     */
+    redactMessages(messages) {
+        // Register every known person first so names inside texts are caught regardless of order
+        messages.forEach(msg => {
+            if (!msg.isFromMe) this.addPerson(msg.senderId, msg.senderName);
+            if (msg.chatType === 'dm') this.addPerson(`chat:${msg.chatId}`, msg.chatTitle);
+            if (msg.forward?.fromName) this.addPerson(msg.forward.fromId || msg.forward.fromName, msg.forward.fromName);
+        });
+        this.extraNames.forEach(name => this.addPerson(name, name));
+
+        return messages.map(msg => ({
+            ...msg,
+            text: this.redactText(msg.text),
+            senderName: msg.isFromMe ? msg.senderName : (this.placeholders.get(msg.senderName) || msg.senderName),
+            senderUsername: msg.senderUsername ? this.addHandle(msg.senderUsername) : msg.senderUsername,
+            chatTitle: msg.chatType === 'dm' ? (this.placeholders.get(msg.chatTitle) || msg.chatTitle) : this.redactText(msg.chatTitle),
+            topicTitle: this.redactText(msg.topicTitle),
+            media: msg.media ? { ...msg.media, placeholder: this.redactText(msg.media.placeholder) } : msg.media,
+            forward: msg.forward ? { ...msg.forward, fromName: this.placeholders.get(msg.forward.fromName) || this.redactText(msg.forward.fromName) } : msg.forward
+        }));
+    }
+
+    /**
+     * Maps placeholders and pseudonyms in model output back to the real values
+     * @param {string} text - Text returned by the LLM
+     * @returns {string}
+     */
+    restore(text) {
+        if (!text) return text;
+        const tokens = [...this.reverse.keys()].sort((a, b) => b.length - a.length);
+        return tokens.reduce((result, token) => result.split(token).join(this.reverse.get(token)), text);
+    }
+
+    get size() {
+        return this.reverse.size;
+    }
+}
+
+module.exports = Redactor;
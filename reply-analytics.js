@@ -0,0 +1,206 @@
+/**
+ * Deterministic reply analytics computed from isFromMe and timestamps, no LLM involved:
+ * DMs whose last message is not mine, median response latency per contact in both
+ * directions, and incoming questions nobody answered
+ */
+
+const QUESTION_PATTERN = /\?\s*$/;
+
+class ReplyAnalytics {
+    /**
+     * @param {Array} messages - Message objects
+     * @param {Date} now - Reference time for waiting durations (end of the digest period)
+     * @returns {Object} { awaiting, latency, unansweredQuestions }
+     */
+    static analyze(messages, now = new Date()) {
+        const conversations = new Map();
+        [...messages]
+            .filter(msg => msg.chatType === 'dm')
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(msg => {
+                if (!conversations.has(msg.chatId)) conversations.set(msg.chatId, []);
+                conversations.get(msg.chatId).push(msg);
+            });
+
+        const awaiting = [];
+        const latency = [];
+
+        for (const [chatId, thread] of conversations) {
+            const last = thread[thread.length - 1];
+            const contact = thread.find(msg => !msg.isFromMe);
+
+            if (!last.isFromMe) {
+                // Everything after my last message is waiting
+                const lastMineIndex = thread.map(msg => msg.isFromMe).lastIndexOf(true);
+                const pending = thread.slice(lastMineIndex + 1);
+                awaiting.push({
+                    chatId,
+                    chatTitle: last.chatTitle,
+                    senderName: last.senderName,
+                    pendingCount: pending.length,
+                    waitingSince: pending[0].timestamp,
+                    waitingMs: now - new Date(pending[0].timestamp),
+                    lastText: last.text
+                });
+            }
+
+            const { mine, theirs } = ReplyAnalytics.responseTimes(thread);
+            if (contact && (mine.length > 0 || theirs.length > 0)) {
+                latency.push({
+                    chatId,
+                    contact: contact.senderName,
+                    senderId: contact.senderId,
+                    myMedianMs: ReplyAnalytics.median(mine),
+                    myReplies: mine.length,
+                    theirMedianMs: ReplyAnalytics.median(theirs),
+                    theirReplies: theirs.length
+                });
+            }
+        }
+
+        return {
+            awaiting: awaiting.sort((a, b) => b.waitingMs - a.waitingMs),
+            latency: latency.sort((a, b) => (b.myMedianMs || 0) - (a.myMedianMs || 0)),
+            unansweredQuestions: ReplyAnalytics.unansweredQuestions(messages, now)
+        };
+    }
+
+    /**
+     * Latency is measured from the first message of a turn to the first message of the reply
+     * @param {Array} thread - One conversation in chronological order
+     * @returns {Object} { mine: [ms], theirs: [ms] }
+     */
+    static responseTimes(thread) {
+        const mine = [];
+        const theirs = [];
+        let turnStart = null;
+
+        for (let i = 0; i < thread.length; i++) {
+            const msg = thread[i];
+            const previous = thread[i - 1];
+            if (!previous || previous.isFromMe !== msg.isFromMe) {
+                if (turnStart) {
+                    const delta = new Date(msg.timestamp) - new Date(turnStart.timestamp);
+                    (msg.isFromMe ? mine : theirs).push(delta);
+                }
+                turnStart = msg;
+            }
+        }
+
+        return { mine, theirs };
+    }
+
+    /**
+     * Incoming DMs and mentions ending in "?" with no later message from me in that chat
+     */
+    static unansweredQuestions(messages, now = new Date()) {
+        const lastMine = new Map();
+        messages.filter(msg => msg.isFromMe).forEach(msg => {
+            const time = new Date(msg.timestamp).getTime();
+            if (time > (lastMine.get(msg.chatId) || 0)) lastMine.set(msg.chatId, time);
+        });
+
+        return messages
+            .filter(msg => !msg.isFromMe && (msg.chatType === 'dm' || msg.isMention))
+            .filter(msg => QUESTION_PATTERN.test(msg.text || ''))
+            .filter(msg => !(lastMine.get(msg.chatId) > new Date(msg.timestamp).getTime()))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(msg => ({
+                chatId: msg.chatId,
+                chatTitle: msg.chatTitle,
+                chatType: msg.chatType,
+                senderName: msg.senderName,
+                messageId: msg.messageId,
+                timestamp: msg.timestamp,
+                waitingMs: now - new Date(msg.timestamp),
+                text: msg.text
+            }));
+    }
+
+    static median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+
+    /**
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} e.g. "2d 4h", "3h 15m", "12m"
+     */
+    static formatDuration(ms) {
+        if (ms === null || ms === undefined) return 'n/a';
+        const minutes = Math.max(0, Math.round(ms / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return `${minutes}m`;
+    }
+
+    static truncate(text, length = 120) {
+        const line = (text || '').replace(/\s+/g, ' ').trim();
+        return line.length > length ? `${line.substring(0, length)}…` : line;
+    }
+
+    /**
+     * Plain lines for the LLM prompt
+     * @param {Object} replies - Result of analyze()
+     * @returns {string}
+     */
+    static formatForPrompt(replies) {
+        const awaiting = replies.awaiting.map(chat =>
+            `- ${chat.chatTitle}: ${chat.pendingCount} message${chat.pendingCount === 1 ? '' : 's'} waiting ${ReplyAnalytics.formatDuration(chat.waitingMs)} — last: "${ReplyAnalytics.truncate(chat.lastText)}"`);
+        const questions = replies.unansweredQuestions.map(question =>
+            `- [${question.chatTitle}] ${question.senderName}, ${ReplyAnalytics.formatDuration(question.waitingMs)} ago: "${ReplyAnalytics.truncate(question.text)}"`);
+        const latency = replies.latency.slice(0, 10).map(entry => `- ${entry.contact}: ${[
+            entry.myReplies > 0 ? `I reply in ${ReplyAnalytics.formatDuration(entry.myMedianMs)} (median of ${entry.myReplies})` : 'I have not replied yet',
+            entry.theirReplies > 0 ? `they reply in ${ReplyAnalytics.formatDuration(entry.theirMedianMs)} (median of ${entry.theirReplies})` : 'they have not replied yet'
+        ].join(', ')}`);
+
+        return `AWAITING MY REPLY (computed, last DM message is not mine):
+${awaiting.join('\n') || '- none'}
+
+UNANSWERED QUESTIONS (computed, no later reply from me):
+${questions.join('\n') || '- none'}
+
+RESPONSE TIMES (computed medians per contact):
+${latency.join('\n') || '- not enough back-and-forth'}`;
+    }
+
+    /**
+     * Markdown section appended to every report, including the fallback one
+     * @param {Object} replies - Result of analyze()
+     * @returns {string}
+     */
+    static renderSection(replies) {
+        const lines = ['## Awaiting My Reply', ''];
+
+        if (replies.awaiting.length === 0) {
+            lines.push('Every direct conversation ends with your message. ✅');
+        } else {
+            replies.awaiting.forEach(chat => {
+                lines.push(`- **${chat.chatTitle}** — waiting ${ReplyAnalytics.formatDuration(chat.waitingMs)} (${chat.pendingCount} message${chat.pendingCount === 1 ? '' : 's'}): "${ReplyAnalytics.truncate(chat.lastText, 80)}"`);
+            });
+        }
+
+        if (replies.unansweredQuestions.length > 0) {
+            lines.push('', '### Unanswered Questions', '');
+            replies.unansweredQuestions.forEach(question => {
+                lines.push(`- ${question.senderName} in ${question.chatTitle} (${ReplyAnalytics.formatDuration(question.waitingMs)} ago): "${ReplyAnalytics.truncate(question.text, 80)}"`);
+            });
+        }
+
+        const measured = replies.latency.filter(entry => entry.myMedianMs !== null);
+        if (measured.length > 0) {
+            lines.push('', '### My Response Times', '');
+            measured.slice(0, 10).forEach(entry => {
+                lines.push(`- ${entry.contact}: you ${ReplyAnalytics.formatDuration(entry.myMedianMs)}, them ${ReplyAnalytics.formatDuration(entry.theirMedianMs)}`);
+            });
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = ReplyAnalytics;
@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Archive of saved reports
+ * Every run gets a unique id (period file prefix plus the time of day), its files are
+ * written to REPORTS_DIR as <id>.<format> and it is listed in index.json with the
+ * period and message count. Retention keeps the newest REPORTS_KEEP reports and/or
+ * drops reports older than REPORTS_MAX_AGE_DAYS.
+ */
+class ReportArchive {
+    constructor(dir = process.env.REPORTS_DIR || './reports', {
+        keep = parseInt(process.env.REPORTS_KEEP) || null,
+        maxAgeDays = parseFloat(process.env.REPORTS_MAX_AGE_DAYS) || null
+    } = {}) {
+        this.dir = dir;
+        this.indexFile = path.join(dir, 'index.json');
+        this.keep = keep;
+        this.maxAgeDays = maxAgeDays;
+        this.entries = null;
+    }
+
+    /**
+     * Reads index.json again on every call: CLI runs, the daemon and the dashboard share it,
+     * so a copy kept for the life of the process would write back stale entries
+     */
+    async load() {
+        try {
+            this.entries = JSON.parse(await fs.readFile(this.indexFile, 'utf8')).reports || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw new Error(`Cannot read report index ${this.indexFile}: ${error.message}`);
+            this.entries = await this.rebuild();
+        }
+        return this;
+    }
+
+    async save() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const tmpFile = `${this.indexFile}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ reports: this.entries }, null, 2));
+        await fs.rename(tmpFile, this.indexFile);
+    }
+
+    /**
+     * Recreates index entries from the JSON reports in the directory (index deleted or never written)
+     * @returns {Promise<Array>} Entries, oldest first
+     */
+    async rebuild() {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (error) {
+            return [];
+        }
+
+        const entries = [];
+        for (const file of files.filter(name => name.endsWith('.json') && name !== 'index.json')) {
+            try {
+                const model = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                if (!model.digest || !model.period) continue;
+                const id = file.slice(0, -'.json'.length);
+                entries.push(ReportArchive.entryFor(id, model, files
+                    .filter(name => name.startsWith(`${id}.`) && !name.slice(id.length + 1).includes('.'))
+                    .map(name => name.slice(id.length + 1))));
+            } catch (error) {
+                // Not a report
+            }
+        }
+        return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    static entryFor(id, model, formats) {
+        return {
+            id,
+            createdAt: model.timestamp,
+            title: model.title || null,
+            period: model.period,
+            messageCount: model.totalMessages,
+            llm: model.llm || null,
+            formats
+        };
+    }
+
+    /**
+     * Unique id for a new run, e.g. "weekly-digest-2026-10-18-083012"
+     * @param {DigestPeriod} period - Period of the report
+     * @param {Date} now - Run time
+     * @returns {Promise<string>}
+     */
+    async nextId(period, now = new Date()) {
+        await this.load();
+        const pad = n => String(n).padStart(2, '0');
+        const base = `${period.filePrefix}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+        const taken = new Set(this.entries.map(entry => entry.id));
+
+        let id = base;
+        for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    path(id, format) {
+        return path.join(this.dir, `${id}.${format}`);
+    }
+
+    /**
+     * Records a saved report in the index and applies the retention policy
+     * @param {string} id - Result of nextId
+     * @param {Object} model - Report model (see report.schema.json)
+     * @param {string[]} formats - Formats written to disk
+     * @returns {Promise<Array>} Entries pruned by retention
+     */
+    async add(id, model, formats) {
+        await this.load();
+        this.entries.push(ReportArchive.entryFor(id, model, formats));
+        const pruned = await this.retain();
+        await this.save();
+        return pruned;
+    }
+
+    /**
+     * Newest first
+     */
+    async list() {
+        await this.load();
+        return [...this.entries].reverse();
+    }
+
+    /**
+     * @param {string} id - Full id, unique prefix or "latest"
+     * @returns {Promise<Object>} Index entry
+     */
+    async find(id) {
+        await this.load();
+        if (this.entries.length === 0) throw new Error(`No reports in ${this.dir} yet`);
+        if (!id || id === 'latest') return this.entries[this.entries.length - 1];
+
+        const exact = this.entries.find(entry => entry.id === id);
+        if (exact) return exact;
+        const matches = this.entries.filter(entry => entry.id.startsWith(String(id)));
+        if (matches.length === 0) throw new Error(`No report with id "${id}"`);
+        if (matches.length > 1) throw new Error(`Report id "${id}" is ambiguous (${matches.map(entry => entry.id).join(', ')})`);
+        return matches[0];
+    }
+
+    async read(entry, format) {
+        return fs.readFile(this.path(entry.id, format), 'utf8');
+    }
+
+    /**
+     * Digest text of a report, from the JSON report when it was saved, else md/txt
+     * @param {Object} entry - Index entry
+     * @returns {Promise<string|null>}
+     */
+    async readDigest(entry) {
+        if (entry.formats.includes('json')) {
+            return JSON.parse(await this.read(entry, 'json')).digest;
+        }
+        const format = ['md', 'txt'].find(candidate => entry.formats.includes(candidate));
+        return format ? this.read(entry, format) : null;
+    }
+
+    /**
+     * Case-insensitive search across past digests
+     * @param {string} text - Search text
+     * @returns {Promise<Array>} [{ entry, lines }] newest first
+     */
+    async search(text) {
+        const needle = text.toLowerCase();
+        const results = [];
+
+        for (const entry of await this.list()) {
+            let digest;
+            try {
+                digest = await this.readDigest(entry);
+            } catch (error) {
+                continue; // Files removed by hand
+            }
+            const lines = (digest || '').split('\n')
+                .map(line => line.trim())
+                .filter(line => line.toLowerCase().includes(needle));
+            if (lines.length > 0) results.push({ entry, lines });
+        }
+        return results;
+    }
+
+    /**
+     * Removes reports beyond the newest `keep` and those created more than `maxAgeDays` ago
+     * @param {Object} policy - { keep, maxAgeDays }, defaults to REPORTS_KEEP / REPORTS_MAX_AGE_DAYS
+     * @param {Date} now - Reference time
+     * @returns {Promise<Array>} Removed entries (the index is saved by the caller)
+     */
+    async prune(policy = {}, now = new Date()) {
+        await this.load();
+        return this.retain(policy, now);
+    }
+
+    // prune() on the entries already loaded
+    async retain({ keep = this.keep, maxAgeDays = this.maxAgeDays } = {}, now = new Date()) {
+        if (!keep && !maxAgeDays) return [];
+
+        const cutoff = maxAgeDays ? now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const newestFirst = [...this.entries].reverse();
+        const removed = newestFirst.filter((entry, index) =>
+            (keep && index >= keep) || (cutoff !== null && new Date(entry.createdAt).getTime() < cutoff));
+
+        for (const entry of removed) {
+            for (const format of entry.formats) {
+                await fs.rm(this.path(entry.id, format), { force: true });
+            }
+        }
+        const removedIds = new Set(removed.map(entry => entry.id));
+        this.entries = this.entries.filter(entry => !removedIds.has(entry.id));
+        return removed;
+    }
+
+    /**
+     * @param {Object} entry - Index entry
+     * @returns {string} e.g. "weekly-digest-2026-10-18-083012  2026-10-11 → 2026-10-18 · 412 messages · md, json"
+     */
+    static format(entry) {
+        const range = entry.period.range || `${entry.period.since.split('T')[0]} → ${entry.period.until.split('T')[0]}`;
+        const messages = `${entry.messageCount} message${entry.messageCount === 1 ? '' : 's'}`;
+        return `${entry.id}  ${range} · ${messages} · ${entry.formats.join(', ')}`;
+    }
+}
+
+module.exports = ReportArchive;
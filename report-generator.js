@@ -1,30 +1,118 @@
-const axios = require('axios');
 const fs = require('fs').promises;
+const DigestPeriod = require('./digest-period');
+const { createProvider, DryRunProvider } = require('./llm-provider');
+const MapReduceSummarizer = require('./summarizer');
+const Redactor = require('./redactor');
+const ActionItemExtractor = require('./action-item-extractor');
+const ActionItemStore = require('./action-item-store');
+const ReplyAnalytics = require('./reply-analytics');
+const ConversationThreads = require('./conversation-threads');
+const MediaDescriber = require('./media-describer');
+const { SCHEMA_VERSION, parseFormats, createRenderer } = require('./report-renderers');
+const ReportArchive = require('./report-archive');
+const PeriodTrends = require('./period-trends');
+
+const FORMAT_NAMES = { md: 'Markdown', html: 'HTML', json: 'JSON', txt: 'Text' };
 
 class ReportGenerator {
-    constructor() {
-        this.apiKey = process.env.DEEPSEEK_API_KEY;
-        this.apiUrl = process.env.DEEPSEEK_API_URL || 'https://api.deepseek.com/v1/chat/completions';
+    constructor(provider = createProvider(), { redact = Redactor.isEnabled(), archive = new ReportArchive() } = {}) {
+        this.provider = provider;
+        this.archive = archive;
+        this.summarizer = new MapReduceSummarizer(provider);
+        this.actionExtractor = new ActionItemExtractor(provider);
+        this.redact = redact;
+        this.maxMessageChars = parseInt(process.env.MAX_MESSAGE_CHARS) || 1000;
+        this.maxMentions = parseInt(process.env.MAX_PROMPT_MENTIONS) || 30;
     }
 
-    async generateReport(messages) {
+    /**
+     * Analyzes messages, asks the LLM for a digest and saves it
+     * @param {Object} options - { actionItems: ActionItemStore } to extract and carry over action items,
+     *                           { trends: TrendHistory } to compare with the previous period and record this one,
+     *                           { formats } to choose the written outputs (default REPORT_FORMATS or md,json)
+     * @returns {Promise<Object>} Saved report: { id, digest, markdown, json, html, text, outputs, files }
+     */
+    async generateReport(messages, period = DigestPeriod.fromOptions(), chatCoverage = [], { actionItems = null, trends = null, formats = parseFormats(), filtersApplied = null } = {}) {
         console.log(`📊 Generating AI digest for ${messages.length} messages...`);
 
-        if (messages.length === 0) {
-            const emptyReport = this.createEmptyReport();
-            await this.saveReport(emptyReport, 0);
-            return emptyReport;
+        const analysis = this.analyzeMessages(messages, period);
+        const snapshot = PeriodTrends.snapshot(analysis);
+        if (trends) analysis.trends = await this.compareWithPrevious(snapshot, trends, period);
+        const tracked = actionItems ? await this.trackActionItems(analysis, actionItems) : null;
+        analysis.actionItemsTracked = Boolean(tracked);
+
+        let digest = messages.length === 0 ? this.createEmptyReport(period) : await this.callLLM(analysis);
+        if (messages.length > 0) {
+            digest = `${digest.trim()}\n\n${ReplyAnalytics.renderSection(analysis.replies)}`;
+        }
+        if (messages.length > 0 && analysis.trends) {
+            digest = `${digest.trim()}\n\n${PeriodTrends.renderSection(analysis.trends)}`;
+        }
+        if (tracked) {
+            digest = `${digest.trim()}\n\n${ActionItemStore.renderSection(tracked.open, tracked.newIds)}`;
+        }
+
+        const report = await this.saveReport(digest, analysis, {
+            chatCoverage,
+            actionItems: tracked ? tracked.open : [],
+            formats,
+            filtersApplied
+        });
+        if (trends) await trends.append(snapshot);
+        return report;
+    }
+
+    /**
+     * @param {Object} snapshot - PeriodTrends.snapshot of this run
+     * @param {TrendHistory} history - Earlier snapshots
+     * @param {DigestPeriod} period - Digest period
+     * @returns {Promise<Object|null>} PeriodTrends.compare result, null without an earlier period
+     */
+    async compareWithPrevious(snapshot, history, period) {
+        const trends = PeriodTrends.compare(snapshot, await history.previous(period));
+        if (trends) {
+            console.log(`📈 Trends: compared with ${PeriodTrends.describePeriod(trends.previousPeriod)} (${trends.spiked.length} chats spiked, ${trends.dropped.length} went quiet)`);
+        } else {
+            console.log('📈 Trends: no earlier digest of the same length to compare with yet');
+        }
+        return trends;
+    }
+
+    /**
+     * Extracts new action items, closes the ones I have replied to and returns what is still open
+     * @param {Object} analysis - Result of analyzeMessages
+     * @param {ActionItemStore} store - Loaded action item store (saved here)
+     * @returns {Promise<Object>} { open, newIds }
+     */
+    async trackActionItems(analysis, store) {
+        const candidates = this.actionExtractor.selectCandidates(analysis.messages);
+        let added = [];
+
+        if (candidates.length > 0 && !this.provider.configError()) {
+            console.log(`📌 Extracting action items from ${candidates.length} messages...`);
+            try {
+                const extracted = await this.actionExtractor.extract(candidates, {
+                    redactor: this.redact ? Redactor.load() : null
+                });
+                added = store.add(extracted, analysis.period);
+            } catch (error) {
+                // Previously tracked items are still carried over
+                console.warn(`⚠️ Action item extraction failed: ${error.response?.data?.error?.message || error.message}`);
+            }
         }
 
-        const analysis = this.analyzeMessages(messages);
-        const aiDigest = await this.callDeepSeekAPI(analysis);
-        
-        await this.saveReport(aiDigest, messages.length);
-        return aiDigest;
+        const closed = store.closeReplied(analysis.messages);
+        const open = store.open();
+        await store.save();
+
+        console.log(`📌 Action items: ${added.length} new, ${closed.length} closed by your replies, ${open.length} open`);
+        return { open, newIds: new Set(added.map(item => item.id)) };
     }
 
-    analyzeMessages(messages) {
+    analyzeMessages(messages, period = DigestPeriod.fromOptions()) {
         const analysis = {
+            period,
+            messages,
             directMessages: messages.filter(msg => msg.chatType === 'dm' && !msg.isFromMe),
             groupMessages: messages.filter(msg => msg.chatType === 'group'),
             channelMessages: messages.filter(msg => msg.chatType === 'channel'),
@@ -32,13 +120,24 @@ class ReportGenerator {
             myMessages: messages.filter(msg => msg.isFromMe)
         };
 
-        // Additional analytics
+        // Additional analytics; a loop rather than Math.min(...), which overflows the stack on large exports
+        let oldest = Infinity;
+        let newest = -Infinity;
+        messages.forEach(msg => {
+            const time = new Date(msg.timestamp).getTime();
+            if (time < oldest) oldest = time;
+            if (time > newest) newest = time;
+        });
         analysis.stats = {
             totalChats: new Set(messages.map(msg => msg.chatId)).size,
             activeSenders: new Set(messages.filter(msg => !msg.isFromMe).map(msg => msg.senderId)).size,
-            oldestMessage: messages.length > 0 ? new Date(Math.min(...messages.map(msg => new Date(msg.timestamp)))) : null,
-            newestMessage: messages.length > 0 ? new Date(Math.max(...messages.map(msg => new Date(msg.timestamp)))) : null
+            oldestMessage: messages.length > 0 ? new Date(oldest) : null,
+            newestMessage: messages.length > 0 ? new Date(newest) : null,
+            media: {}
         };
+        messages.filter(msg => msg.media).forEach(msg => {
+            analysis.stats.media[msg.media.type] = (analysis.stats.media[msg.media.type] || 0) + 1;
+        });
 
         // Top active chats
         const chatActivity = {};
@@ -49,98 +148,267 @@ class ReportGenerator {
             .sort(([,a], [,b]) => b - a)
             .slice(0, 10);
 
+        // Resolved senders, most active first
+        const contacts = new Map();
+        messages.filter(msg => !msg.isFromMe).forEach(msg => {
+            const contact = contacts.get(msg.senderId) ||
+                { senderId: msg.senderId, name: msg.senderName, username: msg.senderUsername || null, messages: 0 };
+            contact.messages++;
+            contacts.set(msg.senderId, contact);
+        });
+        analysis.contacts = [...contacts.values()].sort((a, b) => b.messages - a.messages);
+
+        // Who is waiting on me, measured rather than guessed by the model
+        analysis.replies = ReplyAnalytics.analyze(messages, period.until);
+
         return analysis;
     }
 
-    async callDeepSeekAPI(analysis) {
-        if (!this.apiKey) {
-            return 'Error: DEEPSEEK_API_KEY not configured. Please add it to your .env file.';
+    async callLLM(analysis) {
+        const configError = this.provider.configError();
+        if (configError) {
+            return `Error: ${configError}`;
         }
 
-        const prompt = this.buildPrompt(analysis);
-        
         try {
-            const response = await axios.post(this.apiUrl, {
-                model: "deepseek-chat",
-                messages: [
-                    { 
-                        role: "system", 
-                        content: "You are an executive assistant creating weekly communication reports. Focus on actionable insights and clear priorities. Be concise and professional."
-                    },
-                    { role: "user", content: prompt }
-                ],
-                max_tokens: 2000,
-                temperature: 0.3
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            });
+            const { system, prompt, redactor } = await this.preparePrompt(analysis, this.summarizer);
+            const digest = await this.provider.complete({ system, prompt });
 
-            return response.data.choices[0].message.content;
+            // Pseudonyms and placeholders never leave the machine in the saved report
+            return redactor ? redactor.restore(digest) : digest;
         } catch (error) {
-            console.error('❌ DeepSeek API Error:', error.response?.data || error.message);
+            console.error(`❌ ${this.provider.name} API Error:`, error.response?.data || error.message);
             return this.createFallbackReport(analysis);
         }
     }
 
-    buildPrompt(analysis) {
-        const { directMessages, groupMessages, channelMessages, mentions, myMessages, stats, topChats } = analysis;
+    /**
+     * Redacts (when enabled) and summarizes until the prompt fits, producing exactly what is sent
+     * @param {Object} analysis - Result of analyzeMessages; gets detailLevels attached
+     * @param {MapReduceSummarizer} summarizer - Summarizer whose provider receives the map/reduce calls
+     * @returns {Promise<Object>} { system, prompt, redactor }
+     */
+    async preparePrompt(analysis, summarizer) {
+        const redactor = this.redact ? Redactor.load() : null;
+        const outgoing = redactor
+            ? {
+                ...this.analyzeMessages(redactor.redactMessages(analysis.messages), analysis.period),
+                actionItemsTracked: analysis.actionItemsTracked,
+                trends: analysis.trends ? PeriodTrends.redact(analysis.trends, redactor) : analysis.trends
+            }
+            : analysis;
+
+        const { summaries, detailLevels, promptTokens } = await summarizer.fitToBudget(
+            this.groupByChat(outgoing.messages),
+            summaries => this.buildPrompt(outgoing, summaries)
+        );
+        analysis.detailLevels = redactor
+            ? detailLevels.map(chat => ({ ...chat, chatTitle: redactor.restore(chat.chatTitle) }))
+            : detailLevels;
+
+        const summarized = detailLevels.filter(chat => chat.level !== 'verbatim').length;
+        console.log(`🧮 Prompt: ~${promptTokens} tokens (${summarized}/${detailLevels.length} chats summarized)`);
+        if (redactor) {
+            console.log(`🛡️ Redacted prompt: ${redactor.size} names and sensitive values replaced`);
+        }
+
+        return {
+            system: `You are an executive assistant creating ${analysis.period.title.toLowerCase()} communication reports. Focus on actionable insights and clear priorities. Be concise and professional.`,
+            prompt: this.buildPrompt(outgoing, summaries),
+            redactor
+        };
+    }
+
+    /**
+     * Prints every request the digest would send to the LLM, without sending anything
+     * @param {Array} messages - Message objects
+     * @param {DigestPeriod} period - Digest period
+     * @returns {Promise<Array>} Recorded requests, final prompt last
+     */
+    async previewPrompt(messages, period = DigestPeriod.fromOptions(), { actionItems = false, trends = null } = {}) {
+        const analysis = this.analyzeMessages(messages, period);
+        analysis.actionItemsTracked = actionItems;
+        if (trends) analysis.trends = await this.compareWithPrevious(PeriodTrends.snapshot(analysis), trends, period);
+        const recorder = new DryRunProvider();
+        const summarizer = new MapReduceSummarizer(recorder, {
+            promptBudget: this.summarizer.promptBudget,
+            chunkBudget: this.summarizer.chunkBudget
+        });
+
+        const { system, prompt } = await this.preparePrompt(analysis, summarizer);
+        const requests = [...recorder.calls, { system, prompt }];
+
+        if (actionItems) {
+            const candidates = this.actionExtractor.selectCandidates(analysis.messages);
+            const redactor = this.redact ? Redactor.load() : null;
+            if (candidates.length > 0) {
+                requests.push({
+                    ...this.actionExtractor.buildRequest(redactor ? redactor.redactMessages(candidates) : candidates),
+                    label: 'ACTION ITEM EXTRACTION REQUEST'
+                });
+            }
+        }
+
+        requests.forEach((request, index) => {
+            const label = request.label || (index === recorder.calls.length ? 'FINAL DIGEST REQUEST' : `SUMMARIZATION REQUEST ${index + 1}`);
+            console.log('\n' + '='.repeat(80));
+            console.log(`${label} → ${this.provider.describe()}`);
+            console.log('='.repeat(80));
+            console.log(`[system]\n${request.system}\n\n[user]\n${request.prompt.trim()}`);
+        });
+
+        console.log(`\n🔍 Dry run: ${requests.length} request(s) shown, nothing was sent and no report was saved.`);
+        return requests;
+    }
+
+    /**
+     * Groups messages into per-chat transcripts for the summarizer, thread by thread
+     * @param {Array} messages - Message objects
+     * @returns {Array} [{ chatId, chatTitle, chatType, lines }]
+     */
+    groupByChat(messages) {
+        const chats = new Map();
+        ConversationThreads.bySection(ConversationThreads.build(messages)).forEach(section => {
+            if (!chats.has(section.chatId)) {
+                chats.set(section.chatId, { chatId: section.chatId, chatTitle: section.chatTitle, chatType: section.chatType, lines: [] });
+            }
+            const lines = chats.get(section.chatId).lines;
+            if (section.topicTitle) lines.push(`[#${section.topicTitle}]`);
+            section.threads.forEach(thread => {
+                thread.messages.forEach(msg => lines.push(this.formatMessage(msg, { chat: false, account: false, depth: msg.depth })));
+            });
+        });
+        return [...chats.values()];
+    }
+
+    /**
+     * Renders messages as threads under "[Chat #topic]" headings, in conversation order
+     * @param {Array} messages - Message objects
+     * @param {Object} options - formatMessage options
+     * @returns {string}
+     */
+    formatThreads(messages, options = {}) {
+        return ConversationThreads.bySection(ConversationThreads.build(messages)).map(section => {
+            const lines = section.threads.flatMap(thread =>
+                thread.messages.map(msg => this.formatMessage(msg, { ...options, chat: false, account: false, depth: msg.depth })));
+            return `[${ConversationThreads.label(section)}]\n${lines.join('\n')}`;
+        }).join('\n\n');
+    }
+
+    formatMessage(msg, { chat = true, sender = true, depth = 0, account = true } = {}) {
+        const truncated = msg.text.length > this.maxMessageChars
+            ? `${msg.text.substring(0, this.maxMessageChars)}…`
+            : msg.text;
+        // Captioned media keeps its caption as text; show what was attached in front of it
+        const text = msg.media?.captioned ? `${msg.media.placeholder} ${truncated}` : truncated;
+        const chatPart = chat ? `[${msg.topicTitle ? `${msg.chatTitle} #${msg.topicTitle}` : msg.chatTitle}]` : '';
+        const senderLabel = msg.senderUsername ? `${msg.senderName} (@${msg.senderUsername})` : msg.senderName;
+        const senderPart = sender ? `${chatPart ? ' ' : ''}${senderLabel}` : '';
+        const bullet = depth > 0 ? `${'  '.repeat(depth)}↳` : '-';
+        // Combined multi-account digests say which account saw the message
+        const accountPart = account && msg.account ? `(${msg.account}) ` : '';
+        const context = [
+            msg.forward ? `forwarded from ${msg.forward.fromName || 'a hidden sender'}` : null,
+            msg.replyOutsideWindow ? 'replying to an earlier message' : null
+        ].filter(Boolean);
+        const contextPart = context.length > 0 ? ` [${context.join(', ')}]` : '';
+        return `${bullet} ${accountPart}${chatPart}${senderPart}${contextPart}: "${text}" (${new Date(msg.timestamp).toLocaleDateString()})`;
+    }
+
+    buildPrompt(analysis, summaries = new Map()) {
+        const { period, directMessages, groupMessages, channelMessages, mentions, myMessages, stats, topChats } = analysis;
+        const verbatim = msg => !summaries.has(msg.chatId);
+        const summarizedChats = [...summaries.entries()].map(([chatId, summary]) => {
+            const sample = analysis.messages.find(msg => msg.chatId === chatId);
+            return `### [${sample.account ? `${sample.account}: ` : ''}${sample.chatTitle}] (${sample.chatType}, ${summary.level})\n${summary.text.trim()}`;
+        });
 
         return `
-Analyze this week's Telegram activity and create a professional weekly digest:
+Analyze Telegram activity from ${period.label} (${period.describe()}) and create a professional ${period.title.toLowerCase()} digest:
 
 DIRECT MESSAGES RECEIVED (${directMessages.length} messages):
-${directMessages.map(msg =>
-    `- ${msg.senderName}: "${msg.text.substring(0, 100)}..." (${new Date(msg.timestamp).toLocaleDateString()})`
-).join('\n')}
+${directMessages.filter(verbatim).map(msg => this.formatMessage(msg, { chat: false })).join('\n')}
 
-GROUP ACTIVITY (${groupMessages.length} messages):
-${groupMessages.slice(0, 30).map(msg =>
-    `- [${msg.chatTitle}] ${msg.senderName}: "${msg.text.substring(0, 100)}..." (${new Date(msg.timestamp).toLocaleDateString()})`
-).join('\n')}
+GROUP ACTIVITY (${groupMessages.length} messages, grouped into reply threads; ↳ marks a reply):
+${this.formatThreads(groupMessages.filter(verbatim))}
 
 CHANNEL UPDATES (${channelMessages.length} messages):
-${channelMessages.slice(0, 20).map(msg =>
-    `- [${msg.chatTitle}]: "${msg.text.substring(0, 100)}..." (${new Date(msg.timestamp).toLocaleDateString()})`
-).join('\n')}
+${channelMessages.filter(verbatim).map(msg => this.formatMessage(msg, { sender: false })).join('\n')}
 
 MENTIONS & TAGS (${mentions.length} mentions):
-${mentions.map(msg =>
-    `- [${msg.chatTitle}] ${msg.senderName}: "${msg.text.substring(0, 150)}..." (${new Date(msg.timestamp).toLocaleDateString()})`
-).join('\n')}
+${this.formatMentions(mentions, verbatim)}
 
 MY ACTIVITY (${myMessages.length} messages sent):
-${myMessages.slice(0, 20).map(msg =>
-    `- [${msg.chatTitle}]: "${msg.text.substring(0, 100)}..." (${new Date(msg.timestamp).toLocaleDateString()})`
-).join('\n')}
-
+${myMessages.filter(verbatim).map(msg => this.formatMessage(msg, { sender: false })).join('\n')}
+${summarizedChats.length > 0 ? `
+SUMMARIZED CONVERSATIONS (${summarizedChats.length} high-volume chats, condensed before this prompt):
+${summarizedChats.join('\n\n')}
+` : ''}
+${ReplyAnalytics.formatForPrompt(analysis.replies)}
+${analysis.trends !== undefined ? `\n${PeriodTrends.formatForPrompt(analysis.trends)}\n` : ''}
 ACTIVITY STATISTICS:
 - Total Active Chats: ${stats.totalChats}
 - Unique Senders: ${stats.activeSenders}
+- Media & Attachments: ${this.formatMediaStats(stats.media)}
 - Date Range: ${stats.oldestMessage?.toLocaleDateString()} to ${stats.newestMessage?.toLocaleDateString()}
 
 TOP ACTIVE CHATS:
 ${topChats.map(([chat, count]) => `- ${chat}: ${count} messages`).join('\n')}
 
-Create a structured weekly report with:
-1. **EXECUTIVE SUMMARY**: Key highlights and patterns from this week
-2. **ACTION ITEMS**: Messages requiring responses or follow-up
-3. **IMPORTANT CONVERSATIONS**: High-priority discussions to review
-4. **TRENDING TOPICS**: Common themes across chats
-5. **COMMUNICATION STATS**: Activity breakdown and engagement patterns
-6. **PRIORITY CONTACTS**: People who need attention or follow-up
+TOP CONTACTS:
+${analysis.contacts.slice(0, 10).map(contact => `- ${contact.name}${contact.username ? ` (@${contact.username})` : ''}: ${contact.messages} messages`).join('\n')}
+
+Create a structured ${period.title.toLowerCase()} report with:
+${this.reportSections(analysis).map((section, index) => `${index + 1}. ${section}`).join('\n')}
 
 Be concise, actionable, and professional. Focus on what requires attention or action.
         `;
     }
 
+    /**
+     * The newest MAX_PROMPT_MENTIONS mentions from chats sent verbatim; mentions in summarized
+     * chats are left to their summaries so the section shrinks with the rest of the prompt
+     */
+    formatMentions(mentions, verbatim) {
+        const candidates = mentions.filter(verbatim);
+        const listed = [...candidates]
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, this.maxMentions);
+        const older = candidates.length - listed.length;
+        const summarized = mentions.length - candidates.length;
+
+        return [
+            ...listed.map(msg => this.formatMessage(msg)),
+            older > 0 ? `- ... ${older} older mention${older === 1 ? '' : 's'} not listed` : null,
+            summarized > 0 ? `- ${summarized} more in the summarized conversations below` : null
+        ].filter(Boolean).join('\n');
+    }
+
+    formatMediaStats(media = {}) {
+        const entries = Object.entries(media).sort(([, a], [, b]) => b - a);
+        if (entries.length === 0) return 'none';
+        return entries.map(([type, count]) => `${count} ${MediaDescriber.label(type, count)}`).join(', ');
+    }
+
+    reportSections(analysis) {
+        return [
+            `**EXECUTIVE SUMMARY**: Key highlights and patterns from ${analysis.period.label}`,
+            // Tracked action items are extracted as structured data and appended to the digest
+            analysis.actionItemsTracked ? null : '**ACTION ITEMS**: Messages requiring responses or follow-up',
+            '**IMPORTANT CONVERSATIONS**: High-priority discussions to review',
+            '**TRENDING TOPICS**: Common themes across chats',
+            analysis.trends
+                ? '**COMMUNICATION STATS**: Activity breakdown and engagement patterns, commenting on the notable CHANGES SINCE LAST PERIOD'
+                : '**COMMUNICATION STATS**: Activity breakdown and engagement patterns',
+            '**PRIORITY CONTACTS**: People who need attention or follow-up, based on the computed AWAITING MY REPLY and UNANSWERED QUESTIONS data'
+        ].filter(Boolean);
+    }
+
     createFallbackReport(analysis) {
-        const { directMessages, groupMessages, channelMessages, mentions, myMessages, stats } = analysis;
-        
-        return `# Weekly Telegram Activity Report
+        const { period, directMessages, groupMessages, channelMessages, mentions, myMessages, stats, replies } = analysis;
+        const longestWait = replies.awaiting[0];
+
+        return `# ${period.title} Telegram Activity Report
 
 ## Executive Summary
 - **Total Messages Analyzed**: ${directMessages.length + groupMessages.length + channelMessages.length + myMessages.length}
@@ -153,27 +421,30 @@ Be concise, actionable, and professional. Focus on what requires attention or ac
 ## Activity Breakdown
 - **Active Chats**: ${stats.totalChats}
 - **Unique Contacts**: ${stats.activeSenders}
+- **Media & Attachments**: ${this.formatMediaStats(stats.media)}
 
 ## Action Items
-${directMessages.length > 0 ? '- Review and respond to direct messages' : '- No direct messages to respond to'}
+${longestWait ? `- Reply to ${replies.awaiting.length} conversation${replies.awaiting.length === 1 ? '' : 's'} waiting on you (longest: ${longestWait.chatTitle}, ${ReplyAnalytics.formatDuration(longestWait.waitingMs)})` : '- No direct conversations waiting on you'}
+${replies.unansweredQuestions.length > 0 ? `- Answer ${replies.unansweredQuestions.length} open question${replies.unansweredQuestions.length === 1 ? '' : 's'}` : '- No unanswered questions'}
 ${mentions.length > 0 ? '- Follow up on mentions and tags' : '- No mentions requiring attention'}
 
 ## Key Statistics
 - **Most Active Period**: ${stats.oldestMessage?.toLocaleDateString()} - ${stats.newestMessage?.toLocaleDateString()}
-- **Average Daily Messages**: ${Math.round((directMessages.length + groupMessages.length + channelMessages.length) / 7)}
+- **Period Covered**: ${period.describe()} (${period.days} day${period.days === 1 ? '' : 's'})
+- **Average Daily Messages**: ${Math.round((directMessages.length + groupMessages.length + channelMessages.length) / period.days)}
 
-*Note: This is a basic report generated due to AI service unavailability. For detailed insights, please check your DeepSeek API configuration.*`;
+*Note: This is a basic report generated due to AI service unavailability. For detailed insights, please check your ${this.provider.name} provider configuration.*`;
     }
 
-    createEmptyReport() {
-        return `# Weekly Telegram Activity Report
+    createEmptyReport(period) {
+        return `# ${period.title} Telegram Activity Report
 
 ## Executive Summary
 No messages found for the specified time period and filter settings.
 
 ## Recommendations
 - Check your filter settings (current: ${process.env.FILTER_MODE || 'smart'})
-- Verify the date range is correct
+- Verify the date range is correct (${period.describe()})
 - Consider expanding filter criteria if too restrictive
 - Check if messages exist in archived chats
 
@@ -185,54 +456,109 @@ No messages found for the specified time period and filter settings.
 *Run with 'node main.js list-chats' to see which chats are included/excluded.*`;
     }
 
-    async saveReport(digest, totalMessages) {
-        const timestamp = new Date().toISOString().split('T')[0];
-        const filename = `weekly-digest-${timestamp}.md`;
-        
-        const content = `# Weekly Telegram Digest - ${timestamp}
-
-${digest}
-
----
-**Report Details:**
-- **Generated**: ${new Date().toLocaleString()}
-- **Messages Analyzed**: ${totalMessages}
-- **Filters Applied**: Excluded all channels and crypto/spam groups
-- **Generated by**: Telegram Weekly Digest Agent
-        `;
+    /**
+     * Everything a renderer needs, also saved as the JSON report (see report.schema.json)
+     * @param {string} digest - Final digest Markdown
+     * @param {Object} analysis - Result of analyzeMessages
+     * @param {Object} options - { chatCoverage, actionItems, filtersApplied }; filtersApplied
+     *                           describes the chat filter rules, null when nothing was fetched (--from-file)
+     * @returns {Object} Report model
+     */
+    buildReportModel(digest, analysis, { chatCoverage = [], actionItems = [], filtersApplied = null } = {}) {
+        const { period, messages, stats } = analysis;
+        const detailLevels = analysis.detailLevels || [];
+        const coverage = new Map(chatCoverage.map(chat => [chat.chatId, chat]));
+        const levels = new Map(detailLevels.map(chat => [chat.chatId, chat.level]));
+
+        const chats = new Map();
+        messages.forEach(msg => {
+            const chat = chats.get(msg.chatId) || {
+                chatId: msg.chatId,
+                chatTitle: msg.chatTitle,
+                chatType: msg.chatType,
+                account: msg.account || null,
+                messages: 0,
+                detailLevel: levels.get(msg.chatId) || 'verbatim',
+                complete: coverage.has(msg.chatId) ? coverage.get(msg.chatId).complete : null,
+                reason: coverage.get(msg.chatId)?.reason || null
+            };
+            chat.messages++;
+            chats.set(msg.chatId, chat);
+        });
 
-        await fs.writeFile(filename, content);
-        console.log(`📋 Report saved: ${filename}`);
-        
-        // Also create a JSON version for further processing
-        const jsonData = {
+        return {
+            schemaVersion: SCHEMA_VERSION,
             timestamp: new Date().toISOString(),
-            totalMessages,
-            filtersApplied: 'Excluded channels and crypto/spam groups',
-            digest: digest
+            title: `${period.title} Telegram Digest`,
+            period: { ...period.toJSON(), label: period.label, range: period.describe() },
+            totalMessages: messages.length,
+            filtersApplied,
+            stats: {
+                totalChats: stats.totalChats,
+                activeSenders: stats.activeSenders,
+                oldestMessage: stats.oldestMessage ? stats.oldestMessage.toISOString() : null,
+                newestMessage: stats.newestMessage ? stats.newestMessage.toISOString() : null,
+                categories: {
+                    directMessages: analysis.directMessages.length,
+                    groupMessages: analysis.groupMessages.length,
+                    channelMessages: analysis.channelMessages.length,
+                    mentions: analysis.mentions.length,
+                    myMessages: analysis.myMessages.length
+                },
+                media: stats.media
+            },
+            topChats: analysis.topChats.map(([chatTitle, count]) => ({ chatTitle, messages: count })),
+            chats: [...chats.values()].sort((a, b) => b.messages - a.messages),
+            contacts: analysis.contacts,
+            chatCoverage,
+            detailLevels,
+            replyAnalytics: analysis.replies,
+            trends: analysis.trends || null,
+            actionItems,
+            llm: { provider: this.provider.name, model: this.provider.model },
+            digest
         };
-        
-        const jsonFilename = `weekly-digest-${timestamp}.json`;
-        await fs.writeFile(jsonFilename, JSON.stringify(jsonData, null, 2));
-        console.log(`📋 JSON data saved: ${jsonFilename}`);
     }
 
-    async listRecentReports() {
-        try {
-            const files = await fs.readdir('./');
-            const reportFiles = files.filter(f => f.startsWith('weekly-digest-') && f.endsWith('.md'))
-                                   .sort()
-                                   .reverse()
-                                   .slice(0, 10);
-            
-            console.log('📊 Recent Reports:');
-            for (const file of reportFiles) {
-                const stats = await fs.stat(file);
-                console.log(`  📄 ${file} - ${stats.mtime.toLocaleDateString()}`);
-            }
-        } catch (error) {
-            console.log('No previous reports found.');
+    /**
+     * Renders the report in every format, writes the selected ones to the archive
+     * under a new run id and applies the retention policy
+     * @param {Object} options - { chatCoverage, actionItems, filtersApplied, formats: ['md', 'html', 'json', 'txt'] }
+     * @returns {Promise<Object>} { id, digest, markdown, json, html, text, outputs, files }
+     */
+    async saveReport(digest, analysis, { chatCoverage = [], actionItems = [], formats = parseFormats(), filtersApplied = null } = {}) {
+        const model = this.buildReportModel(digest, analysis, { chatCoverage, actionItems, filtersApplied });
+        const outputs = {};
+        for (const format of ['md', 'html', 'json', 'txt']) {
+            outputs[format] = createRenderer(format).render(model);
+        }
+
+        const id = await this.archive.nextId(analysis.period);
+        await fs.mkdir(this.archive.dir, { recursive: true });
+
+        const files = [];
+        for (const format of formats) {
+            const filename = this.archive.path(id, format);
+            await fs.writeFile(filename, outputs[format]);
+            console.log(`📋 ${FORMAT_NAMES[format]} report saved: ${filename}`);
+            files.push(filename);
         }
+
+        const pruned = await this.archive.add(id, model, formats);
+        if (pruned.length > 0) {
+            console.log(`🧹 Retention: removed ${pruned.length} old report${pruned.length === 1 ? '' : 's'}`);
+        }
+
+        return {
+            id,
+            digest,
+            markdown: outputs.md,
+            json: model,
+            html: outputs.html,
+            text: outputs.txt,
+            outputs,
+            files
+        };
     }
 }
 
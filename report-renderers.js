@@ -0,0 +1,429 @@
+const TelegramDelivery = require('./telegram-delivery');
+
+/**
+ * Report renderers
+ * Every renderer turns the report model built by ReportGenerator.buildReportModel
+ * (the same object that is saved as JSON, see report.schema.json) into one output
+ * format, so archived JSON reports can be re-rendered later.
+ */
+
+const SCHEMA_VERSION = 2;
+const DEFAULT_FORMATS = 'md,json';
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+class MarkdownRenderer {
+    constructor() {
+        this.format = 'md';
+    }
+
+    render(model) {
+        return `# ${model.title} - ${model.timestamp.split('T')[0]}
+
+${model.digest}
+
+---
+**Report Details:**
+- **Generated**: ${new Date(model.timestamp).toLocaleString()}
+- **Period**: ${model.period.range}
+- **Messages Analyzed**: ${model.totalMessages}
+- **Model**: ${model.llm.provider}/${model.llm.model}
+- **Filters Applied**: ${model.filtersApplied ?? 'none (report from a message export)'}
+- **Generated by**: Telegram Weekly Digest Agent
+${MarkdownRenderer.formatCoverage(model.chatCoverage)}
+${MarkdownRenderer.formatDetailLevels(model.detailLevels)}
+        `;
+    }
+
+    static formatCoverage(chatCoverage = []) {
+        if (chatCoverage.length === 0) return '';
+
+        const truncated = chatCoverage.filter(chat => !chat.complete);
+        const lines = [
+            `- **Chat Coverage**: ${chatCoverage.length - truncated.length}/${chatCoverage.length} chats complete`
+        ];
+        truncated.forEach(chat => {
+            lines.push(`  - ⚠️ ${chat.chatTitle}: truncated (${chat.reason || 'unknown reason'}), ${chat.inRange} messages fetched`);
+        });
+        return lines.join('\n');
+    }
+
+    static formatDetailLevels(detailLevels = []) {
+        const summarized = detailLevels.filter(chat => chat.level !== 'verbatim');
+        if (summarized.length === 0) return '';
+
+        const lines = [
+            `- **Detail Level**: ${detailLevels.length - summarized.length}/${detailLevels.length} chats sent verbatim`
+        ];
+        summarized.forEach(chat => {
+            lines.push(`  - 🧩 ${chat.chatTitle}: ${chat.level} (${chat.messages} messages, ~${chat.tokens} tokens)`);
+        });
+        return lines.join('\n');
+    }
+}
+
+class JsonRenderer {
+    constructor() {
+        this.format = 'json';
+    }
+
+    render(model) {
+        return JSON.stringify(model, null, 2);
+    }
+}
+
+/**
+ * Plain text for terminals, mail clients without HTML and grep
+ */
+class TextRenderer {
+    constructor() {
+        this.format = 'txt';
+    }
+
+    render(model) {
+        const heading = `${model.title.toUpperCase()} (${model.period.range})`;
+        const { stats } = model;
+        const categories = stats.categories || {};
+
+        return `${heading}
+${'='.repeat(heading.length)}
+
+${TextRenderer.plain(model.digest)}
+
+STATISTICS
+----------
+Messages analyzed:   ${model.totalMessages}
+Direct messages:     ${categories.directMessages ?? 0}
+Group messages:      ${categories.groupMessages ?? 0}
+Channel updates:     ${categories.channelMessages ?? 0}
+Mentions:            ${categories.mentions ?? 0}
+Sent by me:          ${categories.myMessages ?? 0}
+Active chats:        ${stats.totalChats}
+Unique senders:      ${stats.activeSenders}
+Filters applied:     ${model.filtersApplied ?? 'none (report from a message export)'}
+
+CHATS
+-----
+${model.chats.map(chat => `${chat.account ? `${chat.account}: ` : ''}${chat.chatTitle} [${chat.chatType}]: ${pluralize(chat.messages, 'message')}${chat.detailLevel !== 'verbatim' ? `, ${chat.detailLevel}` : ''}${chat.complete === false ? ' (truncated)' : ''}`).join('\n') || 'none'}
+
+Generated ${new Date(model.timestamp).toLocaleString()} with ${model.llm.provider}/${model.llm.model}
+`;
+    }
+
+    /**
+     * Strips Markdown syntax while keeping the structure readable
+     * @param {string} markdown - Markdown text
+     * @returns {string}
+     */
+    static plain(markdown) {
+        return markdown
+            .replace(/^\s*```.*$/gm, '')
+            .replace(/^#{1,6}\s+(.*)$/gm, (match, title) => {
+                const text = title.replace(/\*\*/g, '').toUpperCase();
+                return `${text}\n${'-'.repeat(text.length)}`;
+            })
+            .replace(/\*\*([^*\n]+)\*\*/g, '$1')
+            .replace(/__([^_\n]+)__/g, '$1')
+            .replace(/(^|[^\w*])\*([^*\s][^*\n]*?)\*(?!\w)/g, '$1$2')
+            .replace(/(^|[^\w_])_([^_\s][^_\n]*?)_(?!\w)/g, '$1$2')
+            .replace(/`([^`\n]+)`/g, '$1')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)')
+            .replace(/^(\s*)[-*+]\s+/gm, '$1• ')
+            .replace(/^\s*(?:---|\*\*\*|___)\s*$/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+}
+
+/**
+ * Self-contained HTML page: inline CSS, no scripts, collapsible digest sections
+ * and tables for chats, contacts, waiting conversations and action items
+ */
+class HtmlRenderer {
+    constructor() {
+        this.format = 'html';
+    }
+
+    render(model) {
+        const esc = TelegramDelivery.escapeHtml;
+        const categories = model.stats.categories || {};
+        const cards = [
+            ['Messages', model.totalMessages],
+            ['Direct', categories.directMessages ?? 0],
+            ['Groups', categories.groupMessages ?? 0],
+            ['Mentions', categories.mentions ?? 0],
+            ['Sent', categories.myMessages ?? 0],
+            ['Chats', model.stats.totalChats]
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(model.title)} (${esc(model.period.range)})</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; line-height: 1.55; color: #1f2328; background: #f6f8fa; margin: 0; }
+main { max-width: 920px; margin: 0 auto; padding: 24px; }
+header h1 { margin: 0 0 4px; font-size: 1.6em; }
+header p { margin: 0; color: #57606a; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 20px 0; }
+.card { background: #fff; border: 1px solid #d0d7de; border-radius: 8px; padding: 10px 16px; min-width: 90px; }
+.card b { display: block; font-size: 1.4em; }
+.card span { color: #57606a; font-size: 0.85em; }
+details { background: #fff; border: 1px solid #d0d7de; border-radius: 8px; margin: 12px 0; padding: 0 16px; }
+details[open] { padding-bottom: 12px; }
+summary { cursor: pointer; font-weight: 600; font-size: 1.1em; padding: 12px 0; }
+table { border-collapse: collapse; width: 100%; font-size: 0.92em; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+th { color: #57606a; font-weight: 600; }
+td.num, th.num { text-align: right; white-space: nowrap; }
+pre { background: #f6f8fa; padding: 8px; border-radius: 6px; overflow-x: auto; }
+code { background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+.warn { color: #9a6700; }
+footer { color: #57606a; font-size: 0.85em; margin-top: 24px; }
+</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${esc(model.title)}</h1>
+<p>${esc(model.period.range)} · generated ${esc(new Date(model.timestamp).toLocaleString())}</p>
+</header>
+<section class="cards">
+${cards.map(([label, value]) => `<div class="card"><b>${value}</b><span>${label}</span></div>`).join('\n')}
+</section>
+${HtmlRenderer.digestSections(model.digest).join('\n')}
+${HtmlRenderer.table('Chats', ['Chat', 'Type', 'Messages', 'Detail', 'Coverage'], model.chats.map(chat => [
+            esc(chat.account ? `${chat.account}: ${chat.chatTitle}` : chat.chatTitle),
+            esc(chat.chatType),
+            { num: chat.messages },
+            esc(chat.detailLevel),
+            chat.complete === false ? `<span class="warn">truncated${chat.reason ? `: ${esc(chat.reason)}` : ''}</span>` : 'complete'
+        ]))}
+${HtmlRenderer.table('Top Contacts', ['Contact', 'Username', 'Messages'], model.contacts.slice(0, 20).map(contact => [
+            esc(contact.name),
+            contact.username ? `@${esc(contact.username)}` : '',
+            { num: contact.messages }
+        ]))}
+${model.replyAnalytics ? HtmlRenderer.table('Awaiting My Reply', ['Chat', 'Waiting since', 'Messages', 'Last message'], model.replyAnalytics.awaiting.map(chat => [
+            esc(chat.chatTitle),
+            esc(new Date(chat.waitingSince).toLocaleString()),
+            { num: chat.pendingCount },
+            esc(chat.lastText || '')
+        ])) : ''}
+${HtmlRenderer.table('Action Items', ['ID', 'Action', 'Due', 'From', 'Chat'], model.actionItems.map(item => [
+            `<code>${esc(item.id)}</code>`,
+            esc(item.summary),
+            esc(item.dueDate || ''),
+            esc(item.senderName || ''),
+            esc(item.chatTitle || '')
+        ]))}
+<footer>${model.totalMessages} messages analyzed with ${esc(model.llm.provider)}/${esc(model.llm.model)}${model.filtersApplied ? ` · ${esc(model.filtersApplied)}` : ''}</footer>
+</main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Splits the digest at its ## headings into collapsible sections
+     * @param {string} markdown - Digest Markdown
+     * @returns {string[]} <details> blocks
+     */
+    static digestSections(markdown) {
+        const sections = [];
+        let current = { title: 'Digest', lines: [] };
+
+        for (const line of markdown.split('\n')) {
+            const heading = /^#{1,2}\s+(.*)$/.exec(line);
+            if (heading) {
+                if (current.lines.some(text => text.trim())) sections.push(current);
+                current = { title: heading[1].replace(/\*\*/g, ''), lines: [] };
+            } else {
+                current.lines.push(line);
+            }
+        }
+        if (current.lines.some(text => text.trim())) sections.push(current);
+
+        return sections.map(section =>
+            `<details open>\n<summary>${TelegramDelivery.inline(section.title)}</summary>\n${HtmlRenderer.markdownToHtml(section.lines.join('\n'))}\n</details>`);
+    }
+
+    /**
+     * Block-level Markdown (sub-headings, lists, tables, paragraphs, code) to HTML; inline
+     * formatting is escaped and converted by TelegramDelivery.inline
+     * @param {string} markdown - Markdown text
+     * @returns {string}
+     */
+    static markdownToHtml(markdown) {
+        const html = [];
+        let paragraph = [];
+        let list = null;
+        let code = null;
+        let table = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) html.push(`<p>${paragraph.map(TelegramDelivery.inline).join('<br>\n')}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (list) html.push(`<${list.tag}>\n${list.items.map(item => `<li>${item}</li>`).join('\n')}\n</${list.tag}>`);
+            list = null;
+        };
+        const flushTable = () => {
+            if (table) html.push(HtmlRenderer.pipeTable(table));
+            table = null;
+        };
+
+        for (const line of markdown.split('\n')) {
+            if (/^\s*```/.test(line)) {
+                if (code) {
+                    html.push(`<pre>${TelegramDelivery.escapeHtml(code.join('\n'))}</pre>`);
+                    code = null;
+                } else {
+                    flushParagraph();
+                    flushList();
+                    code = [];
+                }
+                continue;
+            }
+            if (code) {
+                code.push(line);
+                continue;
+            }
+            if (/^\s*\|.*\|\s*$/.test(line)) {
+                flushParagraph();
+                flushList();
+                (table = table || []).push(line);
+                continue;
+            }
+            flushTable();
+
+            const heading = /^(#{3,6})\s+(.*)$/.exec(line);
+            const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+            const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+
+            if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                const level = Math.min(heading[1].length, 5);
+                html.push(`<h${level}>${TelegramDelivery.inline(heading[2])}</h${level}>`);
+            } else if (/^\s*(?:---|\*\*\*|___)\s*$/.test(line)) {
+                flushParagraph();
+                flushList();
+                html.push('<hr>');
+            } else if (bullet || numbered) {
+                flushParagraph();
+                const tag = bullet ? 'ul' : 'ol';
+                if (!list || list.tag !== tag) {
+                    flushList();
+                    list = { tag, items: [] };
+                }
+                list.items.push(TelegramDelivery.inline((bullet || numbered)[1]));
+            } else if (list && /^\s+/.test(line)) {
+                // Indented continuation of the previous list item
+                list.items[list.items.length - 1] += ` ${TelegramDelivery.inline(line.trim())}`;
+            } else {
+                flushList();
+                paragraph.push(line);
+            }
+        }
+
+        if (code) html.push(`<pre>${TelegramDelivery.escapeHtml(code.join('\n'))}</pre>`);
+        flushTable();
+        flushParagraph();
+        flushList();
+        return html.join('\n');
+    }
+
+    /**
+     * @param {string[]} lines - Markdown pipe table rows, header first
+     * @returns {string} <table>, numeric columns right-aligned as in the --: separator
+     */
+    static pipeTable(lines) {
+        const cells = line => line.trim().replace(/^\|/, '').replace(/\|$/, '')
+            .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+        const rows = lines.map(cells);
+        const separator = rows.findIndex(row => row.every(cell => /^:?-{3,}:?$/.test(cell)));
+        const align = separator === -1 ? [] : rows[separator].map(cell => cell.endsWith(':') ? ' class="num"' : '');
+        const header = separator > 0 ? rows.slice(0, separator) : [];
+        const body = rows.slice(separator + 1);
+        const render = (row, tag) => `<tr>${row.map((cell, index) => `<${tag}${align[index] || ''}>${TelegramDelivery.inline(cell)}</${tag}>`).join('')}</tr>`;
+
+        return `<table>
+${header.length > 0 ? `<thead>${header.map(row => render(row, 'th')).join('')}</thead>\n` : ''}<tbody>
+${body.map(row => render(row, 'td')).join('\n')}
+</tbody>
+</table>`;
+    }
+
+    /**
+     * @param {string} title - Section title
+     * @param {string[]} headers - Column headers
+     * @param {Array} rows - Cells are HTML strings or { num } for right-aligned numbers
+     * @returns {string} Collapsible table, or '' when there are no rows
+     */
+    static table(title, headers, rows) {
+        if (rows.length === 0) return '';
+        const cell = value => value && typeof value === 'object' ? `<td class="num">${value.num}</td>` : `<td>${value}</td>`;
+        return `<details open>
+<summary>${title} (${rows.length})</summary>
+<table>
+<thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</details>`;
+    }
+}
+
+const RENDERERS = {
+    md: () => new MarkdownRenderer(),
+    html: () => new HtmlRenderer(),
+    json: () => new JsonRenderer(),
+    txt: () => new TextRenderer()
+};
+
+/**
+ * Parses a --format / REPORT_FORMATS list such as "md,html"
+ * @param {string} value - Comma-separated formats
+ * @returns {string[]}
+ */
+function parseFormats(value = process.env.REPORT_FORMATS || DEFAULT_FORMATS) {
+    const formats = String(value === true ? DEFAULT_FORMATS : value)
+        .split(',')
+        .map(format => format.trim().toLowerCase().replace(/^markdown$/, 'md').replace(/^text$/, 'txt'))
+        .filter(Boolean);
+    const unknown = formats.filter(format => !RENDERERS[format]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown report format "${unknown[0]}". Use any of: ${Object.keys(RENDERERS).join(', ')}`);
+    }
+    return [...new Set(formats)];
+}
+
+/**
+ * @param {string} format - md, html, json or txt
+ * @returns {Object} Renderer with render(model) → string
+ */
+function createRenderer(format) {
+    const factory = RENDERERS[format];
+    if (!factory) {
+        throw new Error(`Unknown report format "${format}". Use any of: ${Object.keys(RENDERERS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MarkdownRenderer,
+    JsonRenderer,
+    TextRenderer,
+    HtmlRenderer,
+    parseFormats,
+    createRenderer
+};
@@ -0,0 +1,162 @@
+/**
+ * Paces the Telegram API calls of one connection and decides what to do when they fail
+ * - Calls start at least `interval` ms apart. FLOOD_WAIT doubles the interval, successful
+ *   calls shrink it back towards REQUEST_INTERVAL_MS, so concurrent fetches settle at a
+ *   rate Telegram accepts.
+ * - FLOOD_WAIT pauses every caller for the seconds Telegram asked for, then retries.
+ *   Flood waits do not use up maxRetries; a call fails instead of stalling the run once
+ *   its waits would add up to more than MAX_FLOOD_WAIT_SECONDS.
+ * - Network, timeout and server errors are retried with backoff. Bad requests, missing
+ *   permissions, auth errors and peers gramjs cannot resolve fail at once because repeating
+ *   them cannot help.
+ */
+
+// 400 bad request (CHANNEL_PRIVATE, PEER_ID_INVALID, ...), 401 unauthorized, 403 forbidden,
+// 404 not found, 406 auth key problems
+const FATAL_CODES = new Set([400, 401, 403, 404, 406]);
+const AUTH_CODES = new Set([401, 406]);
+// gramjs raises these itself, without a request: the peer is not in its entity cache
+// and asking again gives the same answer
+const LOCAL_FATAL = /^(Could not find the input entity|Cannot find any entity corresponding to|Cannot cast )/;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class RequestScheduler {
+    /**
+     * @param {Object} options - { minInterval, maxInterval } between call starts in ms,
+     *                           { maxRetries, retryDelay } for retryable errors,
+     *                           { maxFloodWait } longest FLOOD_WAIT in seconds worth sitting out
+     */
+    constructor({
+        minInterval = parseInt(process.env.REQUEST_INTERVAL_MS) || 100,
+        maxInterval = 5000,
+        maxRetries = 3,
+        retryDelay = 1000,
+        maxFloodWait = parseInt(process.env.MAX_FLOOD_WAIT_SECONDS) || 300
+    } = {}) {
+        this.minInterval = minInterval;
+        this.maxInterval = Math.max(maxInterval, minInterval);
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.maxFloodWait = maxFloodWait;
+        this.interval = minInterval;
+        this.nextSlot = 0; // Earliest start of the next call
+        this.pausedUntil = 0; // End of the current flood wait
+        this.stats = { calls: 0, retries: 0, floodWaits: 0, floodWaitSeconds: 0 };
+    }
+
+    /**
+     * @param {Error} error - gramjs RPCError (code, errorMessage, seconds) or any other error
+     * @returns {string} flood, fatal or retryable
+     */
+    static classify(error) {
+        if (typeof error.seconds === 'number' || error.code === 420) return 'flood';
+        if (FATAL_CODES.has(Math.abs(error.code))) return 'fatal';
+        if (error.code === undefined && LOCAL_FATAL.test(error.message || '')) return 'fatal';
+        return 'retryable';
+    }
+
+    /**
+     * The session no longer works; every further call would fail the same way
+     */
+    static isAuthError(error) {
+        return AUTH_CODES.has(Math.abs(error.code)) ||
+               /^(AUTH_KEY_|SESSION_(REVOKED|EXPIRED)|USER_DEACTIVATED)/.test(error.errorMessage || '');
+    }
+
+    /**
+     * Runs worker over items with at most `concurrency` in flight
+     * Stops starting new items after the first failure and rejects with it.
+     * @returns {Promise<Array>} Results in the order of items
+     */
+    static async map(items, concurrency, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+        let failed = false;
+
+        const run = async () => {
+            while (!failed && next < items.length) {
+                const index = next++;
+                try {
+                    results[index] = await worker(items[index], index);
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, run));
+        return results;
+    }
+
+    /**
+     * Waits for this call's start slot; slots are handed out in call order
+     */
+    async acquire() {
+        while (true) {
+            const now = Date.now();
+            const start = Math.max(now, this.nextSlot, this.pausedUntil);
+            this.nextSlot = start + this.interval;
+            if (start > now) await sleep(start - now);
+            // A flood wait that began while this call was queued applies to it too
+            if (this.pausedUntil <= Date.now()) return;
+        }
+    }
+
+    /**
+     * @param {Function} apiCall - Returns the request's promise; called again for retries
+     * @param {Object} options - { maxRetries } attempts in total for retryable errors
+     * @returns {Promise<*>} The call's result
+     */
+    async run(apiCall, { maxRetries = this.maxRetries } = {}) {
+        let delay = this.retryDelay;
+        let attempt = 1;
+        let floodWaited = 0; // Seconds this call already sat out
+
+        while (true) {
+            await this.acquire();
+            this.stats.calls++;
+            try {
+                const result = await apiCall();
+                this.interval = Math.max(this.minInterval, Math.floor(this.interval * 0.9));
+                return result;
+            } catch (error) {
+                const kind = RequestScheduler.classify(error);
+                if (kind === 'fatal') throw error;
+
+                if (kind === 'flood') {
+                    const seconds = error.seconds || 1;
+                    if (floodWaited + seconds > this.maxFloodWait) {
+                        const earlier = floodWaited ? ` after ${floodWaited}s of earlier waits` : '';
+                        throw new Error(`Telegram asked to wait ${seconds}s (${error.errorMessage || 'FLOOD_WAIT'})${earlier}, more than MAX_FLOOD_WAIT_SECONDS=${this.maxFloodWait}`);
+                    }
+                    floodWaited += seconds;
+                    this.stats.retries++;
+                    this.floodWait(seconds);
+                    console.log(`⏳ Flood control: Telegram asked to wait ${seconds}s, pausing requests and slowing to one per ${this.interval}ms`);
+                    continue;
+                }
+
+                if (attempt >= maxRetries) throw error;
+                this.stats.retries++;
+                console.log(`⏳ API call failed (${error.message}), attempt ${attempt}/${maxRetries}, retrying in ${delay}ms...`);
+                attempt++;
+                await sleep(delay);
+                delay *= 1.5;
+            }
+        }
+    }
+
+    floodWait(seconds) {
+        const until = Date.now() + seconds * 1000;
+        if (until > this.pausedUntil) {
+            this.pausedUntil = until;
+            this.stats.floodWaits++;
+            this.stats.floodWaitSeconds += seconds;
+        }
+        this.interval = Math.min(this.maxInterval, this.interval * 2);
+    }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,47 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Append-only JSONL log of digest runs
+ * Entry: { scheduledFor, startedAt, finishedAt, period, messageCount, status, error, files }
+ * where status is success, failed or skipped
+ */
+class RunHistory {
+    constructor(file = path.join(process.env.STORE_DIR || './data', 'run-history.jsonl')) {
+        this.file = file;
+    }
+
+    async read() {
+        try {
+            const content = await fs.readFile(this.file, 'utf8');
+            return content.split('\n').filter(Boolean).flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return [];
+                }
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async append(entry) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    /**
+     * Failed runs do not count, so the daemon catches their slot up after a restart
+     * @returns {Promise<Date|null>} Most recent scheduled slot that was handled
+     */
+    async lastScheduled() {
+        const runs = (await this.read()).filter(run => run.scheduledFor && run.status !== 'failed');
+        if (runs.length === 0) return null;
+        return new Date(Math.max(...runs.map(run => new Date(run.scheduledFor).getTime())));
+    }
+}
+
+module.exports = RunHistory;
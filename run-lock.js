@@ -0,0 +1,71 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Exclusive lock file preventing overlapping digest runs
+ * The file holds the owner's pid; a lock left behind by a dead process is taken over.
+ */
+class RunLock {
+    constructor(file = path.join(process.env.STORE_DIR || './data', 'digest.lock')) {
+        this.file = file;
+        this.held = false;
+    }
+
+    static isAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: the process exists but belongs to someone else
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Current holder { pid, startedAt }, or null when free
+     */
+    async holder() {
+        try {
+            const owner = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            return RunLock.isAlive(owner.pid) ? owner : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} True when the lock was acquired
+     */
+    async acquire() {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const owner = JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() });
+
+        try {
+            await fs.writeFile(this.file, owner, { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            if (await this.holder()) return false;
+
+            // Stale lock from a crashed run: replace it
+            console.warn(`⚠️ Removing stale lock ${this.file}`);
+            await fs.rm(this.file, { force: true });
+            try {
+                await fs.writeFile(this.file, owner, { flag: 'wx' });
+            } catch (retryError) {
+                if (retryError.code === 'EEXIST') return false;
+                throw retryError;
+            }
+        }
+
+        this.held = true;
+        return true;
+    }
+
+    async release() {
+        if (!this.held) return;
+        await fs.rm(this.file, { force: true });
+        this.held = false;
+    }
+}
+
+module.exports = RunLock;
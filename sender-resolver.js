@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ChatUtils = require('./chat-utils');
+const RequestScheduler = require('./request-scheduler');
+
+// Ids per getEntity call
+const LOOKUP_BATCH = 100;
+
+/**
+ * Resolves message senders to display names and usernames
+ * Uses the sender entity gramjs attaches to messages, then a cache persisted
+ * across runs, then batched getEntity lookups of up to 100 ids for the rest
+ * (split up when some of their ids cannot be resolved). Ids that fail are not
+ * looked up again in the same run.
+ */
+class SenderResolver {
+    constructor(client, connection, file = path.join(process.env.STORE_DIR || './data', 'senders.json')) {
+        this.client = client;
+        this.connection = connection;
+        this.file = file;
+        this.cache = {};
+        this.failed = new Set();
+        this.dirty = false;
+    }
+
+    async load() {
+        try {
+            this.cache = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`⚠️ Ignoring unreadable sender cache ${this.file}: ${error.message}`);
+        }
+        return this;
+    }
+
+    async save() {
+        if (!this.dirty) return;
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(this.cache, null, 2));
+        this.dirty = false;
+    }
+
+    // Channel ids are marked (-100<id>) like gramjs's senderId, so lookups keep the peer type
+    static getSenderId(message) {
+        if (message.senderId) return message.senderId.toString();
+        if (message.fromId?.userId) return message.fromId.userId.toString();
+        if (message.fromId?.channelId) return `-100${message.fromId.channelId}`;
+        return 'unknown';
+    }
+
+    remember(id, entity) {
+        const name = ChatUtils.getChatTitle(entity, '');
+        if (!name) return;
+
+        const entry = { name, username: entity.username || null };
+        const cached = this.cache[id];
+        if (!cached || cached.name !== entry.name || cached.username !== entry.username) {
+            this.cache[id] = { ...entry, updatedAt: new Date().toISOString() };
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Caches attached sender entities and looks up the remaining unknown senders in batches
+     * @param {Array} messages - Raw gramjs messages, e.g. everything fetched from one chat
+     */
+    async prefetch(messages) {
+        const unknown = new Set();
+
+        for (const message of messages) {
+            const id = SenderResolver.getSenderId(message);
+            if (id === 'unknown') continue;
+            if (message.sender) this.remember(id, message.sender);
+            else if (!this.cache[id] && !this.failed.has(id)) unknown.add(id);
+        }
+
+        if (unknown.size === 0) return;
+
+        const ids = [...unknown];
+        const failed = [];
+        for (let start = 0; start < ids.length; start += LOOKUP_BATCH) {
+            failed.push(...await this.resolve(ids.slice(start, start + LOOKUP_BATCH)));
+        }
+        failed.forEach(({ id }) => this.failed.add(id));
+        if (failed.length > 0 && process.env.DEBUG_FETCHING === 'true') {
+            console.log(`  ⚠️ Could not resolve ${failed.length} senders: ${failed.map(({ id, error }) => `${id} (${error})`).join(', ')}`);
+        }
+    }
+
+    /**
+     * getEntity fails the whole batch when a single id is not in gramjs's entity cache,
+     * so a batch that fails that way is halved until the unresolvable ids are isolated
+     * @param {string[]} ids - Sender ids; gramjs reads negative (marked) ids as chats and channels
+     * @returns {Promise<Array>} { id, error } for the ids that could not be resolved
+     */
+    async resolve(ids) {
+        try {
+            const entities = await this.connection.retryApiCall(() => this.client.getEntity(ids.map(Number)));
+            [].concat(entities).forEach((entity, index) => {
+                if (entity) this.remember(ids[index], entity);
+            });
+            return [];
+        } catch (error) {
+            // Retries already ran out for network errors, and a dead session fails every half too
+            if (ids.length === 1 || RequestScheduler.classify(error) !== 'fatal' || RequestScheduler.isAuthError(error)) {
+                return ids.map(id => ({ id, error: error.message }));
+            }
+            const middle = Math.ceil(ids.length / 2);
+            return [...await this.resolve(ids.slice(0, middle)), ...await this.resolve(ids.slice(middle))];
+        }
+    }
+
+    /**
+     * @param {string} senderId - Sender id
+     * @returns {Object} { name, username }, falling back to User_<id> when unresolved
+     */
+    lookup(senderId) {
+        const cached = this.cache[senderId];
+        if (cached) return { name: cached.name, username: cached.username };
+        return { name: `User_${senderId}`, username: null };
+    }
+}
+
+module.exports = SenderResolver;
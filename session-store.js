@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File-based Telegram session storage
+ * The session string is written with mode 0600 to SESSION_FILE (default STORE_DIR/session.json,
+ * so every profile has its own). With a passphrase (SESSION_PASSPHRASE or prompted at login)
+ * it is encrypted with AES-256-GCM using a scrypt-derived key.
+ */
+class SessionStore {
+    constructor(file = process.env.SESSION_FILE || path.join(process.env.STORE_DIR || './data', 'session.json')) {
+        this.file = file;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Stored envelope ({ encrypted, ... }) or null when logged out
+     */
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Cannot read session file ${this.file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Function} getPassphrase - async () => passphrase, only called for encrypted sessions
+     * @returns {Promise<string|null>} Session string, null when no session is stored
+     */
+    async load(getPassphrase = async () => process.env.SESSION_PASSPHRASE) {
+        const envelope = await this.read();
+        if (!envelope) return null;
+        if (!envelope.encrypted) return envelope.session;
+
+        const passphrase = await getPassphrase();
+        if (!passphrase) {
+            throw new Error(`Session in ${this.file} is encrypted: set SESSION_PASSPHRASE or run interactively`);
+        }
+        return SessionStore.decrypt(envelope, passphrase);
+    }
+
+    /**
+     * @param {string} session - gramjs StringSession.save() output
+     * @param {string} passphrase - Optional; encrypts the session when given
+     */
+    async save(session, passphrase = null) {
+        const envelope = passphrase
+            ? { version: 1, encrypted: true, ...SessionStore.encrypt(session, passphrase) }
+            : { version: 1, encrypted: false, session };
+
+        await fs.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+        await fs.writeFile(this.file, JSON.stringify({ ...envelope, savedAt: new Date().toISOString() }, null, 2), { mode: 0o600 });
+        // writeFile only applies the mode to new files
+        await fs.chmod(this.file, 0o600);
+    }
+
+    async clear() {
+        await fs.rm(this.file, { force: true });
+    }
+
+    static deriveKey(passphrase, salt) {
+        return crypto.scryptSync(passphrase, salt, 32);
+    }
+
+    static encrypt(session, passphrase) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', SessionStore.deriveKey(passphrase, salt), iv);
+        const data = Buffer.concat([cipher.update(session, 'utf8'), cipher.final()]);
+        return {
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    static decrypt(envelope, passphrase) {
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm',
+                SessionStore.deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')),
+                Buffer.from(envelope.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error('Cannot decrypt the stored session: wrong passphrase or corrupted session file');
+        }
+    }
+}
+
+module.exports = SessionStore;
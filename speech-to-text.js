@@ -0,0 +1,104 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * Optional local speech-to-text for voice and video notes
+ * Runs STT_COMMAND with STT_ARGS ({input} is replaced by the downloaded file) and
+ * takes stdout as the transcript, e.g. a wrapper around ffmpeg + whisper.cpp.
+ * Transcripts are cached so a note is only downloaded and transcribed once.
+ */
+class SpeechToText {
+    constructor(client, connection, {
+        command = process.env.STT_COMMAND,
+        args = process.env.STT_ARGS || '{input}',
+        timeout = parseInt(process.env.STT_TIMEOUT_MS) || 120000,
+        maxDuration = parseInt(process.env.STT_MAX_DURATION) || 300,
+        cacheFile = path.join(process.env.STORE_DIR || './data', 'transcripts.json')
+    } = {}) {
+        this.client = client;
+        this.connection = connection;
+        this.command = command;
+        this.args = args.split(/\s+/).filter(Boolean);
+        this.timeout = timeout;
+        this.maxDuration = maxDuration;
+        this.cacheFile = cacheFile;
+        this.cache = null;
+        this.cacheLoading = null;
+        this.dirty = false;
+    }
+
+    static isEnabled() {
+        return Boolean(process.env.STT_COMMAND);
+    }
+
+    async loadCache() {
+        // Chats are fetched concurrently; the first call reads the file for all of them
+        this.cacheLoading = this.cacheLoading || fs.readFile(this.cacheFile, 'utf8')
+            .then(content => JSON.parse(content))
+            .catch(() => ({}));
+        if (!this.cache) this.cache = await this.cacheLoading;
+    }
+
+    async save() {
+        if (!this.dirty) return;
+        await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+        await fs.writeFile(this.cacheFile, JSON.stringify(this.cache, null, 2));
+        this.dirty = false;
+    }
+
+    /**
+     * @param {Object} message - Raw gramjs message carrying the voice/video note
+     * @param {string} chatId - Chat id, part of the cache key
+     * @param {Object} info - MediaDescriber info (duration, mimeType)
+     * @returns {Promise<string|null>} Transcript, or null when skipped or failed
+     */
+    async transcribe(message, chatId, info) {
+        await this.loadCache();
+        const key = `${chatId}:${message.id}`;
+        if (this.cache[key] !== undefined) return this.cache[key];
+
+        if (info.duration && info.duration > this.maxDuration) {
+            if (process.env.DEBUG_FETCHING === 'true') {
+                console.log(`  🎤 Skipping transcription of ${key}: ${info.duration}s exceeds STT_MAX_DURATION`);
+            }
+            return null;
+        }
+
+        const extension = info.type === 'video_note' ? '.mp4' : '.ogg';
+        const input = path.join(os.tmpdir(), `telegram-digest-${process.pid}-${chatId}-${message.id}${extension}`);
+
+        try {
+            const buffer = await this.connection.retryApiCall(() => this.client.downloadMedia(message, {}));
+            await fs.writeFile(input, buffer);
+
+            const args = this.args.map(arg => arg.replace('{input}', input));
+            const transcript = (await this.run(args)).replace(/\s+/g, ' ').trim();
+
+            this.cache[key] = transcript || null;
+            this.dirty = true;
+            return this.cache[key];
+        } catch (error) {
+            // Transcription is best effort; the placeholder is still reported
+            console.warn(`⚠️ Transcription failed for message ${key}: ${error.message}`);
+            return null;
+        } finally {
+            await fs.rm(input, { force: true });
+        }
+    }
+
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(`${path.basename(this.command)} failed: ${(stderr || error.message).trim().split('\n').pop()}`));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+}
+
+module.exports = SpeechToText;
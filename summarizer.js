@@ -0,0 +1,166 @@
+/**
+ * Map-reduce summarization for prompts that exceed the token budget
+ * Oversized chats are split into chronological slices, each slice is summarized
+ * (map), and the slice summaries are merged into one summary per chat (reduce)
+ */
+
+const SYSTEM_PROMPT = 'You condense Telegram chat logs for an executive assistant. Keep decisions, requests, questions addressed to the user, deadlines, names and numbers. Drop small talk. Answer with plain bullet points only.';
+
+class MapReduceSummarizer {
+    /**
+     * @param {LLMProvider} provider - Provider used for the map and reduce calls
+     * @param {Object} options - { promptBudget, chunkBudget } in estimated tokens
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.promptBudget = options.promptBudget || parseInt(process.env.PROMPT_TOKEN_BUDGET) || 12000;
+        this.chunkBudget = options.chunkBudget || parseInt(process.env.CHUNK_TOKEN_BUDGET) || 6000;
+    }
+
+    /**
+     * Rough token estimate: ~4 characters per token for ASCII, ~2 for other scripts
+     * @param {string} text - Text to measure
+     * @returns {number}
+     */
+    static estimateTokens(text) {
+        if (!text) return 0;
+        const nonAscii = (text.match(/[^\x00-\x7F]/g) || []).length;
+        return Math.ceil((text.length - nonAscii) / 4 + nonAscii / 2);
+    }
+
+    /**
+     * Summarizes the largest chats until the rendered prompt fits the budget
+     * @param {Array} chats - [{ chatId, chatTitle, chatType, lines }] with lines in chronological order
+     * @param {Function} renderPrompt - (summaries: Map) => string, the final prompt for a given set of summaries
+     * @returns {Promise<Object>} { summaries: Map<chatId, {text, level}>, detailLevels, promptTokens }
+     */
+    async fitToBudget(chats, renderPrompt) {
+        const summaries = new Map();
+        const measured = chats
+            .map(chat => ({ ...chat, tokens: MapReduceSummarizer.estimateTokens(chat.lines.join('\n')) }))
+            .sort((a, b) => b.tokens - a.tokens);
+
+        let promptTokens = MapReduceSummarizer.estimateTokens(renderPrompt(summaries));
+
+        for (const chat of measured) {
+            if (promptTokens <= this.promptBudget) break;
+
+            console.log(`🧩 Summarizing ${chat.chatTitle} (~${chat.tokens} tokens)...`);
+            summaries.set(chat.chatId, await this.summarizeChat(chat));
+            promptTokens = MapReduceSummarizer.estimateTokens(renderPrompt(summaries));
+        }
+
+        // Still too large with every chat summarized: shrink each summary to an equal share
+        if (promptTokens > this.promptBudget && summaries.size > 0) {
+            const overflow = promptTokens - this.promptBudget;
+            for (const [chatId, summary] of summaries) {
+                const current = MapReduceSummarizer.estimateTokens(summary.text);
+                const target = Math.max(50, current - Math.ceil(overflow / summaries.size));
+                const chat = measured.find(c => c.chatId === chatId);
+                summaries.set(chatId, {
+                    text: await this.condense(chat, [summary.text], target),
+                    level: 'condensed'
+                });
+            }
+            promptTokens = MapReduceSummarizer.estimateTokens(renderPrompt(summaries));
+        }
+
+        const detailLevels = measured.map(chat => ({
+            chatId: chat.chatId,
+            chatTitle: chat.chatTitle,
+            messages: chat.lines.length,
+            tokens: chat.tokens,
+            level: summaries.get(chat.chatId)?.level || 'verbatim'
+        }));
+
+        return { summaries, detailLevels, promptTokens };
+    }
+
+    /**
+     * Map: summarize each chronological slice; reduce: merge slice summaries
+     * @param {Object} chat - { chatTitle, chatType, lines }
+     * @returns {Promise<Object>} { text, level }
+     */
+    async summarizeChat(chat) {
+        const slices = this.split(chat.lines);
+        const partials = [];
+
+        for (let i = 0; i < slices.length; i++) {
+            partials.push(await this.provider.complete({
+                system: SYSTEM_PROMPT,
+                prompt: `Summarize part ${i + 1} of ${slices.length} of the Telegram ${chat.chatType} "${chat.chatTitle}" in at most ${this.targetTokens()} tokens:\n\n${slices[i].join('\n')}`
+            }));
+        }
+
+        if (partials.length === 1) {
+            return { text: partials[0], level: 'summarized' };
+        }
+
+        return {
+            text: await this.condense(chat, partials, this.targetTokens()),
+            level: `summarized from ${slices.length} time slices`
+        };
+    }
+
+    /**
+     * Reduce: merges partial summaries in batches that fit the chunk budget until one remains
+     * @param {Object} chat - { chatTitle, chatType }
+     * @param {string[]} parts - Partial summaries in chronological order
+     * @param {number} target - Token target for the merged summary
+     * @returns {Promise<string>}
+     */
+    async condense(chat, parts, target) {
+        let current = parts;
+
+        do {
+            let batches = this.split(current);
+            if (batches.length === current.length) {
+                // Every part fills a chunk on its own: merge pairwise so the loop always converges
+                batches = [];
+                for (let i = 0; i < current.length; i += 2) batches.push(current.slice(i, i + 2));
+            }
+
+            const next = [];
+            for (const batch of batches) {
+                next.push(await this.provider.complete({
+                    system: SYSTEM_PROMPT,
+                    prompt: `Merge these consecutive summaries of the Telegram ${chat.chatType} "${chat.chatTitle}" into one summary of at most ${target} tokens, keeping chronological order:\n\n${batch.join('\n\n---\n\n')}`
+                }));
+            }
+            current = next;
+        } while (current.length > 1);
+
+        return current[0];
+    }
+
+    /**
+     * Splits lines into consecutive chunks of at most chunkBudget estimated tokens
+     * @param {string[]} lines - Lines to split
+     * @returns {string[][]}
+     */
+    split(lines) {
+        const chunks = [];
+        let chunk = [];
+        let tokens = 0;
+
+        for (const line of lines) {
+            const lineTokens = MapReduceSummarizer.estimateTokens(line);
+            if (chunk.length > 0 && tokens + lineTokens > this.chunkBudget) {
+                chunks.push(chunk);
+                chunk = [];
+                tokens = 0;
+            }
+            chunk.push(line);
+            tokens += lineTokens;
+        }
+        if (chunk.length > 0) chunks.push(chunk);
+
+        return chunks;
+    }
+
+    targetTokens() {
+        return Math.max(100, Math.floor(this.chunkBudget / 8));
+    }
+}
+
+module.exports = MapReduceSummarizer;
@@ -1,52 +1,225 @@
-const { TelegramClient } = require('telegram');
+const { TelegramClient, Api } = require('telegram');
 const { StringSession } = require('telegram/sessions');
+const SessionStore = require('./session-store');
+const RequestScheduler = require('./request-scheduler');
+const TelegramRecorder = require('./telegram-recorder');
+const TelegramReplayClient = require('./telegram-replay');
 require('dotenv').config();
 
 class TelegramConnection {
-    constructor() {
+    /**
+     * @param {Object} account - Credentials, defaults to TELEGRAM_API_ID, TELEGRAM_API_HASH,
+     *                           TELEGRAM_SESSION and PHONE_NUMBER; name labels a profile.
+     *                           Without TELEGRAM_SESSION the session comes from the session store.
+     *                           record writes the responses of the run to a fixture file,
+     *                           replay serves a recorded fixture instead of connecting.
+     */
+    constructor({
+        name = null,
+        apiId = process.env.TELEGRAM_API_ID,
+        apiHash = process.env.TELEGRAM_API_HASH,
+        session = process.env.TELEGRAM_SESSION,
+        phoneNumber = process.env.PHONE_NUMBER,
+        sessionFile,
+        record = null,
+        replay = null
+    } = {}) {
+        this.name = name;
+        this.record = record;
+        this.replay = replay;
+        this.apiId = apiId;
+        this.apiHash = apiHash;
+        this.session = session;
+        this.phoneNumber = phoneNumber;
+        this.sessionStore = new SessionStore(sessionFile);
+        this.sessionSource = null;
         this.client = null;
         this.me = null;
         this.isConnected = false;
+        this.scheduler = new RequestScheduler();
     }
 
-    async connect() {
-        const session = new StringSession(process.env.TELEGRAM_SESSION || '');
-        
-        this.client = new TelegramClient(session, 
-            parseInt(process.env.TELEGRAM_API_ID), 
-            process.env.TELEGRAM_API_HASH, {
+    // Auth prompts are only allowed on a terminal; cron, daemons and pipes fail fast instead
+    static isInteractive() {
+        return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+    }
+
+    get loginHint() {
+        return `node main.js login${this.name ? ` --profile ${this.name}` : ''}`;
+    }
+
+    createClient(session) {
+        if (!this.apiId || !this.apiHash) {
+            throw new Error('TELEGRAM_API_ID and TELEGRAM_API_HASH are not configured');
+        }
+        return new TelegramClient(new StringSession(session || ''), 
+            parseInt(this.apiId), 
+            this.apiHash, {
                 connectionRetries: 5,
                 retryDelay: 1000,
                 autoReconnect: true,
-                floodSleepThreshold: 60
+                // FLOOD_WAIT errors reach the scheduler, which pauses all concurrent requests;
+                // every API call (fetching, delivery, media downloads) goes through retryApiCall
+                floodSleepThreshold: 0
             }
         );
+    }
 
-        console.log('🔥 Connecting to Telegram...');
+    /**
+     * @returns {Promise<Object>} { session, source } where source is env, file or null
+     */
+    async resolveSession() {
+        if (this.session) return { session: this.session, source: 'env' };
 
-        await this.client.start({
-            phoneNumber: async () => process.env.PHONE_NUMBER,
-            password: async () => this.promptInput('Enter 2FA password (if enabled): '),
-            phoneCode: async () => this.promptInput('Enter verification code: '),
-            onError: (err) => console.error('Auth error:', err),
-        });
+        const session = await this.sessionStore.load(async () => process.env.SESSION_PASSPHRASE ||
+            (TelegramConnection.isInteractive() ? this.promptInput('Session passphrase: ', { hidden: true }) : null));
+        return { session, source: session ? 'file' : null };
+    }
+
+    async connect() {
+        // Long-running modes (daemon) keep one connection for all runs
+        if (this.isConnected) return { client: this.client, me: this.me };
+        if (this.replay) return this.connectReplay();
+
+        const { session, source } = await this.resolveSession();
+        if (!session) {
+            if (!TelegramConnection.isInteractive()) {
+                throw new Error(`Not logged in to Telegram${this.name ? ` (profile ${this.name})` : ''}. Run \`${this.loginHint}\` in a terminal first`);
+            }
+            console.log('🔑 No Telegram session yet, starting login...');
+            return this.login();
+        }
+
+        this.sessionSource = source;
+        this.client = this.createClient(session);
+        console.log(`🔥 Connecting to Telegram${this.name ? ` (profile ${this.name})` : ''}...`);
+        await this.client.connect();
+
+        if (!await this.client.checkAuthorization()) {
+            await this.client.disconnect();
+            const where = source === 'env' ? 'TELEGRAM_SESSION' : `session in ${this.sessionStore.file}`;
+            throw new Error(`The ${where} is no longer authorized (AUTH_KEY_UNREGISTERED). Run \`${this.loginHint}\` again`);
+        }
+
+        if (this.record) {
+            this.client = new TelegramRecorder(this.client, this.record);
+            console.log(`📼 Recording Telegram responses to ${this.record}`);
+        }
+        return this.finishConnect();
+    }
+
+    async connectReplay() {
+        console.log(`📼 Replaying Telegram responses from ${this.replay}`);
+        this.sessionSource = 'replay';
+        this.client = await TelegramReplayClient.load(this.replay);
+        await this.client.connect();
+        return this.finishConnect({ settleMs: 0 });
+    }
 
-        await new Promise(resolve => setTimeout(resolve, 3000));
+    async finishConnect({ settleMs = 3000 } = {}) {
+        await new Promise(resolve => setTimeout(resolve, settleMs));
         
         this.me = await this.client.getMe();
         this.isConnected = true;
 
         console.log(`✅ Connected as: ${this.me.firstName} ${this.me.lastName || ''} (@${this.me.username || 'no_username'})`);
+        return { client: this.client, me: this.me };
+    }
 
-        if (!process.env.TELEGRAM_SESSION) {
-            console.log('\n🔑 Add this to your .env file:');
-            console.log('TELEGRAM_SESSION=' + this.client.session.save());
+    /**
+     * Interactive login by phone code (+ 2FA password) or QR code; the session is saved
+     * to the session store, encrypted when a passphrase is given or SESSION_PASSPHRASE is set
+     * @param {Object} options - { qr: boolean, encrypt: boolean }
+     * @returns {Promise<Object>} { client, me }
+     */
+    async login({ qr = false, encrypt = false } = {}) {
+        if (!TelegramConnection.isInteractive()) {
+            throw new Error('Login needs an interactive terminal');
         }
 
-        return { client: this.client, me: this.me };
+        this.client = this.createClient('');
+        await this.client.connect();
+
+        const password = async hint => this.promptInput(`Enter 2FA password${hint ? ` (hint: ${hint})` : ''}: `, { hidden: true });
+        // Typos are asked again; anything else stops the login
+        const onError = async error => {
+            console.error(`❌ Auth error: ${error.message}`);
+            return !/PHONE_CODE_INVALID|PASSWORD_HASH_INVALID/.test(error.message);
+        };
+
+        if (qr) {
+            const qrcode = require('qrcode-terminal');
+            await this.client.signInUserWithQrCode({ apiId: parseInt(this.apiId), apiHash: this.apiHash }, {
+                qrCode: async ({ token, expires }) => {
+                    console.log('\n📱 Scan in Telegram: Settings → Devices → Link Desktop Device');
+                    qrcode.generate(`tg://login?token=${token.toString('base64url')}`, { small: true });
+                    console.log(`   The code refreshes at ${new Date(expires * 1000).toLocaleTimeString()}`);
+                },
+                password,
+                onError
+            });
+        } else {
+            await this.client.start({
+                phoneNumber: async () => this.phoneNumber || this.promptInput('Phone number (international format): '),
+                password,
+                phoneCode: async () => this.promptInput('Enter verification code: '),
+                onError
+            });
+        }
+
+        let passphrase = process.env.SESSION_PASSPHRASE || null;
+        if (encrypt && !passphrase) {
+            passphrase = await this.promptInput('New session passphrase: ', { hidden: true });
+            if (passphrase !== await this.promptInput('Repeat passphrase: ', { hidden: true })) {
+                throw new Error('Passphrases do not match; the session was not saved');
+            }
+        }
+        await this.sessionStore.save(this.client.session.save(), passphrase || null);
+        this.sessionSource = 'file';
+        console.log(`🔐 Session saved to ${this.sessionStore.file} (${passphrase ? 'encrypted, ' : ''}mode 600)`);
+        if (this.session) {
+            console.log('⚠️ TELEGRAM_SESSION is also set and takes precedence; remove it to use the saved session');
+        }
+
+        return this.finishConnect();
+    }
+
+    /**
+     * Revokes the session on Telegram's side and removes it from the session store.
+     * Never starts a login; a session Telegram already rejects is still removed locally.
+     */
+    async logout() {
+        const { session, source } = await this.resolveSession();
+        if (!session) {
+            console.log(`ℹ️ Not logged in to Telegram${this.name ? ` (profile ${this.name})` : ''}; nothing to log out`);
+            return;
+        }
+
+        this.sessionSource = source;
+        this.client = this.createClient(session);
+        await this.client.connect();
+        try {
+            if (await this.client.checkAuthorization()) {
+                await this.retryApiCall(() => this.client.invoke(new Api.auth.LogOut()));
+                console.log('👋 Session revoked on Telegram');
+            } else {
+                console.log('⚠️ Telegram no longer accepts this session; removing it locally');
+            }
+        } catch (error) {
+            if (!RequestScheduler.isAuthError(error)) throw error;
+            console.log(`⚠️ Telegram no longer accepts this session (${error.errorMessage || error.message}); removing it locally`);
+        } finally {
+            await this.client.disconnect();
+        }
+
+        await this.sessionStore.clear();
+        console.log(`👋 Logged out; ${this.sessionStore.file} removed`);
+        if (source === 'env') {
+            console.log('⚠️ Remove TELEGRAM_SESSION from your .env or profile, it no longer works');
+        }
     }
 
-    async promptInput(question) {
+    async promptInput(question, { hidden = false } = {}) {
         const readline = require('readline').createInterface({
             input: process.stdin,
             output: process.stdout
@@ -54,29 +227,28 @@ class TelegramConnection {
         return new Promise(resolve => {
             readline.question(question, (answer) => {
                 readline.close();
+                if (hidden) process.stdout.write('\n');
                 resolve(answer);
             });
+            // Passwords are not echoed; the question itself has already been written
+            if (hidden) readline._writeToOutput = () => {};
         });
     }
 
     async disconnect() {
         if (this.client && this.isConnected) {
             await this.client.disconnect();
+            this.isConnected = false;
             console.log('🔌 Disconnected from Telegram');
         }
     }
 
-    async retryApiCall(apiCall, maxRetries = 3, delay = 1000) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                return await apiCall();
-            } catch (error) {
-                if (attempt === maxRetries) throw error;
-                console.log(`⏳ API call failed (attempt ${attempt}/${maxRetries}), retrying in ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                delay *= 1.5;
-            }
-        }
+    /**
+     * Runs an API call through the connection's scheduler: paced, retried on network and
+     * server errors, paused on FLOOD_WAIT, failed at once on errors that cannot succeed
+     */
+    async retryApiCall(apiCall, maxRetries = 3) {
+        return this.scheduler.run(apiCall, { maxRetries });
     }
 }
 
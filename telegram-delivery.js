@@ -0,0 +1,171 @@
+/**
+ * Posts the digest back into Telegram (Saved Messages by default)
+ * Splits at Telegram's 4096-character limit on section boundaries and
+ * converts the model's Markdown to Telegram HTML without trusting it to be balanced
+ */
+
+const TELEGRAM_LIMIT = 4096;
+// Leave room for the "(1/3)" part marker
+const CHUNK_LIMIT = TELEGRAM_LIMIT - 96;
+// Telegram rejected the formatting (ENTITY_BOUNDS_INVALID, ENTITIES_TOO_LONG, ...), not the message
+const FORMATTING_ERROR = /ENTIT(Y|IES)_|parse entities/i;
+
+class TelegramDelivery {
+    /**
+     * @param {TelegramClient} client - Connected gramjs client
+     * @param {TelegramConnection} connection - Paces the sends and sits out FLOOD_WAIT
+     * @param {string} target - 'me' (Saved Messages), @username, or a chat id
+     */
+    constructor(client, connection, target = process.env.DELIVER_TELEGRAM_TO || 'me') {
+        this.client = client;
+        this.connection = connection;
+        this.target = target;
+        this.progress = null; // { markdown, sent } of a delivery that failed part-way
+    }
+
+    /**
+     * Sends the digest in parts; after a failure, calling it again with the same text
+     * continues with the part that failed instead of repeating the ones already sent
+     * @param {string} markdown - Digest text
+     * @returns {Promise<number>} Number of parts
+     */
+    async deliver(markdown) {
+        const chunks = TelegramDelivery.split(markdown, CHUNK_LIMIT);
+        const peer = /^-?\d+$/.test(this.target) ? Number(this.target) : this.target;
+
+        if (!this.progress || this.progress.markdown !== markdown) this.progress = { markdown, sent: 0 };
+        if (this.progress.sent > 0) console.log(`📨 Resuming Telegram delivery at part ${this.progress.sent + 1}/${chunks.length}`);
+
+        for (let i = this.progress.sent; i < chunks.length; i++) {
+            const marker = chunks.length > 1 ? `\n\n<i>(${i + 1}/${chunks.length})</i>` : '';
+            try {
+                await this.connection.retryApiCall(() => this.client.sendMessage(peer, {
+                    message: TelegramDelivery.toHtml(chunks[i]) + marker,
+                    parseMode: 'html',
+                    linkPreview: false
+                }));
+            } catch (error) {
+                // Formatting must never cost us the digest: resend the chunk as plain text
+                if (!FORMATTING_ERROR.test(error.errorMessage || error.message)) throw error;
+                console.warn(`⚠️ HTML delivery failed (${error.message}), sending part ${i + 1} as plain text`);
+                await this.connection.retryApiCall(() => this.client.sendMessage(peer, { message: chunks[i], linkPreview: false }));
+            }
+            this.progress.sent = i + 1;
+        }
+        this.progress = null;
+
+        console.log(`📨 Digest delivered to Telegram (${this.target === 'me' ? 'Saved Messages' : this.target}, ${chunks.length} message${chunks.length === 1 ? '' : 's'})`);
+        return chunks.length;
+    }
+
+    /**
+     * Splits text into chunks no longer than limit, preferring section, paragraph and line boundaries
+     * @param {string} text - Markdown text
+     * @param {number} limit - Maximum chunk length
+     * @returns {string[]}
+     */
+    static split(text, limit = CHUNK_LIMIT) {
+        // Split after each separator so no characters are lost when the pieces are packed again
+        const separators = [/(?<=\n)(?=#{1,6} )/, /(?<=\n\n)/, /(?<=\n)/, /(?<= )/];
+        const pieces = TelegramDelivery.splitBy(text.trim(), limit, separators);
+
+        // Greedily pack the pieces back together
+        const chunks = [];
+        let current = '';
+        for (const piece of pieces) {
+            const candidate = current + piece;
+            if (candidate.length <= limit) {
+                current = candidate;
+            } else {
+                if (current) chunks.push(current);
+                current = piece;
+            }
+        }
+        if (current) chunks.push(current);
+        return chunks.map(chunk => chunk.trim()).filter(Boolean);
+    }
+
+    static splitBy(text, limit, separators) {
+        if (text.length <= limit) return [text];
+        if (separators.length === 0) {
+            const parts = [];
+            for (let i = 0; i < text.length; i += limit) parts.push(text.slice(i, i + limit));
+            return parts;
+        }
+
+        const [separator, ...rest] = separators;
+        const parts = text.split(separator);
+        if (parts.length === 1) return TelegramDelivery.splitBy(text, limit, rest);
+        return parts.flatMap(part => TelegramDelivery.splitBy(part, limit, rest));
+    }
+
+    static escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Converts common Markdown to Telegram HTML. Everything is escaped first and only
+     * complete pairs on a single line become tags, so unbalanced markers stay literal.
+     * @param {string} markdown - Markdown text
+     * @returns {string} Telegram HTML
+     */
+    static toHtml(markdown) {
+        const lines = markdown.split('\n');
+        const output = [];
+        let inCode = false;
+        let codeLines = [];
+
+        for (const line of lines) {
+            if (/^\s*```/.test(line)) {
+                if (inCode) {
+                    output.push(`<pre>${TelegramDelivery.escapeHtml(codeLines.join('\n'))}</pre>`);
+                    codeLines = [];
+                }
+                inCode = !inCode;
+                continue;
+            }
+            if (inCode) {
+                codeLines.push(line);
+                continue;
+            }
+
+            const heading = /^#{1,6}\s+(.*)$/.exec(line);
+            if (heading) {
+                output.push(`<b>${TelegramDelivery.inline(heading[1].replace(/\*\*/g, ''))}</b>`);
+            } else if (/^\s*[-*+]\s+/.test(line)) {
+                const indent = line.match(/^\s*/)[0];
+                output.push(`${indent}• ${TelegramDelivery.inline(line.replace(/^\s*[-*+]\s+/, ''))}`);
+            } else if (/^\s*(?:---|\*\*\*|___)\s*$/.test(line)) {
+                output.push('──────────');
+            } else {
+                output.push(TelegramDelivery.inline(line));
+            }
+        }
+
+        // An unterminated code fence is kept as preformatted text rather than dropped
+        if (inCode) output.push(`<pre>${TelegramDelivery.escapeHtml(codeLines.join('\n'))}</pre>`);
+
+        return output.join('\n');
+    }
+
+    static inline(text) {
+        const codeSpans = [];
+        let html = TelegramDelivery.escapeHtml(text)
+            .replace(/`([^`]+)`/g, (match, code) => {
+                codeSpans.push(`<code>${code}</code>`);
+                return `\u0000${codeSpans.length - 1}\u0000`;
+            });
+
+        html = html
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, (match, label, url) => `<a href="${url.replace(/"/g, '&quot;')}">${label}</a>`)
+            .replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>')
+            .replace(/__([^_]+)__/g, '<b>$1</b>')
+            .replace(/(^|[^\w*])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<i>$2</i>')
+            .replace(/(^|[^\w_])_([^_\s][^_]*?)_(?!\w)/g, '$1<i>$2</i>')
+            .replace(/~~([^~]+)~~/g, '<s>$1</s>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+    }
+}
+
+module.exports = TelegramDelivery;
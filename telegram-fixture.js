@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Recorded Telegram responses (see TelegramRecorder and TelegramReplayClient)
+ * A fixture is a JSON file with every client call of a run in order:
+ *
+ *   { "version": 1, "recordedAt": "...", "calls": [
+ *       { "method": "getMessages", "key": "getMessages User:1001 {\"limit\":100,\"offsetId\":0}", "result": [...] },
+ *       { "method": "invoke", "key": "...", "error": { "message": "CHANNEL_PRIVATE", "code": 400 } } ] }
+ *
+ * gramjs objects are stored as plain JSON: internal fields (_client, ...) are dropped, big
+ * integers become strings, Buffers become { "$buffer": base64 } and the message getters the
+ * pipeline reads (text, senderId, sender) are captured as values. Phone numbers and access
+ * hashes are blanked because fixtures end up in repositories.
+ */
+
+const VERSION = 1;
+const SKIPPED_FIELDS = new Set(['CONSTRUCTOR_ID', 'SUBCLASS_OF_ID', 'classType', 'originalArgs']);
+const SCRUBBED_FIELDS = new Set(['phone', 'accessHash']);
+const MESSAGE_GETTERS = ['text', 'senderId', 'sender'];
+// Offsets derived from the clock or from access hashes; offsetId still identifies the page
+const UNKEYED_FIELDS = new Set(['offsetDate', 'offsetPeer', 'hash']);
+const MAX_DEPTH = 16;
+
+class TelegramFixture {
+    /**
+     * @param {*} value - gramjs result (TL objects, custom Dialog/Message, arrays, big integers)
+     * @returns {*} JSON-safe copy
+     */
+    static toPlain(value, depth = 0, ancestors = new Set()) {
+        if (value === null || value === undefined) return value === undefined ? undefined : null;
+        if (typeof value === 'bigint') return value.toString();
+        if (typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+        if (Buffer.isBuffer(value)) return { $buffer: value.toString('base64') };
+        if (value instanceof Date) return value.toISOString();
+        // big-integer instances (ids in gramjs)
+        if (typeof value.toJSNumber === 'function') return value.toString();
+        if (depth > MAX_DEPTH || ancestors.has(value)) return null;
+
+        ancestors.add(value);
+        let plain;
+        if (Array.isArray(value)) {
+            plain = value.map(item => TelegramFixture.toPlain(item, depth + 1, ancestors) ?? null);
+        } else {
+            plain = value.className ? { className: value.className } : {};
+            Object.keys(value).forEach(key => {
+                if (key.startsWith('_') || key === 'className' || SKIPPED_FIELDS.has(key)) return;
+                const field = SCRUBBED_FIELDS.has(key) && value[key] ? null : TelegramFixture.toPlain(value[key], depth + 1, ancestors);
+                if (field !== undefined) plain[key] = field;
+            });
+            if (/^Message(Service)?$/.test(value.className)) {
+                MESSAGE_GETTERS.forEach(getter => {
+                    if (getter in plain) return;
+                    const field = TelegramFixture.toPlain(value[getter], depth + 1, ancestors);
+                    if (field !== undefined) plain[getter] = field;
+                });
+            }
+        }
+        ancestors.delete(value);
+        return plain;
+    }
+
+    /**
+     * Restores Buffers; everything else is served as plain objects
+     * @param {*} value - Value from a fixture file
+     * @returns {*}
+     */
+    static fromPlain(value) {
+        if (Array.isArray(value)) return value.map(TelegramFixture.fromPlain);
+        if (!value || typeof value !== 'object') return value;
+        if (typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, TelegramFixture.fromPlain(field)]));
+    }
+
+    /**
+     * Reference to an entity, peer or message, e.g. "User:1001", "Message:PeerUser:1001/42"
+     */
+    static ref(value) {
+        const id = value.id ?? value.userId ?? value.channelId ?? value.chatId;
+        // Message ids are only unique within a chat
+        const peer = value.peerId?.className ? `${TelegramFixture.ref(value.peerId)}/` : '';
+        return `${value.className}${id !== undefined ? `:${peer}${id}` : ''}`;
+    }
+
+    static keyValue(value) {
+        if (value === null || value === undefined || typeof value !== 'object') return value;
+        if (typeof value.toJSNumber === 'function') return value.toString();
+        if (Array.isArray(value)) return value.map(TelegramFixture.keyValue);
+        if (value.className) return TelegramFixture.ref(value);
+
+        return Object.fromEntries(Object.keys(value).sort()
+            .filter(key => !UNKEYED_FIELDS.has(key) && value[key] !== undefined && typeof value[key] !== 'function')
+            .map(key => [key, TelegramFixture.keyValue(value[key])]));
+    }
+
+    /**
+     * Identifies a call independently of live-only details (access hashes, the current time)
+     * @param {string} method - Client method
+     * @param {Array} args - Call arguments
+     * @returns {string} e.g. getMessages User:1001 {"limit":100,"offsetId":0,"reverse":false}
+     */
+    static callKey(method, args) {
+        const parts = args.filter(arg => arg !== undefined).map(arg => {
+            // invoke() is keyed by the request's fields, entities and peers by reference
+            if (method === 'invoke' && arg?.className) {
+                const fields = { ...arg };
+                delete fields.className;
+                SKIPPED_FIELDS.forEach(field => delete fields[field]);
+                return `${arg.className} ${JSON.stringify(TelegramFixture.keyValue(fields))}`;
+            }
+            const value = TelegramFixture.keyValue(arg);
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        });
+        return [method, ...parts].join(' ');
+    }
+
+    static errorFor(recorded) {
+        const error = new Error(recorded.message);
+        if (recorded.errorMessage) error.errorMessage = recorded.errorMessage;
+        if (recorded.code !== undefined) error.code = recorded.code;
+        if (recorded.seconds !== undefined) error.seconds = recorded.seconds;
+        return error;
+    }
+
+    static describeError(error) {
+        const recorded = { message: error.message };
+        ['errorMessage', 'code', 'seconds'].forEach(field => {
+            if (error[field] !== undefined) recorded[field] = error[field];
+        });
+        return recorded;
+    }
+
+    /**
+     * @param {string} file - Fixture path
+     * @returns {Promise<Object>} { version, recordedAt, calls }
+     */
+    static async load(file) {
+        let fixture;
+        try {
+            fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read Telegram fixture ${file}: ${error.message}`);
+        }
+        if (fixture.version !== VERSION || !Array.isArray(fixture.calls)) {
+            throw new Error(`${file} is not a Telegram fixture (version ${VERSION} with a calls array)`);
+        }
+        return fixture;
+    }
+
+    static async save(file, calls) {
+        await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ version: VERSION, recordedAt: new Date().toISOString(), calls }, null, 2) + '\n');
+    }
+}
+
+module.exports = TelegramFixture;
@@ -0,0 +1,83 @@
+const TelegramFixture = require('./telegram-fixture');
+
+/**
+ * Wraps a live gramjs client and captures the responses the pipeline asks for
+ * (getMe, getDialogs, getMessages, getEntity, invoke, downloadMedia) into a fixture file
+ * written on disconnect. The app keeps working with the real objects.
+ */
+class TelegramRecorder {
+    /**
+     * @param {TelegramClient} client - Connected, authorized gramjs client
+     * @param {string} file - Fixture file to write
+     */
+    constructor(client, file) {
+        this.client = client;
+        this.file = file;
+        this.calls = [];
+    }
+
+    get session() {
+        return this.client.session;
+    }
+
+    async record(method, args) {
+        const key = TelegramFixture.callKey(method, args);
+        try {
+            const result = await this.client[method](...args);
+            this.calls.push({ method, key, result: TelegramFixture.toPlain(result) ?? null });
+            return result;
+        } catch (error) {
+            this.calls.push({ method, key, error: TelegramFixture.describeError(error) });
+            throw error;
+        }
+    }
+
+    getMe(...args) {
+        return this.record('getMe', args);
+    }
+
+    getDialogs(...args) {
+        return this.record('getDialogs', args);
+    }
+
+    getMessages(...args) {
+        return this.record('getMessages', args);
+    }
+
+    getEntity(...args) {
+        return this.record('getEntity', args);
+    }
+
+    invoke(...args) {
+        return this.record('invoke', args);
+    }
+
+    downloadMedia(...args) {
+        return this.record('downloadMedia', args);
+    }
+
+    // Deliveries go out for real and are not part of the fixture
+    sendMessage(...args) {
+        return this.client.sendMessage(...args);
+    }
+
+    checkAuthorization() {
+        return this.client.checkAuthorization();
+    }
+
+    connect() {
+        return this.client.connect();
+    }
+
+    async save() {
+        await TelegramFixture.save(this.file, this.calls);
+        console.log(`📼 Recorded ${this.calls.length} Telegram calls to ${this.file}`);
+    }
+
+    async disconnect() {
+        await this.save();
+        await this.client.disconnect();
+    }
+}
+
+module.exports = TelegramRecorder;
@@ -0,0 +1,90 @@
+const TelegramFixture = require('./telegram-fixture');
+
+/**
+ * Stand-in for the gramjs client that serves responses from a fixture recorded by
+ * TelegramRecorder, so digests, exports and tests run without a Telegram account
+ * Calls are matched by TelegramFixture.callKey. Repeated calls get the recorded responses
+ * in order and then the last one again; a call that was never recorded fails.
+ */
+class TelegramReplayClient {
+    /**
+     * @param {Object} fixture - Loaded fixture ({ calls })
+     * @param {string} source - Fixture path, for error messages
+     */
+    constructor(fixture, source = 'fixture') {
+        this.source = source;
+        this.responses = new Map();
+        this.served = new Map();
+        this.connected = false;
+        this.sent = [];
+
+        fixture.calls.forEach(call => {
+            if (!this.responses.has(call.key)) this.responses.set(call.key, []);
+            this.responses.get(call.key).push(call);
+        });
+    }
+
+    /**
+     * @param {string} file - Fixture path
+     * @returns {Promise<TelegramReplayClient>}
+     */
+    static async load(file) {
+        return new TelegramReplayClient(await TelegramFixture.load(file), file);
+    }
+
+    async replay(method, args) {
+        const key = TelegramFixture.callKey(method, args);
+        const recorded = this.responses.get(key);
+        if (!recorded) throw new Error(`No recorded response in ${this.source} for ${key}`);
+
+        const count = this.served.get(key) || 0;
+        this.served.set(key, count + 1);
+        const call = recorded[Math.min(count, recorded.length - 1)];
+        if (call.error) throw TelegramFixture.errorFor(call.error);
+        return TelegramFixture.fromPlain(call.result);
+    }
+
+    getMe(...args) {
+        return this.replay('getMe', args);
+    }
+
+    getDialogs(...args) {
+        return this.replay('getDialogs', args);
+    }
+
+    getMessages(...args) {
+        return this.replay('getMessages', args);
+    }
+
+    getEntity(...args) {
+        return this.replay('getEntity', args);
+    }
+
+    invoke(...args) {
+        return this.replay('invoke', args);
+    }
+
+    downloadMedia(...args) {
+        return this.replay('downloadMedia', args);
+    }
+
+    // Nothing leaves the machine; tests can inspect what would have been sent
+    async sendMessage(peer, params) {
+        this.sent.push({ peer, ...params });
+        return { id: this.sent.length };
+    }
+
+    async checkAuthorization() {
+        return true;
+    }
+
+    async connect() {
+        this.connected = true;
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+}
+
+module.exports = TelegramReplayClient;
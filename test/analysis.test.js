@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const FilterRules = require('../filter-rules');
+const MessageFilter = require('../message-filter');
+const MessageFetcher = require('../message-fetcher');
+const ReportGenerator = require('../report-generator');
+const ReplyAnalytics = require('../reply-analytics');
+const TelegramReplayClient = require('../telegram-replay');
+const { DryRunProvider } = require('../llm-provider');
+const { FIXTURE, isolate, fixtureWeek } = require('./helpers');
+
+isolate();
+
+let analysis;
+
+before(async () => {
+    const client = await TelegramReplayClient.load(FIXTURE);
+    const me = await client.getMe();
+    const fetcher = new MessageFetcher(client, new MessageFilter(me, new FilterRules()), { retryApiCall: call => call() }, fixtureWeek());
+    const messages = await fetcher.fetchMessages();
+    analysis = new ReportGenerator(new DryRunProvider()).analyzeMessages(messages, fixtureWeek());
+});
+
+test('splits messages by kind', () => {
+    assert.equal(analysis.directMessages.length, 2);
+    assert.equal(analysis.groupMessages.length, 6);
+    assert.equal(analysis.channelMessages.length, 0);
+    assert.deepEqual(analysis.mentions.map(msg => msg.senderName), ['Bob Jones']);
+    assert.equal(analysis.myMessages.length, 2);
+});
+
+test('counts chats, senders, media and activity', () => {
+    assert.equal(analysis.stats.totalChats, 3);
+    assert.equal(analysis.stats.activeSenders, 4);
+    assert.deepEqual(analysis.stats.media, { photo: 1 });
+    assert.equal(analysis.stats.oldestMessage.toISOString(), '2026-10-06T09:00:00.000Z');
+    assert.equal(analysis.stats.newestMessage.toISOString(), '2026-10-10T18:10:00.000Z');
+    assert.deepEqual(analysis.topChats, [['Project Phoenix', 4], ['Alice Smith', 3], ['Family', 2]]);
+    assert.deepEqual(analysis.contacts.map(contact => [contact.name, contact.messages]), [
+        ['Alice Smith', 2], ['Carol White', 2], ['Bob Jones', 2], ['Mom', 1]
+    ]);
+});
+
+test('finds who is waiting for a reply', () => {
+    const { awaiting, latency, unansweredQuestions } = analysis.replies;
+
+    assert.equal(awaiting.length, 1);
+    assert.equal(awaiting[0].chatTitle, 'Alice Smith');
+    assert.equal(awaiting[0].pendingCount, 1);
+    assert.equal(awaiting[0].waitingSince, '2026-10-09T16:00:00.000Z');
+    assert.equal(ReplyAnalytics.formatDuration(awaiting[0].waitingMs), '2d 8h');
+
+    assert.equal(latency[0].contact, 'Alice Smith');
+    assert.equal(latency[0].myMedianMs, 30 * 60 * 1000);
+
+    assert.deepEqual(unansweredQuestions.map(question => question.messageId), [14]);
+});
+
+test('the fallback report summarizes without an LLM', () => {
+    const report = new ReportGenerator(new DryRunProvider()).createFallbackReport(analysis);
+
+    assert.match(report, /\*\*Active Chats\*\*: 3/);
+    assert.match(report, /\*\*Media & Attachments\*\*: 1 photo/);
+    assert.match(report, /Reply to 1 conversation waiting on you \(longest: Alice Smith, 2d 8h\)/);
+});
+
+test('the prompt lists the newest mentions from chats that are not summarized', () => {
+    const reporter = new ReportGenerator(new DryRunProvider());
+    reporter.maxMentions = 2;
+    const mention = (chatId, day) => ({
+        ...analysis.mentions[0], chatId, chatTitle: `Chat ${chatId}`, text: `ping ${chatId}/${day}`, timestamp: `2026-10-0${day}T12:00:00.000Z`
+    });
+    const mentions = [mention('1', 5), mention('1', 7), mention('1', 6), mention('2', 8)];
+
+    const section = reporter.formatMentions(mentions, msg => msg.chatId !== '2').split('\n');
+
+    assert.equal(section.length, 4);
+    assert.match(section[0], /ping 1\/7/);
+    assert.match(section[1], /ping 1\/6/);
+    assert.equal(section[2], '- ... 1 older mention not listed');
+    assert.equal(section[3], '- 1 more in the summarized conversations below');
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const DeliveryManager = require('../delivery-manager');
+const TelegramDelivery = require('../telegram-delivery');
+const { isolate, fixtureWeek } = require('./helpers');
+
+isolate();
+
+const connection = { retryApiCall: call => call() };
+const rpcError = (code, message) => Object.assign(new Error(message), { code, errorMessage: message });
+
+// Three sections of ~3000 characters: one Telegram message each
+const TITLES = ['Alpha', 'Beta', 'Gamma'];
+const digest = TITLES.map(title => `## ${title}\n\n${'word '.repeat(600).trim()}`).join('\n\n');
+
+function fakeClient(failures = {}) {
+    const sent = [];
+    return {
+        sent,
+        sendMessage: async (peer, { message, parseMode }) => {
+            const part = TITLES.findIndex(title => message.includes(title)) + 1;
+            const failure = failures[`${part}:${parseMode || 'plain'}`];
+            if (failure && !failure.thrown) {
+                failure.thrown = true;
+                throw failure.error;
+            }
+            sent.push({ part, parseMode: parseMode || 'plain' });
+        }
+    };
+}
+
+test('a retried Telegram delivery continues with the part that failed', async () => {
+    const client = fakeClient({ '2:html': { error: rpcError(500, 'INTERNAL') } });
+    const manager = new DeliveryManager(['telegram'], { retries: 3, backoffMs: 1, logFile: 'delivery-log.jsonl' });
+
+    const [result] = await manager.deliver({ digest }, { period: fixtureWeek(), client, connection });
+
+    assert.equal(result.status, 'delivered');
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(client.sent.map(message => message.part), [1, 2, 3]);
+});
+
+test('only formatting errors fall back to plain text', async () => {
+    const rejected = fakeClient({ '1:html': { error: rpcError(400, 'ENTITY_BOUNDS_INVALID') } });
+    await new TelegramDelivery(rejected, connection).deliver(digest);
+    assert.deepEqual(rejected.sent.map(message => `${message.part}:${message.parseMode}`), ['1:plain', '2:html', '3:html']);
+
+    const forbidden = fakeClient({ '1:html': { error: rpcError(403, 'CHAT_WRITE_FORBIDDEN') } });
+    await assert.rejects(new TelegramDelivery(forbidden, connection).deliver(digest), /CHAT_WRITE_FORBIDDEN/);
+    assert.equal(forbidden.sent.length, 0);
+});
+
+test('webhooks are not retried on client errors', async () => {
+    const statuses = [];
+    let respond = 404;
+    const server = http.createServer((req, res) => {
+        statuses.push(respond);
+        res.writeHead(respond).end();
+        respond = 200;
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/hook`;
+
+    try {
+        const manager = new DeliveryManager(['webhook'], { retries: 3, backoffMs: 1, logFile: 'delivery-log.jsonl' });
+        const report = { digest, json: { digest } };
+
+        const [failed] = await manager.deliver(report, { period: fixtureWeek() });
+        assert.deepEqual([failed.status, failed.attempts, failed.error], ['failed', 1, `HTTP 404 from 127.0.0.1:${server.address().port}`]);
+
+        respond = 503;
+        const [delivered] = await manager.deliver(report, { period: fixtureWeek() });
+        assert.deepEqual([delivered.status, delivered.attempts], ['delivered', 2]);
+        assert.deepEqual(statuses, [404, 503, 200]);
+    } finally {
+        delete process.env.WEBHOOK_URL;
+        server.close();
+    }
+});
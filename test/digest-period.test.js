@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CliArgs = require('../cli-args');
+const DigestPeriod = require('../digest-period');
+const { isolate } = require('./helpers');
+
+isolate();
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+const period = argv => DigestPeriod.fromOptions(CliArgs.parse(['digest', ...argv]).options, NOW);
+const dates = ({ since, until }) => [DigestPeriod.formatDate(since), DigestPeriod.formatDate(until)];
+
+test('--since and --until give a custom range ending now by default', () => {
+    assert.deepEqual(dates(period(['--since', '2026-10-01', '--until', '2026-10-08'])), ['2026-10-01', '2026-10-08']);
+    assert.equal(period(['--since', '2026-10-01']).until, NOW);
+    assert.deepEqual(dates(period(['--until', '2026-10-08'])), ['2026-10-01', '2026-10-08']);
+    assert.equal(period(['--period', 'daily']).name, 'daily');
+});
+
+test('--period sets the length of a range with one end', () => {
+    assert.deepEqual(dates(period(['--until', '2026-10-01', '--period', 'monthly'])), ['2026-09-01', '2026-10-01']);
+    assert.deepEqual(dates(period(['--since', '2026-10-01', '--period', 'daily'])), ['2026-10-01', '2026-10-02']);
+    assert.throws(() => period(['--since', '2026-10-01', '--until', '2026-10-08', '--period', 'monthly']),
+        /--period cannot be combined with both --since and --until/);
+});
+
+test('bare or empty --since / --until / --period are rejected', () => {
+    assert.throws(() => period(['--since']), /--since needs a value/);
+    assert.throws(() => period(['--since', '--until', '2026-10-08']), /--since needs a value/);
+    assert.throws(() => period(['--until=']), /--until needs a value/);
+    assert.throws(() => period(['--period']), /--period needs a value/);
+    assert.throws(() => period(['--since', 'last week']), /Invalid date "last week"/);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const TelegramDigestApp = require('../main');
+const TelegramConnection = require('../telegram-client');
+const ReportGenerator = require('../report-generator');
+const MessageExport = require('../message-export');
+const { DryRunProvider } = require('../llm-provider');
+const { FIXTURE, isolate, startStubLLM, fixtureWeek } = require('./helpers');
+
+isolate();
+
+let llm;
+
+before(async () => {
+    llm = await startStubLLM(() => '# Weekly Digest\n\n## Highlights\n- Offline run');
+    const app = new TelegramDigestApp({ connections: [new TelegramConnection({ replay: FIXTURE })] });
+    await app.exportMessages({ since: '2026-10-05', until: '2026-10-12', output: 'week.jsonl' });
+});
+
+after(() => llm.close());
+
+function offlineApp() {
+    return new TelegramDigestApp({ connections: [], reporter: new ReportGenerator(llm.provider, { redact: false }) });
+}
+
+test('exports the filtered week as JSONL with a header', async () => {
+    const { header, messages } = await MessageExport.read('week.jsonl');
+
+    assert.equal(header.kind, 'telegram-digest-export');
+    assert.equal(header.period.since, '2026-10-05T00:00:00.000Z');
+    assert.equal(header.messageCount, 9);
+    assert.equal(messages.length, 9);
+    assert.deepEqual([...new Set(header.chatCoverage.map(chat => chat.chatTitle))].sort(), ['Alice Smith', 'Family', 'Project Phoenix']);
+});
+
+test('digest --from-file uses the export header period', async () => {
+    const result = await offlineApp().runOfflineDigest({ fromFile: 'week.jsonl', format: 'json' });
+
+    assert.equal(result.messageCount, 9);
+    assert.equal(result.period.since, '2026-10-05T00:00:00.000Z');
+    assert.equal(result.period.until, '2026-10-12T00:00:00.000Z');
+    const model = JSON.parse(fs.readFileSync(result.files[0], 'utf8'));
+    assert.equal(model.totalMessages, 9);
+    assert.equal(model.filtersApplied, null, 'the export was filtered by rules this run does not know');
+    assert.match(model.digest, /Offline run/);
+});
+
+test('digest --from-file on plain message JSONL covers the span of its messages', async () => {
+    const { messages } = await MessageExport.read('week.jsonl');
+    fs.writeFileSync('plain.jsonl', messages.map(msg => JSON.stringify(msg)).join('\n') + '\n');
+
+    const result = await offlineApp().runOfflineDigest({ fromFile: 'plain.jsonl', format: 'json' });
+
+    assert.equal(result.messageCount, 9);
+    assert.equal(result.period.since, '2026-10-06T09:00:00.000Z');
+    assert.equal(result.period.until, '2026-10-10T18:10:01.000Z');
+});
+
+test('analysis handles exports far larger than the call stack', () => {
+    const start = Date.parse('2026-10-05T00:00:00Z');
+    const messages = Array.from({ length: 160000 }, (_, index) => ({
+        chatId: String(index % 50), chatTitle: `Chat ${index % 50}`, chatType: 'channel', messageId: index,
+        senderId: 'c', senderName: 'News', text: 'update', timestamp: new Date(start + index * 1000).toISOString()
+    }));
+
+    const analysis = new ReportGenerator(new DryRunProvider()).analyzeMessages(messages, fixtureWeek());
+
+    assert.equal(analysis.stats.oldestMessage.toISOString(), '2026-10-05T00:00:00.000Z');
+    assert.equal(analysis.stats.newestMessage.getTime(), start + 159999 * 1000);
+});
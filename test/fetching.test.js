@@ -0,0 +1,205 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const FilterRules = require('../filter-rules');
+const MessageFilter = require('../message-filter');
+const MessageFetcher = require('../message-fetcher');
+const SenderResolver = require('../sender-resolver');
+const TelegramReplayClient = require('../telegram-replay');
+const { FIXTURE, isolate, fixtureWeek } = require('./helpers');
+
+isolate();
+
+const connection = { retryApiCall: call => call() };
+
+async function fetchFixtureWeek() {
+    const client = await TelegramReplayClient.load(FIXTURE);
+    const me = await client.getMe();
+    const fetcher = new MessageFetcher(client, new MessageFilter(me, new FilterRules()), connection, fixtureWeek());
+    const messages = await fetcher.fetchMessages();
+    return { fetcher, messages };
+}
+
+test('fetches the period from included chats only', async () => {
+    const { fetcher, messages } = await fetchFixtureWeek();
+
+    assert.equal(messages.length, 9);
+    assert.deepEqual([...new Set(messages.map(message => message.chatTitle))].sort(), ['Alice Smith', 'Family', 'Project Phoenix']);
+    assert.ok(!messages.some(message => message.text === 'See you at the conference!'), 'message before the period');
+    assert.deepEqual(fetcher.chatCoverage.map(chat => [chat.chatTitle, chat.complete]), [
+        ['Family', true], ['Alice Smith', true], ['Project Phoenix', true]
+    ]);
+});
+
+test('turns Telegram messages into digest messages', async () => {
+    const { messages } = await fetchFixtureWeek();
+    const byText = text => messages.find(message => message.text.startsWith(text));
+
+    const dinner = byText('Dinner on Sunday');
+    assert.equal(dinner.senderName, 'Mom', 'sender without an attached entity is looked up');
+    assert.equal(dinner.chatType, 'group');
+
+    const reply = byText('Yes! I will bring dessert');
+    assert.equal(reply.isFromMe, true);
+    assert.equal(reply.senderName, 'ME');
+
+    const approval = byText('@dana_lee please approve');
+    assert.equal(approval.isMention, true);
+    assert.equal(approval.senderUsername, 'bobj');
+
+    assert.equal(byText('Great, I\'ll start QA').replyToId, 205);
+    assert.equal(messages.find(message => message.senderName === 'Carol White' && message.media).text, '[📷 Photo]');
+    assert.equal(byText('Hi Dana').chatType, 'dm');
+});
+
+test('pages by offsetId and stops at the start of the period', async () => {
+    const period = fixtureWeek();
+    const until = Math.floor(period.until.getTime() / 1000);
+    // 250 messages an hour apart, newest first: the second page reaches past the period start
+    const history = Array.from({ length: 250 }, (_, index) => ({ id: 1000 - index, date: until - 3600 * (index + 1) }));
+    const requests = [];
+    const client = {
+        getMessages: async (entity, { limit, offsetId }) => {
+            requests.push(offsetId);
+            const start = offsetId ? history.findIndex(message => message.id < offsetId) : 0;
+            return history.slice(start, start + limit);
+        }
+    };
+
+    const fetcher = new MessageFetcher(client, null, connection, period);
+    const result = await fetcher.fetchMessagesInPeriod({ id: 1 }, period);
+
+    assert.deepEqual(requests, [0, 901]);
+    assert.equal(result.complete, true);
+    assert.equal(result.messages.length, 7 * 24);
+    assert.ok(result.messages.every(message => message.date >= period.since.getTime() / 1000));
+});
+
+test('marks chats truncated at MAX_MESSAGES_PER_CHAT', async () => {
+    const period = fixtureWeek();
+    const until = Math.floor(period.until.getTime() / 1000);
+    const history = Array.from({ length: 300 }, (_, index) => ({ id: 1000 - index, date: until - 60 * (index + 1) }));
+    const client = {
+        getMessages: async (entity, { limit, offsetId }) => {
+            const start = offsetId ? history.findIndex(message => message.id < offsetId) : 0;
+            return history.slice(start, start + limit);
+        }
+    };
+
+    const fetcher = new MessageFetcher(client, null, connection, period);
+    fetcher.maxMessagesPerChat = 150;
+    const result = await fetcher.fetchMessagesInPeriod({ id: 1 }, period);
+
+    assert.equal(result.complete, false);
+    assert.equal(result.messages.length, 200);
+    assert.match(result.reason, /MAX_MESSAGES_PER_CHAT \(150\)/);
+});
+
+test('keeps the pages already fetched when a later page fails', async () => {
+    const period = fixtureWeek();
+    const until = Math.floor(period.until.getTime() / 1000);
+    const client = {
+        getMessages: async (entity, { offsetId }) => {
+            if (offsetId) throw new Error('CHANNEL_PRIVATE');
+            return Array.from({ length: 100 }, (_, index) => ({ id: 500 - index, date: until - 60 * (index + 1) }));
+        }
+    };
+
+    const result = await new MessageFetcher(client, null, connection, period).fetchMessagesInPeriod({ id: 1 }, period);
+
+    assert.equal(result.messages.length, 100);
+    assert.equal(result.complete, false);
+    assert.match(result.reason, /paging failed: CHANNEL_PRIVATE/);
+});
+
+function chatDialogs(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        entity: { className: 'User', id: String(3000 + index), firstName: `Friend ${index}` }
+    }));
+}
+
+test('fetches several chats at a time and reports them in dialog order', async () => {
+    const period = fixtureWeek();
+    const until = Math.floor(period.until.getTime() / 1000);
+    let running = 0;
+    let peak = 0;
+    const client = {
+        getMessages: async entity => {
+            peak = Math.max(peak, ++running);
+            // Later dialogs answer first
+            await new Promise(resolve => setTimeout(resolve, 60 - (Number(entity.id) - 3000) * 10));
+            running--;
+            return [{ id: 1, date: until - 60, senderId: entity.id, text: `hi from ${entity.id}` }];
+        }
+    };
+    const filter = new MessageFilter({ id: '999', username: 'dana_lee', firstName: 'Dana' }, new FilterRules());
+    const fetcher = new MessageFetcher(client, filter, connection, period);
+    fetcher.concurrency = 3;
+
+    const { messages, included } = await fetcher.fetchDialogs(chatDialogs(5));
+
+    assert.equal(included, 5);
+    assert.equal(peak, 3);
+    assert.deepEqual(messages.map(message => message.chatId), ['3000', '3001', '3002', '3003', '3004']);
+    assert.deepEqual(fetcher.chatCoverage.map(chat => chat.chatId), ['3000', '3001', '3002', '3003', '3004']);
+});
+
+test('skips chats that fail but stops when the session is gone', async () => {
+    const period = fixtureWeek();
+    const filter = new MessageFilter({ id: '999', username: 'dana_lee', firstName: 'Dana' }, new FilterRules());
+    const failWith = (code, errorMessage) => ({
+        getMessages: async entity => {
+            if (entity.id === '3001') throw Object.assign(new Error(errorMessage), { code, errorMessage });
+            return [];
+        }
+    });
+
+    const fetcher = new MessageFetcher(failWith(400, 'CHANNEL_PRIVATE'), filter, connection, period);
+    await fetcher.fetchDialogs(chatDialogs(3));
+    assert.deepEqual(fetcher.chatCoverage.map(chat => [chat.chatId, chat.complete, chat.reason]), [
+        ['3000', true, null], ['3001', false, 'CHANNEL_PRIVATE'], ['3002', true, null]
+    ]);
+
+    const revoked = new MessageFetcher(failWith(401, 'AUTH_KEY_UNREGISTERED'), filter, connection, period);
+    await assert.rejects(revoked.fetchDialogs(chatDialogs(3)), /AUTH_KEY_UNREGISTERED/);
+});
+
+test('senders gramjs cannot resolve do not hide the others in the batch', async () => {
+    const calls = [];
+    const client = {
+        getEntity: async ids => {
+            calls.push(ids);
+            if (ids.includes(4002)) throw new Error('Could not find the input entity for {"userId":"4002","className":"PeerUser"}');
+            return ids.map(id => ({ className: 'User', id: String(id), firstName: `Friend ${id}` }));
+        }
+    };
+    const senders = new SenderResolver(client, connection, 'senders.json');
+
+    await senders.prefetch([4001, 4002, 4003, 4004].map(id => ({ id, senderId: String(id) })));
+
+    assert.deepEqual(['4001', '4002', '4003', '4004'].map(id => senders.lookup(id).name), ['Friend 4001', 'User_4002', 'Friend 4003', 'Friend 4004']);
+    assert.deepEqual(calls, [[4001, 4002, 4003, 4004], [4001, 4002], [4001], [4002], [4003, 4004]]);
+
+    // Later chats of the same run do not ask for 4002 again
+    calls.length = 0;
+    await senders.prefetch([{ id: 5, senderId: '4002' }]);
+    assert.deepEqual(calls, []);
+});
+
+test('sender lookups go out in batches of 100 and keep channel senders apart from users', async () => {
+    const calls = [];
+    const client = {
+        getEntity: async ids => {
+            calls.push(ids);
+            return ids.map(id => id < 0 ? { className: 'Channel', id: String(id), title: `Channel ${id}` } : { className: 'User', id: String(id), firstName: `Friend ${id}` });
+        }
+    };
+    const senders = new SenderResolver(client, connection, 'senders.json');
+    const users = Array.from({ length: 250 }, (_, index) => ({ id: index, senderId: String(5000 + index) }));
+
+    await senders.prefetch([...users, { id: 999, fromId: { className: 'PeerChannel', channelId: '777' } }]);
+
+    assert.deepEqual(calls.map(ids => ids.length), [100, 100, 51]);
+    assert.equal(calls[2][50], -100777);
+    assert.equal(senders.lookup('-100777').name, 'Channel -100777');
+    assert.equal(senders.lookup('5249').name, 'Friend 5249');
+});
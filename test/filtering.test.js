@@ -0,0 +1,223 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const FilterRules = require('../filter-rules');
+const MessageFilter = require('../message-filter');
+const ChatFolders = require('../chat-folders');
+const TelegramReplayClient = require('../telegram-replay');
+const TelegramConnection = require('../telegram-client');
+const TelegramDigestApp = require('../main');
+const ChatUtils = require('../chat-utils');
+const { FIXTURE, isolate } = require('./helpers');
+
+isolate();
+
+const connection = { retryApiCall: call => call() };
+
+async function fixtureDialogs() {
+    const client = await TelegramReplayClient.load(FIXTURE);
+    const me = await client.getMe();
+    const dialogs = await client.getDialogs({ limit: 100, archived: false, ignorePinned: false, offsetId: 0 });
+    return { client, me, dialogs };
+}
+
+async function folderFilter(config) {
+    const { client, me, dialogs } = await fixtureDialogs();
+    const filter = new MessageFilter(me, new FilterRules(config));
+    await filter.buildFolderCache(client, connection);
+    return { filter, dialogs };
+}
+
+function decisions(filter, dialogs) {
+    return Object.fromEntries(dialogs.map(dialog => [ChatUtils.getChatTitle(dialog.entity), filter.explainDialog(dialog)]));
+}
+
+test('built-in rules keep people and small groups, drop channels, bots and crypto groups', async () => {
+    const { me, dialogs } = await fixtureDialogs();
+    const result = decisions(new MessageFilter(me, new FilterRules()), dialogs);
+
+    assert.equal(result['Family'].include, true);
+    assert.equal(result['Alice Smith'].include, true);
+    assert.equal(result['Project Phoenix'].include, true);
+    assert.deepEqual(result['Tech News Daily'], { include: false, rule: 'built-in: channels' });
+    assert.deepEqual(result['WeatherBot'], { include: false, rule: 'built-in: bots' });
+    assert.deepEqual(result['Crypto Pump Signals'], { include: false, rule: 'built-in: crypto/spam keywords' });
+});
+
+test('research, university and study groups are not mistaken for crypto groups', () => {
+    const rules = new FilterRules();
+    const group = title => ({ entity: { className: 'Chat', id: '7001', title, participantsCount: 12 } });
+
+    for (const title of ['Robotics Labs', 'Uni Friends', 'Link Study Group', 'Win Conference Team']) {
+        assert.deepEqual(rules.evaluateDialog(group(title)), { include: true, rule: 'default: include' }, title);
+    }
+    assert.equal(rules.evaluateDialog(group('Bitcoin Signals')).rule, 'built-in: crypto/spam keywords');
+});
+
+test('allow entries and ordered rules override the built-in rules', async () => {
+    const { me, dialogs } = await fixtureDialogs();
+    const rules = new FilterRules({
+        allow: [{ name: 'news I read', title: '^Tech News' }],
+        rules: [
+            { name: 'no big groups', action: 'exclude', type: 'group', minMembers: 5 },
+            { name: 'family first', action: 'include', title: 'Family' }
+        ]
+    });
+    const result = decisions(new MessageFilter(me, rules), dialogs);
+
+    assert.deepEqual(result['Tech News Daily'], { include: true, rule: 'allow: news I read' });
+    assert.deepEqual(result['Project Phoenix'], { include: false, rule: 'no big groups' });
+    assert.deepEqual(result['Family'], { include: true, rule: 'family first' });
+    assert.equal(result['WeatherBot'].include, false);
+});
+
+test('a default of exclude only lets matching chats through', async () => {
+    const { me, dialogs } = await fixtureDialogs();
+    const rules = new FilterRules({ useDefaults: false, default: 'exclude', rules: [{ action: 'include', type: 'dm' }] });
+    const included = dialogs.filter(dialog => new MessageFilter(me, rules).shouldIncludeDialog(dialog));
+
+    assert.deepEqual(included.map(dialog => ChatUtils.getChatTitle(dialog.entity)), ['Alice Smith']);
+});
+
+test('message rules drop spam, emoji floods and forwards from others in groups', () => {
+    const filter = new MessageFilter({ id: '999', username: 'dana_lee', firstName: 'Dana' }, new FilterRules());
+    const message = (text, extra = {}) => ({ text, senderId: '1001', ...extra });
+
+    assert.equal(filter.shouldIncludeMessage(message('Lunch at noon?'), 'group'), true);
+    assert.equal(filter.shouldIncludeMessage(message('BUY NOW before it is gone'), 'group'), false);
+    assert.equal(filter.shouldIncludeMessage(message('😀😀😀😀😀😀'), 'dm'), false);
+    assert.equal(filter.shouldIncludeMessage(message('read this', { fwdFrom: {} }), 'group'), false);
+    assert.equal(filter.shouldIncludeMessage(message('read this', { fwdFrom: {}, senderId: '999' }), 'group'), true);
+    assert.equal(filter.shouldIncludeMessage(message('read this', { fwdFrom: {} }), 'dm'), true);
+    assert.equal(filter.shouldIncludeMessage(message('   '), 'dm'), false);
+});
+
+test('mentions match the username or the full name', () => {
+    const filter = new MessageFilter({ id: '999', username: 'dana_lee', firstName: 'Dana', lastName: 'Lee' }, new FilterRules());
+
+    assert.ok(filter.checkMention('@dana_lee can you review?'));
+    assert.ok(filter.checkMention('ask dana lee'));
+    assert.ok(!filter.checkMention('ask Dana'));
+});
+
+test('rule files are loaded from the working directory and validated', () => {
+    fs.writeFileSync('filters.yaml', 'rules:\n  - name: mute phoenix\n    action: exclude\n    title: Phoenix\n');
+    try {
+        const rules = FilterRules.load();
+        assert.equal(rules.evaluateDialog({ entity: { className: 'Channel', megagroup: true, id: '2001', title: 'Project Phoenix' } }).rule, 'mute phoenix');
+        assert.equal(rules.description, 'filters.yaml: 1 rule; built-in exclusions (channels, bots, crypto/spam groups)');
+    } finally {
+        fs.unlinkSync('filters.yaml');
+    }
+
+    const folders = new FilterRules({ useDefaults: false, default: 'exclude', allow: [{ chatId: '1' }], folders: { include: ['Work'], exclude: 'Muted' } }, '/x/filters.json');
+    assert.equal(folders.description, 'filters.json: 1 allowed chat, excluding folders Muted, only folders Work; other chats excluded');
+    assert.equal(new FilterRules({ useDefaults: false }).description, 'No filters file: no rules');
+
+    assert.throws(() => FilterRules.load('missing.json'), /not found: missing.json/);
+    assert.throws(() => new FilterRules({ rules: [{ action: 'drop' }] }), /Invalid action "drop"/);
+    assert.throws(() => new FilterRules({ rules: [{ title: '(' }] }), /Invalid regex/);
+    assert.throws(() => new FilterRules({ rules: [{ name: 'drop crypto', action: 'exclude', titel: 'crypto' }] }),
+        /Unknown key "titel" in filter drop crypto/);
+    assert.throws(() => new FilterRules({ rules: [{ action: 'exclude', type: 'private' }] }), /Invalid type "private" in filter rule #1/);
+    assert.throws(() => new FilterRules({ rules: [{ action: 'exclude', minMembers: '50' }] }), /Invalid minMembers "50"/);
+    assert.throws(() => new FilterRules({ messageRules: [{ forwarded: 'yes' }] }), /Invalid forwarded "yes" in filter message rule #1/);
+
+    const sticky = new FilterRules({ rules: [{ name: 'phoenix', action: 'exclude', title: 'phoenix', flags: 'gi' }] });
+    const phoenix = { entity: { className: 'Channel', megagroup: true, id: '2001', title: 'Project Phoenix' } };
+    assert.equal(sticky.evaluateDialog(phoenix).rule, 'phoenix');
+    assert.equal(sticky.evaluateDialog(phoenix).rule, 'phoenix', 'matching does not depend on the previous call');
+});
+
+test('Telegram folders are matched by peers and type flags', async () => {
+    const { filter, dialogs } = await folderFilter({});
+    const folders = Object.fromEntries(dialogs.map(dialog => [ChatUtils.getChatTitle(dialog.entity), filter.getDialogFolders(dialog)]));
+
+    assert.deepEqual(folders, {
+        'Family': ['Family'],
+        'Alice Smith': ['Work'],
+        'Project Phoenix': ['Work'],
+        'Tech News Daily': [],
+        'WeatherBot': ['Noise'],
+        'Crypto Pump Signals': ['Noise']
+    });
+    assert.deepEqual(filter.getDialogFolders({ ...dialogs[0], archived: true }), ['Family', 'Archived']);
+});
+
+test('folder flags follow Telegram: contacts, muted, read and archived chats', () => {
+    const { folders: [folder] } = ChatFolders.fromDialogFilters([{
+        className: 'DialogFilter', id: 5, title: 'Friends', contacts: true, groups: true,
+        excludeMuted: true, excludeRead: true, excludeArchived: true,
+        pinnedPeers: [], includePeers: [{ className: 'InputPeerUser', userId: '77' }], excludePeers: [{ className: 'InputPeerChat', chatId: '88' }]
+    }]);
+    const dialog = (entity, extra = {}) => ({ entity, unreadCount: 1, ...extra });
+    const contact = { className: 'User', id: '10', firstName: 'Sam', contact: true };
+
+    assert.equal(folder.title, 'Friends');
+    assert.ok(ChatFolders.contains(folder, dialog(contact)));
+    assert.ok(!ChatFolders.contains(folder, dialog({ ...contact, contact: false })), 'non-contacts are not in the folder');
+    assert.ok(!ChatFolders.contains(folder, dialog(contact, { unreadCount: 0 })), 'read chats are excluded');
+    assert.ok(!ChatFolders.contains(folder, dialog(contact, { archived: true })), 'archived chats are excluded');
+    const muted = { dialog: { notifySettings: { muteUntil: Math.floor(Date.now() / 1000) + 3600 } } };
+    assert.ok(!ChatFolders.contains(folder, dialog(contact, muted)), 'muted chats are excluded');
+    assert.ok(ChatFolders.contains(folder, dialog({ className: 'User', id: '77', firstName: 'Pat' }, { unreadCount: 0 })), 'included peers skip the flags');
+    assert.ok(!ChatFolders.contains(folder, dialog({ className: 'Chat', id: '88', title: 'Club', participantsCount: 3 })), 'excluded peers win');
+    assert.ok(ChatFolders.contains(folder, dialog({ className: 'Chat', id: '89', title: 'Club', participantsCount: 3 })));
+    assert.ok(!ChatFolders.contains(folder, dialog({ className: 'Channel', id: '77', title: 'Same id, other peer type' })));
+});
+
+test('folders.include keeps only chats from those folders', async () => {
+    const { filter, dialogs } = await folderFilter({ folders: { include: ['work', 'Clients'] } });
+    const result = decisions(filter, dialogs);
+
+    assert.deepEqual(result['Alice Smith'], { include: true, rule: 'folders.include: work, Clients' });
+    assert.deepEqual(result['Project Phoenix'], { include: true, rule: 'folders.include: work, Clients' });
+    assert.deepEqual(result['Family'], { include: false, rule: 'folders.include: not in work, Clients' });
+    assert.equal(result['WeatherBot'].include, false);
+    assert.match(console.warn.mock.calls.at(-1).arguments[0], /folders you do not have: clients \(your folders: Work, Family, Noise\)/);
+});
+
+test('folders.exclude drops a folder before the other rules run', async () => {
+    const { filter, dialogs } = await folderFilter({
+        allow: [{ title: 'Crypto Pump' }],
+        folders: { exclude: 'Noise' },
+        rules: [{ name: 'bots welcome', action: 'include', type: 'bot' }]
+    });
+    const result = decisions(filter, dialogs);
+
+    assert.deepEqual(result['WeatherBot'], { include: false, rule: 'folders.exclude: Noise' });
+    assert.equal(result['Crypto Pump Signals'].include, true, 'allow entries still win');
+    assert.equal(result['Family'].include, true);
+    assert.throws(() => new FilterRules({ folders: ['Work'] }), /Invalid "folders"/);
+});
+
+test('folder rules fail the run when the folders cannot be loaded', async () => {
+    const client = { invoke: async () => { throw new Error('FILTER_ID_INVALID'); } };
+    const me = { id: '999' };
+
+    await assert.rejects(new MessageFilter(me, new FilterRules({ folders: { include: ['Work'] } })).buildFolderCache(client, connection),
+        /Could not load Telegram folders .*FILTER_ID_INVALID/);
+
+    const filter = new MessageFilter(me, new FilterRules());
+    await filter.buildFolderCache(client, connection);
+    assert.deepEqual(filter.getDialogFolders({ entity: { className: 'User', id: '1' } }), []);
+});
+
+test('list-chats shows each chat\'s folders', async () => {
+    const app = new TelegramDigestApp({ connections: [new TelegramConnection({ replay: FIXTURE })] });
+    try {
+        const { chats } = await app.previewChats();
+        assert.deepEqual(chats.map(chat => [chat.title, chat.folders]), [
+            ['Family', ['Family']], ['Alice Smith', ['Work']], ['Project Phoenix', ['Work']],
+            ['Tech News Daily', []], ['WeatherBot', ['Noise']], ['Crypto Pump Signals', ['Noise']]
+        ]);
+
+        console.log.mock.resetCalls();
+        await app.listChats();
+        const output = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+        assert.match(output, /Type: dm \| Members: N\/A \| Folders: Work \| Rule: default: include/);
+        assert.match(output, /Type: channel \| Members: 12000 \| Folders: - \| Rule: built-in: channels/);
+    } finally {
+        await app.disconnect();
+    }
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+const { OpenAICompatibleProvider } = require('../llm-provider');
+const DigestPeriod = require('../digest-period');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'telegram-week.json');
+
+// Settings from a developer's .env that would change what the pipeline does
+const ISOLATED_ENV = [
+    'DELIVER', 'REPORT_FORMATS', 'FILTERS_FILE', 'INCLUDE_ARCHIVED', 'MESSAGE_STORE', 'REDACT_PII',
+    'REDACTION_FILE', 'ACTION_ITEMS', 'ACTION_ITEMS_CLOSE_ON', 'TRENDS', 'STT_COMMAND', 'DIGEST_PERIOD', 'LLM_PROVIDER',
+    'REPORTS_KEEP', 'REPORTS_MAX_AGE_DAYS', 'TELEGRAM_SESSION', 'SESSION_FILE', 'DEBUG_FILTERING',
+    'DEBUG_FETCHING', 'MAX_MESSAGES_PER_CHAT', 'PROMPT_TOKEN_BUDGET', 'CHUNK_TOKEN_BUDGET',
+    'MAX_PROMPT_MENTIONS'
+];
+
+/**
+ * Runs the rest of the test file in a fresh temporary directory with its own store and
+ * reports, without the settings of a local .env and without console output
+ * @returns {string} Temporary directory
+ */
+function isolate() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-digest-test-'));
+    ISOLATED_ENV.forEach(name => delete process.env[name]);
+    process.env.STORE_DIR = path.join(dir, 'data');
+    process.env.REPORTS_DIR = path.join(dir, 'reports');
+    // filters.json and friends are looked up in the working directory
+    process.chdir(dir);
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    return dir;
+}
+
+/**
+ * The week recorded in the fixture
+ */
+function fixtureWeek() {
+    return new DigestPeriod('weekly', new Date('2026-10-05T00:00:00Z'), new Date('2026-10-12T00:00:00Z'));
+}
+
+/**
+ * Local OpenAI-compatible endpoint answering with respond({ system, prompt })
+ * @param {Function} respond - Returns the completion text
+ * @returns {Promise<Object>} { provider, requests, close }
+ */
+async function startStubLLM(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { messages } = JSON.parse(body);
+            const request = {
+                system: messages.find(message => message.role === 'system').content,
+                prompt: messages.find(message => message.role === 'user').content
+            };
+            requests.push(request);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: respond(request) } }] }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const provider = new OpenAICompatibleProvider('stub', {
+        model: 'stub-model',
+        apiUrl: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+        temperature: 0,
+        maxTokens: 500,
+        timeout: 5000
+    }, { requiresApiKey: false });
+
+    return { provider, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = { FIXTURE, isolate, fixtureWeek, startStubLLM };
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Profiles = require('../profiles');
+const { isolate } = require('./helpers');
+
+isolate();
+
+const profiles = new Profiles({
+    profiles: {
+        work: { PHONE_NUMBER: '+15550100' },
+        legacy: { TELEGRAM_SESSION: 'legacy-session' }
+    }
+});
+
+test('profiles do not inherit the session of .env', () => {
+    process.env.TELEGRAM_SESSION = 'personal-session';
+    process.env.SESSION_FILE = 'personal-session.json';
+
+    const work = profiles.account('work');
+    assert.equal(work.session, undefined);
+    assert.equal(work.sessionFile, path.join(process.env.STORE_DIR, 'work', 'session.json'));
+    assert.equal(work.phoneNumber, '+15550100');
+    assert.equal(profiles.account('legacy').session, 'legacy-session');
+
+    profiles.apply('work');
+    assert.equal(process.env.TELEGRAM_SESSION, undefined);
+    assert.equal(process.env.SESSION_FILE, undefined);
+});
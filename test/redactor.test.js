@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Redactor = require('../redactor');
+const { isolate } = require('./helpers');
+
+isolate();
+
+const message = (senderId, senderName, text) => ({ senderId, senderName, text, chatId: 'g1', chatTitle: 'Team', chatType: 'group' });
+
+test('ordinary words that equal a first name survive redaction', () => {
+    const redactor = new Redactor();
+    const [, , third] = redactor.redactMessages([
+        message('1', 'Will Smith', 'hi'),
+        message('2', 'May Lee', 'hello'),
+        message('3', 'Alice Brown', 'I will send the report; may be late. Will Smith and Alice know.')
+    ]);
+
+    assert.match(third.text, /^I will send the report; may be late\. Person_[0-9A-F]{6} and Person_[0-9A-F]{6} know\.$/);
+    assert.equal(redactor.restore(third.text), 'I will send the report; may be late. Will Smith and Alice Brown know.');
+    assert.equal(redactor.redactText('alice'), 'alice', 'names match case-sensitively');
+});
+
+test('colliding pseudonyms are re-hashed so each maps back to its own person', t => {
+    const pseudonym = Redactor.pseudonym;
+    t.mock.method(Redactor, 'pseudonym', key => (String(key).includes('#') ? pseudonym(key) : 'Person_C0FFEE'));
+    const redactor = new Redactor();
+
+    const ann = redactor.addPerson('1', 'Ann Clark');
+    const ben = redactor.addPerson('2', 'Ben Hall');
+
+    assert.equal(ann, 'Person_C0FFEE');
+    assert.notEqual(ben, ann);
+    assert.equal(redactor.restore(`${ann} asked ${ben}`), 'Ann Clark asked Ben Hall');
+    assert.equal(redactor.addPerson('1', 'Ann Clark'), ann, 'stable for the same person');
+});
+
+test('custom patterns mask every match, whatever their flags', () => {
+    const redactor = new Redactor({ patterns: [{ name: 'contract', regex: 'CNT-\\d{6}', flags: 'i' }] });
+
+    assert.equal(redactor.redactText('cnt-123456 replaces CNT-654321'), '[CONTRACT_1] replaces [CONTRACT_2]');
+});
@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const TelegramDigestApp = require('../main');
+const TelegramConnection = require('../telegram-client');
+const ReportGenerator = require('../report-generator');
+const ReportArchive = require('../report-archive');
+const ActionItemStore = require('../action-item-store');
+const { LLMProvider, createProvider } = require('../llm-provider');
+const { FIXTURE, isolate, startStubLLM } = require('./helpers');
+
+isolate();
+
+const RANGE = { since: '2026-10-05', until: '2026-10-12', format: 'md,json' };
+
+let llm;
+
+// Action item requests get Alice's unanswered budget question back as an item; digests echo the
+// first email placeholder so restoring redacted values can be checked
+function respond({ system, prompt }) {
+    if (system.includes('You extract action items')) {
+        const line = prompt.split('\n').find(candidate => candidate.includes('budget review'));
+        const ref = line ? parseInt(line.slice(1)) : 0;
+        return JSON.stringify(line ? [{ ref, summary: 'Update Alice on the budget review', dueDate: null, confidence: 0.9 }] : []);
+    }
+    const email = prompt.match(/\[EMAIL_\d+\]/)?.[0] || 'the shared inbox';
+    return `# Weekly Digest\n\n## Highlights\n- Staging deploy finished; numbers are with ${email}.`;
+}
+
+async function runDigest(reporterOptions = {}) {
+    const app = new TelegramDigestApp({
+        connections: [new TelegramConnection({ replay: FIXTURE })],
+        reporter: new ReportGenerator(llm.provider, reporterOptions)
+    });
+    try {
+        return await app.runDigest(RANGE);
+    } finally {
+        await app.disconnect();
+    }
+}
+
+before(async () => {
+    llm = await startStubLLM(respond);
+});
+
+after(() => llm.close());
+
+test('generates and saves a digest from a replayed week', async () => {
+    llm.requests.length = 0;
+    const result = await runDigest({ redact: false });
+
+    assert.equal(result.messageCount, 9);
+    assert.deepEqual(result.files.map(file => file.split('.').pop()).sort(), ['json', 'md']);
+    result.files.forEach(file => assert.ok(fs.existsSync(file), `${file} was written`));
+
+    const model = JSON.parse(fs.readFileSync(result.files.find(file => file.endsWith('.json')), 'utf8'));
+    assert.equal(model.totalMessages, 9);
+    assert.equal(model.period.since, '2026-10-05T00:00:00.000Z');
+    assert.deepEqual(model.chats.map(chat => chat.chatTitle), ['Project Phoenix', 'Alice Smith', 'Family']);
+    assert.ok(model.chatCoverage.every(chat => chat.complete));
+    assert.equal(model.llm.provider, 'stub');
+    assert.equal(model.filtersApplied, 'No filters file: built-in exclusions (channels, bots, crypto/spam groups)');
+    assert.match(model.digest, /Staging deploy finished/);
+    assert.match(model.digest, /## Awaiting My Reply/);
+
+    assert.equal(model.actionItems.length, 1);
+    assert.equal(model.actionItems[0].summary, 'Update Alice on the budget review');
+    assert.equal(model.actionItems[0].chatTitle, 'Alice Smith');
+});
+
+test('the digest prompt only contains included chats', async () => {
+    llm.requests.length = 0;
+    await runDigest({ redact: false });
+
+    const digestRequest = llm.requests.find(request => !request.system.includes('You extract action items'));
+    assert.match(digestRequest.prompt, /Project Phoenix/);
+    assert.match(digestRequest.prompt, /Dinner on Sunday at 6\?/);
+    assert.match(digestRequest.prompt, /\[📷 Photo\]/);
+    assert.doesNotMatch(digestRequest.prompt, /Tech News Daily|WeatherBot|Crypto Pump Signals/);
+    assert.doesNotMatch(digestRequest.prompt, /See you at the conference/);
+});
+
+test('redaction keeps names and emails away from the LLM and restores them in the report', async () => {
+    llm.requests.length = 0;
+    const result = await runDigest({ redact: true });
+
+    assert.ok(llm.requests.length > 0);
+    llm.requests.forEach(request => {
+        assert.doesNotMatch(request.prompt, /alice@example\.com/);
+        assert.doesNotMatch(request.prompt, /Alice Smith/);
+    });
+
+    const markdown = fs.readFileSync(result.files.find(file => file.endsWith('.md')), 'utf8');
+    assert.match(markdown, /numbers are with alice@example\.com/);
+});
+
+test('the archive index is re-read before every change', async () => {
+    const model = id => ({ timestamp: new Date().toISOString(), period: { since: '2026-10-05', until: '2026-10-12', range: id }, totalMessages: 1 });
+    const longLived = new ReportArchive('archive-test');
+    await longLived.add('first', model('first'), ['json']);
+
+    // Another process adds a report and prunes the first one
+    const other = new ReportArchive('archive-test');
+    await other.add('second', model('second'), ['json']);
+    await other.add('third', model('third'), ['json']);
+    await other.prune({ keep: 2 });
+    await other.save();
+
+    await longLived.add('fourth', model('fourth'), ['json']);
+    assert.deepEqual((await new ReportArchive('archive-test').list()).map(entry => entry.id), ['fourth', 'third', 'second']);
+    assert.deepEqual(fs.readdirSync('archive-test'), ['index.json']);
+});
+
+test('action items close on a reply to their message, or on any later message in a DM', () => {
+    const store = new ActionItemStore('action-items-test.json');
+    store.add([
+        { chatId: '1001', chatType: 'dm', messageId: 10, messageDate: '2026-10-06T09:00:00Z', summary: 'Send the slides' },
+        { chatId: '2001', chatType: 'group', messageId: 20, messageDate: '2026-10-06T09:00:00Z', summary: 'Review the PR' },
+        { chatId: '2001', chatType: 'group', messageId: 21, messageDate: '2026-10-06T09:00:00Z', summary: 'Book the room' }
+    ]);
+    const mine = (chatId, timestamp, replyToId = null) => ({ chatId, timestamp, replyToId, isFromMe: true });
+
+    const closed = store.closeReplied([
+        mine('1001', '2026-10-06T10:00:00Z'),
+        mine('2001', '2026-10-06T10:00:00Z'),
+        mine('2001', '2026-10-07T08:00:00Z', 21)
+    ]);
+
+    assert.deepEqual(closed.map(item => [item.summary, item.closedAt]), [
+        ['Send the slides', '2026-10-06T10:00:00.000Z'],
+        ['Book the room', '2026-10-07T08:00:00.000Z']
+    ]);
+    assert.equal(store.items[1].status, 'open');
+
+    const anyMessage = new ActionItemStore('action-items-test.json', 'message');
+    anyMessage.add([{ chatId: '2001', chatType: 'group', messageId: 20, messageDate: '2026-10-06T09:00:00Z', summary: 'Review the PR' }]);
+    assert.equal(anyMessage.closeReplied([mine('2001', '2026-10-06T10:00:00Z')]).length, 1);
+});
+
+test('provider temperatures fall back to the provider default when empty or invalid', () => {
+    const temperature = (name, value) => {
+        process.env[`${name.toUpperCase()}_TEMPERATURE`] = value;
+        try {
+            return createProvider(name).temperature;
+        } finally {
+            delete process.env[`${name.toUpperCase()}_TEMPERATURE`];
+        }
+    };
+
+    assert.equal(temperature('openai', '0.9'), 0.9);
+    assert.equal(temperature('openai', ''), 0.3);
+    assert.equal(temperature('openai', 'warm'), 0.3);
+    assert.match(console.warn.mock.calls.at(-1).arguments[0], /Ignoring OPENAI_TEMPERATURE=warm/);
+    assert.equal(temperature('anthropic', '1.5'), 0.3);
+    assert.equal(LLMProvider.configFromEnv('LOCAL', { temperature: 0.7 }).temperature, 0.7);
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { errors } = require('telegram');
+const RequestScheduler = require('../request-scheduler');
+const { isolate } = require('./helpers');
+
+isolate();
+
+const rpcError = (code, message) => Object.assign(new Error(message), { code, errorMessage: message });
+
+function floodWait(seconds) {
+    const error = new errors.FloodWaitError({ request: null, capture: seconds });
+    error.seconds = seconds; // Fractions keep the tests fast; Telegram sends whole seconds
+    return error;
+}
+
+test('classifies Telegram errors', () => {
+    assert.equal(RequestScheduler.classify(new errors.FloodWaitError({ request: null, capture: 30 })), 'flood');
+    assert.equal(RequestScheduler.classify(rpcError(400, 'CHANNEL_PRIVATE')), 'fatal');
+    assert.equal(RequestScheduler.classify(rpcError(403, 'CHAT_WRITE_FORBIDDEN')), 'fatal');
+    assert.equal(RequestScheduler.classify(rpcError(500, 'INTERNAL')), 'retryable');
+    assert.equal(RequestScheduler.classify(rpcError(-503, 'Timeout')), 'retryable');
+    assert.equal(RequestScheduler.classify(new Error('Not connected')), 'retryable');
+    assert.equal(RequestScheduler.classify(new Error('Could not find the input entity for {"userId":"42","className":"PeerUser"}')), 'fatal');
+
+    assert.ok(RequestScheduler.isAuthError(rpcError(401, 'AUTH_KEY_UNREGISTERED')));
+    assert.ok(RequestScheduler.isAuthError(rpcError(401, 'SESSION_REVOKED')));
+    assert.ok(!RequestScheduler.isAuthError(rpcError(400, 'CHANNEL_PRIVATE')));
+});
+
+test('sits out a FLOOD_WAIT and slows down', async () => {
+    const scheduler = new RequestScheduler({ minInterval: 10 });
+    let calls = 0;
+    const started = Date.now();
+
+    const result = await scheduler.run(async () => {
+        if (++calls === 1) throw floodWait(0.2);
+        return 'ok';
+    });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 2);
+    assert.ok(Date.now() - started >= 190, 'waited for the flood wait');
+    assert.equal(scheduler.interval, 18, 'doubled by the flood wait, eased by the success');
+    assert.deepEqual(scheduler.stats, { calls: 2, retries: 1, floodWaits: 1, floodWaitSeconds: 0.2 });
+});
+
+test('a flood wait pauses calls that are already queued', async () => {
+    const scheduler = new RequestScheduler({ minInterval: 10 });
+    const starts = [];
+    let flooded = false;
+
+    await Promise.all([0, 1, 2].map(index => scheduler.run(async () => {
+        starts.push({ index, at: Date.now() });
+        if (index === 0 && !flooded) {
+            flooded = true;
+            throw floodWait(0.15);
+        }
+    })));
+
+    const first = starts[0].at;
+    const later = starts.slice(1);
+    assert.equal(later.length, 3);
+    assert.ok(later.every(start => start.at - first >= 140), 'no call started during the pause');
+});
+
+test('fails at once on errors that cannot succeed', async () => {
+    const scheduler = new RequestScheduler({ minInterval: 1 });
+    let calls = 0;
+
+    await assert.rejects(scheduler.run(async () => {
+        calls++;
+        throw rpcError(400, 'CHANNEL_PRIVATE');
+    }), /CHANNEL_PRIVATE/);
+    assert.equal(calls, 1);
+});
+
+test('refuses flood waits longer than MAX_FLOOD_WAIT_SECONDS', async () => {
+    const scheduler = new RequestScheduler({ minInterval: 1, maxFloodWait: 60 });
+
+    await assert.rejects(scheduler.run(async () => { throw floodWait(3600); }),
+        /asked to wait 3600s .* more than MAX_FLOOD_WAIT_SECONDS=60/);
+    assert.equal(scheduler.pausedUntil, 0);
+});
+
+test('flood waits have their own budget, bounded by MAX_FLOOD_WAIT_SECONDS', async () => {
+    const scheduler = new RequestScheduler({ minInterval: 1, maxRetries: 2, retryDelay: 1, maxFloodWait: 0.35 });
+    let calls = 0;
+
+    // The network error leaves one retry; the three flood waits after it do not use it up
+    const result = await scheduler.run(async () => {
+        calls++;
+        if (calls === 1) throw new Error('Not connected');
+        if (calls <= 4) throw floodWait(0.1);
+        return 'ok';
+    });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 5);
+
+    await assert.rejects(scheduler.run(async () => { throw floodWait(0.2); }),
+        /asked to wait 0\.2s .* after 0\.2s of earlier waits, more than MAX_FLOOD_WAIT_SECONDS=0\.35/);
+});
+
+test('retries network errors with backoff up to maxRetries', async () => {
+    const scheduler = new RequestScheduler({ minInterval: 1, retryDelay: 10 });
+    let calls = 0;
+
+    await assert.rejects(scheduler.run(async () => {
+        calls++;
+        throw new Error('Not connected');
+    }), /Not connected/);
+    assert.equal(calls, 3);
+
+    calls = 0;
+    assert.equal(await scheduler.run(async () => (++calls < 2 ? Promise.reject(rpcError(500, 'INTERNAL')) : calls)), 2);
+});
+
+test('spaces call starts and recovers the interval on success', async () => {
+    const scheduler = new RequestScheduler({ minInterval: 30 });
+    scheduler.interval = 60;
+    const starts = [];
+
+    await Promise.all([0, 1, 2].map(() => scheduler.run(async () => starts.push(Date.now()))));
+
+    // Slots are fixed when the calls queue up, so a late start does not push back the next one
+    assert.ok(starts[1] - starts[0] >= 55 && starts[2] - starts[0] >= 115);
+    assert.equal(scheduler.interval, 43);
+});
+
+test('map keeps order and bounds concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await RequestScheduler.map([50, 10, 30, 5, 20], 2, async (ms, index) => {
+        peak = Math.max(peak, ++running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+});
+
+test('map stops starting work after a failure', async () => {
+    const started = [];
+    await assert.rejects(RequestScheduler.map([1, 2, 3, 4, 5], 1, async item => {
+        started.push(item);
+        if (item === 2) throw new Error('AUTH_KEY_UNREGISTERED');
+    }), /AUTH_KEY_UNREGISTERED/);
+
+    assert.deepEqual(started, [1, 2]);
+});
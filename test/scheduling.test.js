@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CronSchedule = require('../cron-schedule');
+const DigestDaemon = require('../digest-daemon');
+const RunHistory = require('../run-history');
+const { isolate } = require('./helpers');
+
+isolate();
+
+// Local time, like the schedules themselves; 2026-10-19 is a Monday
+const FROM = new Date(2026, 9, 19, 12, 0);
+const next = (expression, from = FROM) => new CronSchedule(expression).next(from);
+
+test('either day field may match when both are restricted', () => {
+    const schedule = new CronSchedule('0 8 1 * MON');
+    const first = schedule.next(FROM);
+    assert.deepEqual(first, new Date(2026, 9, 26, 8, 0));
+    assert.deepEqual(schedule.next(first), new Date(2026, 10, 1, 8, 0), 'the 1st is a Sunday');
+});
+
+test('*/n in a day field leaves it unrestricted, as in Vixie cron', () => {
+    assert.deepEqual(next('0 8 */2 * MON'), new Date(2026, 10, 9, 8, 0), 'odd days that are Mondays');
+    assert.deepEqual(next('0 8 */2 * *'), new Date(2026, 9, 21, 8, 0));
+});
+
+test('steps, ranges, names and 7 as Sunday', () => {
+    assert.deepEqual(next('*/15 9-17/4 * * *', new Date(2026, 9, 19, 10, 50)), new Date(2026, 9, 19, 13, 0));
+    assert.deepEqual(next('5/20 * * * *', new Date(2026, 9, 19, 10, 30)), new Date(2026, 9, 19, 10, 45));
+    assert.deepEqual(next('30 6 * JAN-MAR SAT,SUN'), new Date(2027, 0, 2, 6, 30));
+    assert.deepEqual(next('0 0 * * 7'), new Date(2026, 9, 25, 0, 0));
+    assert.deepEqual(next('0 0 * * 5-7'), new Date(2026, 9, 23, 0, 0));
+    assert.deepEqual(next('@monthly'), new Date(2026, 10, 1, 0, 0));
+});
+
+test('schedules that never fire or do not parse are rejected', () => {
+    assert.throws(() => next('0 0 30 FEB *'), /Schedule "0 0 30 FEB \*" never fires/);
+    assert.throws(() => new CronSchedule('0 8 * *'), /expected 5 fields/);
+    assert.throws(() => new CronSchedule('0 25 * * *'), /Invalid hour "25"/);
+    assert.throws(() => new CronSchedule('*/0 * * * *'), /Invalid step/);
+});
+
+function daemon(runDigest, retryDelayMs) {
+    const app = { runDigest, reportError: () => {}, connection: {} };
+    const lock = { acquire: async () => true, release: async () => {}, holder: async () => null };
+    const result = new DigestDaemon(app, '0 0 1 1 *', {}, { lock, history: new RunHistory('run-history.jsonl'), retryDelayMs });
+    result.lastSlot = new Date(2020, 0, 1);
+    return result;
+}
+
+test('a failed run is retried once before its slot counts as handled', async () => {
+    let attempts = 0;
+    const failing = daemon(async () => { attempts++; throw new Error('Network down'); }, 60000);
+
+    assert.equal(await failing.tick(), true);
+    assert.deepEqual(failing.lastSlot, new Date(2020, 0, 1));
+    assert.equal(await failing.tick(), false, 'waits for the retry delay');
+
+    failing.retry.at = Date.now();
+    assert.equal(await failing.tick(), true);
+    assert.equal(attempts, 2);
+    assert.equal(failing.lastSlot.getMonth(), 0);
+    assert.ok(failing.lastSlot > new Date(2020, 0, 1));
+    assert.equal(await failing.tick(), false, 'given up until the next slot');
+
+    // After a restart only the successful runs count as handled
+    const history = new RunHistory('run-history.jsonl');
+    assert.equal(await history.lastScheduled(), null);
+    await history.append({ scheduledFor: '2026-01-01T00:00:00.000Z', status: 'success' });
+    await history.append({ scheduledFor: '2026-02-01T00:00:00.000Z', status: 'failed' });
+    assert.equal((await history.lastScheduled()).toISOString(), '2026-01-01T00:00:00.000Z');
+});
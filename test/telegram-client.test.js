@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const TelegramConnection = require('../telegram-client');
+const { isolate } = require('./helpers');
+
+isolate();
+
+const rpcError = (code, message) => Object.assign(new Error(message), { code, errorMessage: message });
+
+function fakeClient({ authorized = true, logOut = async () => true } = {}) {
+    return {
+        calls: [],
+        async connect() { this.calls.push('connect'); },
+        async checkAuthorization() { return authorized; },
+        async invoke(request) { this.calls.push(request.className); return logOut(); },
+        async disconnect() { this.calls.push('disconnect'); }
+    };
+}
+
+function connection(client) {
+    const result = new TelegramConnection({ apiId: '1', apiHash: 'hash', session: '', sessionFile: 'session.json' });
+    result.createClient = () => client;
+    return result;
+}
+
+test('logout without a session reports it instead of logging in', async () => {
+    const client = fakeClient();
+    await connection(client).logout();
+
+    assert.deepEqual(client.calls, []);
+});
+
+test('logout revokes the session and removes it locally', async () => {
+    const client = fakeClient();
+    const telegram = connection(client);
+    await telegram.sessionStore.save('stored-session', null);
+
+    await telegram.logout();
+
+    assert.deepEqual(client.calls, ['connect', 'auth.LogOut', 'disconnect']);
+    assert.ok(!fs.existsSync('session.json'));
+});
+
+test('logout removes a session Telegram already revoked', async () => {
+    const rejected = fakeClient({ logOut: async () => { throw rpcError(401, 'AUTH_KEY_UNREGISTERED'); } });
+    const telegram = connection(rejected);
+    await telegram.sessionStore.save('stored-session', null);
+    await telegram.logout();
+    assert.ok(!fs.existsSync('session.json'));
+
+    const unauthorized = fakeClient({ authorized: false });
+    const again = connection(unauthorized);
+    await again.sessionStore.save('stored-session', null);
+    await again.logout();
+    assert.deepEqual(unauthorized.calls, ['connect', 'disconnect']);
+    assert.ok(!fs.existsSync('session.json'));
+});
+
+test('logout keeps the session when revoking fails for another reason', async () => {
+    const telegram = connection(fakeClient({ logOut: async () => { throw rpcError(400, 'INPUT_METHOD_INVALID'); } }));
+    await telegram.sessionStore.save('stored-session', null);
+
+    await assert.rejects(telegram.logout(), /INPUT_METHOD_INVALID/);
+    assert.ok(fs.existsSync('session.json'));
+});
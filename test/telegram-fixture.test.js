@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Api } = require('telegram');
+const { returnBigInt: bigInt } = require('telegram/Helpers');
+const TelegramFixture = require('../telegram-fixture');
+const TelegramRecorder = require('../telegram-recorder');
+const TelegramReplayClient = require('../telegram-replay');
+const { FIXTURE, isolate } = require('./helpers');
+
+const dir = isolate();
+
+test('toPlain keeps what the pipeline reads and drops client internals', () => {
+    const user = new Api.User({ id: bigInt(1001), firstName: 'Alice', accessHash: bigInt(42), phone: '15550100' });
+    const message = new Api.Message({
+        id: 7,
+        peerId: new Api.PeerUser({ userId: bigInt(1001) }),
+        fromId: new Api.PeerUser({ userId: bigInt(1001) }),
+        message: 'hello',
+        date: 1791680400
+    });
+    message._sender = user;
+    message._client = { circular: message };
+
+    const plain = TelegramFixture.toPlain(message);
+    assert.equal(plain.className, 'Message');
+    assert.equal(plain.peerId.userId, '1001');
+    assert.equal(plain.senderId, '1001');
+    assert.equal(plain.sender.firstName, 'Alice');
+    assert.equal(plain.sender.phone, null);
+    assert.equal(plain.sender.accessHash, null);
+    assert.equal(plain.CONSTRUCTOR_ID, undefined);
+    assert.equal(plain._client, undefined);
+    assert.doesNotThrow(() => JSON.stringify(plain));
+});
+
+test('Buffers survive a round trip through JSON', () => {
+    const plain = TelegramFixture.toPlain({ bytes: Buffer.from('voice note') });
+    const restored = TelegramFixture.fromPlain(JSON.parse(JSON.stringify(plain)));
+    assert.ok(Buffer.isBuffer(restored.bytes));
+    assert.equal(restored.bytes.toString(), 'voice note');
+});
+
+test('call keys ignore clock-dependent offsets and reference entities by id', () => {
+    const entity = { className: 'Channel', id: bigInt(2001), title: 'Project Phoenix', accessHash: '1' };
+    const live = TelegramFixture.callKey('getMessages', [entity, { limit: 100, offsetId: 0, offsetDate: 1791766800, reverse: false }]);
+    const replayed = TelegramFixture.callKey('getMessages', [{ className: 'Channel', id: '2001' }, { reverse: false, offsetId: 0, limit: 100, offsetDate: 1 }]);
+
+    assert.equal(live, 'getMessages Channel:2001 {"limit":100,"offsetId":0,"reverse":false}');
+    assert.equal(replayed, live);
+    assert.notEqual(TelegramFixture.callKey('getMessages', [entity, { limit: 100, offsetId: 55 }]), live);
+});
+
+test('a recording replays the same responses and errors in order', async () => {
+    const file = path.join(dir, 'recorded.json');
+    let calls = 0;
+    const live = {
+        getMe: async () => ({ className: 'User', id: bigInt(999), firstName: 'Dana', phone: '15550199' }),
+        getDialogs: async () => [{ id: bigInt(1001), entity: { className: 'User', id: bigInt(1001), firstName: 'Alice' } }],
+        invoke: async () => {
+            calls++;
+            if (calls === 1) throw Object.assign(new Error('A wait of 3 seconds is required'), { errorMessage: 'FLOOD', seconds: 3 });
+            return { className: 'messages.DialogFilters', filters: [] };
+        },
+        disconnect: async () => {}
+    };
+
+    const recorder = new TelegramRecorder(live, file);
+    await recorder.getMe();
+    await recorder.getDialogs({ limit: 100, archived: false });
+    const request = new Api.messages.GetDialogFilters();
+    await assert.rejects(recorder.invoke(request), /wait of 3 seconds/);
+    await recorder.invoke(request);
+    await recorder.disconnect();
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(fixture.calls.length, 4);
+    assert.equal(fixture.calls[0].result.phone, null);
+
+    const replay = await TelegramReplayClient.load(file);
+    assert.equal((await replay.getMe()).id, '999');
+    const dialogs = await replay.getDialogs({ archived: false, limit: 100, offsetDate: 123 });
+    assert.equal(dialogs[0].entity.firstName, 'Alice');
+    await assert.rejects(replay.invoke(new Api.messages.GetDialogFilters()), error => error.seconds === 3);
+    assert.deepEqual((await replay.invoke(new Api.messages.GetDialogFilters())).filters, []);
+    // Exhausted: the last response is served again
+    assert.deepEqual((await replay.invoke(new Api.messages.GetDialogFilters())).filters, []);
+});
+
+test('replay fails loudly for calls that were never recorded', async () => {
+    const replay = await TelegramReplayClient.load(FIXTURE);
+    await assert.rejects(
+        replay.getMessages({ className: 'User', id: '424242' }, { limit: 100, offsetId: 0, reverse: false }),
+        /No recorded response .* for getMessages User:424242/
+    );
+});
+
+test('fixture files are validated on load', async () => {
+    const file = path.join(dir, 'not-a-fixture.json');
+    fs.writeFileSync(file, JSON.stringify({ reports: [] }));
+    await assert.rejects(TelegramReplayClient.load(file), /is not a Telegram fixture/);
+});
@@ -0,0 +1,55 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Append-only JSONL log of per-run activity snapshots (see PeriodTrends.snapshot)
+ * used to compare a digest with the previous period of the same length
+ */
+class TrendHistory {
+    constructor(file = path.join(process.env.STORE_DIR || './data', 'trend-history.jsonl')) {
+        this.file = file;
+    }
+
+    static isEnabled(options = {}) {
+        return !options.noTrends && process.env.TRENDS !== 'false';
+    }
+
+    async read() {
+        try {
+            const content = await fs.readFile(this.file, 'utf8');
+            return content.split('\n').filter(Boolean).flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return [];
+                }
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async append(snapshot) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, JSON.stringify(snapshot) + '\n');
+        return snapshot;
+    }
+
+    /**
+     * Latest snapshot of a period with the same length that ended at least half a period
+     * before this one, so re-running today's digest never compares it with itself
+     * @param {DigestPeriod} period - Current period
+     * @returns {Promise<Object|null>}
+     */
+    async previous(period) {
+        const latestEnd = period.until.getTime() - period.days * 24 * 60 * 60 * 1000 / 2;
+        const candidates = (await this.read())
+            .filter(snapshot => snapshot.period.days === period.days)
+            .filter(snapshot => new Date(snapshot.period.until).getTime() <= latestEnd)
+            .sort((a, b) => new Date(a.period.until) - new Date(b.period.until) || new Date(a.createdAt) - new Date(b.createdAt));
+        return candidates[candidates.length - 1] || null;
+    }
+}
+
+module.exports = TrendHistory;